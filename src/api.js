@@ -9,17 +9,114 @@ const dal = require('./dal');
 const logger = require('./logger');
 const auth = require('./auth');
 const { Role } = require('./roles');
+const { isIdFormat, isEmailFormat, isNumberFormat } = require('./helper-validate');
+const media = require('./media');
+const multipart = require('./multipart');
+const lifecycle = require('./lifecycle');
+const paging = require('./paging');
+const geo = require('./geo');
+const openingHours = require('./opening-hours');
+const mailer = require('./mailer');
+const CodedError = require('./errors').CodedError;
+
+const {
+    KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M,
+    KEBAPI_VENUES_NEAR_MAX_RADIUS_M,
+    KEBAPI_MEDIA_UPLOAD_MAX_SIZE, // Max size of an upload in bytes
+    KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES, // Content types that can be uploaded
+    KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS, // How soon a user can check in at the same venue again
+    KEBAPI_AUTH_PASSWORD_RESET_EXPIRY_MS, // How long a password reset token can be used for
+    KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS, // How long an email verification link works for
+    KEBAPI_SERVER_PUBLIC_URL // Base of links in mail
+} = require('./config');
 
 const responseCodes = {
     OK: 200,
+    PartialContent: 206, // Range requests, e.g. when streaming media
+    NotModified: 304, // Conditional requests where the client's copy is current
     BadRequest: 400,
     Unauthorised: 401, // We'll use this for failures in user authentication, e.g. username and password failures when logging in
     Forbidden: 403, // We'll use this for failures related to permissions, e.g. one user trying to get the details of a different user, or trying to perform the actions of an admin
     NotFound: 404,
+    MethodNotAllowed: 405, // Path exists, but not for the requested method
     PayloadTooLarge: 413,
-    InternalServerError: 500
+    UnsupportedMediaType: 415,
+    RangeNotSatisfiable: 416,
+    TooManyRequests: 429, // Rate limited, e.g. too many login attempts
+    InternalServerError: 500,
+    ServiceUnavailable: 503 // We'll use this when the server is up but can't serve requests, e.g. the DB isn't ready
 };
 
+// Max lengths of user fields, matching the users table columns
+const UserFieldMaxLength = Object.freeze({
+    username: 40,
+    name: 50,
+    surname: 50,
+    email: 320
+});
+
+// Fields of a user each role may see in responses. Anything else, e.g. password_hash, is stripped (see projection.js).
+// Users only ever see their own details, since user Actions are owned.
+const UserProjection = Object.freeze({
+    fieldsByRole: Object.freeze({
+        [Role.ADMIN]: ['id', 'username', 'name', 'surname', 'email', 'email_verified_at', 'role_id', 'account_status_id'],
+        [Role.USER]: ['id', 'username', 'name', 'surname', 'email', 'email_verified_at']
+    })
+});
+// Login has no token yet, so the requester is everyone. The user in the response is the one who just logged in.
+const LoginProjection = Object.freeze({
+    path: 'user',
+    fieldsByRole: Object.freeze({
+        [Role.EVERYONE]: ['id', 'username', 'name', 'surname', 'email', 'email_verified_at']
+    })
+});
+
+// Max lengths of text fields, matching their table columns
+const VenueFieldMaxLength = Object.freeze({
+    name: 255,
+    address: 255
+});
+const MenuItemFieldMaxLength = Object.freeze({
+    name: 100,
+    description: 500
+});
+const TagFieldMaxLength = Object.freeze({
+    name: 40
+});
+const VenueMediaFieldMaxLength = Object.freeze({
+    caption: 255
+});
+const CollectionFieldMaxLength = Object.freeze({
+    name: 100
+});
+const ReviewFieldMaxLength = Object.freeze({
+    text: 2000
+});
+const CheckInFieldMaxLength = Object.freeze({
+    note: 500
+});
+
+// Venues are rated from 1 to 5 (kebabs). Review scores use the same range.
+const VenueRatingRange = Object.freeze({
+    min: 1,
+    max: 5
+});
+
+// Menu item prices, up to the most the menu_items price column holds
+const MenuItemPriceRange = Object.freeze({
+    min: 0,
+    max: 999999.99
+});
+
+// Tag names are lowercase words joined by hyphens, e.g. late-night
+const TagNameFormat = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Lengths a new password can be. bcrypt ignores anything past 72 bytes.
+const PasswordLength = Object.freeze({
+    min: 8,
+    max: 72
+});
+
 (function initialise() {
     logger.info('> initialise');
 
@@ -37,30 +134,92 @@ const responseCodes = {
             { action: getToken, minRole: Role.ADMIN, hasOwner: false },
             { action: verifyToken, minRole: Role.ADMIN, hasOwner: false },
             { action: getUsers, minRole: Role.ADMIN, hasOwner: false },
+            { action: addVenue, minRole: Role.ADMIN, hasOwner: false },
+            { action: updateVenue, minRole: Role.ADMIN, hasOwner: false },
+            { action: deleteVenue, minRole: Role.ADMIN, hasOwner: false },
+            { action: setVenueOpeningHours, minRole: Role.ADMIN, hasOwner: false },
+            { action: addMenuItem, minRole: Role.ADMIN, hasOwner: false },
+            { action: updateMenuItem, minRole: Role.ADMIN, hasOwner: false },
+            { action: deleteMenuItem, minRole: Role.ADMIN, hasOwner: false },
+            { action: addTag, minRole: Role.ADMIN, hasOwner: false },
+            { action: updateTag, minRole: Role.ADMIN, hasOwner: false },
+            { action: deleteTag, minRole: Role.ADMIN, hasOwner: false },
+            { action: addVenueTag, minRole: Role.ADMIN, hasOwner: false },
+            { action: removeVenueTag, minRole: Role.ADMIN, hasOwner: false },
+            { action: attachVenueMedia, minRole: Role.ADMIN, hasOwner: false },
+            { action: updateVenueMedia, minRole: Role.ADMIN, hasOwner: false },
+            { action: detachVenueMedia, minRole: Role.ADMIN, hasOwner: false },
+            { action: reorderVenueMedia, minRole: Role.ADMIN, hasOwner: false },
+            { action: setVenueMainMedia, minRole: Role.ADMIN, hasOwner: false },
 
             // role user (user can access if ids match, otherwise only admin can)
-            { action: getUser, minRole: Role.USER, hasOwner: true },
+            // Users who haven't verified their email yet can only use Actions that allowUnverified
+            { action: uploadMedia, minRole: Role.USER, hasOwner: false }, // Any user can upload. Uploads are always owned by the uploader.
+            { action: getUser, minRole: Role.USER, hasOwner: true, projection: UserProjection, allowUnverified: true },
+            { action: updateUser, minRole: Role.USER, hasOwner: true, allowUnverified: true }, // e.g. to fix a mistyped email
+            { action: changeUserPassword, minRole: Role.USER, hasOwner: true, allowUnverified: true }, // Admins can set any user's, without the current password
+            { action: resendEmailVerification, minRole: Role.USER, hasOwner: true, allowUnverified: true },
             { action: getUserFavourites, minRole: Role.USER, hasOwner: true },
             { action: addUserFavourite, minRole: Role.USER, hasOwner: true },
             { action: removeUserFavourite, minRole: Role.USER, hasOwner: true },
+            { action: getUserCollections, minRole: Role.USER, hasOwner: true },
+            { action: getCollection, minRole: Role.USER, hasOwner: true },
+            { action: getCollectionVenues, minRole: Role.USER, hasOwner: true },
+            { action: addCollection, minRole: Role.USER, hasOwner: true },
+            { action: updateCollection, minRole: Role.USER, hasOwner: true },
+            { action: deleteCollection, minRole: Role.USER, hasOwner: true },
+            { action: addCollectionVenue, minRole: Role.USER, hasOwner: true },
+            { action: removeCollectionVenue, minRole: Role.USER, hasOwner: true },
+            { action: getUserRecommendations, minRole: Role.USER, hasOwner: true },
+            { action: getUserFollowing, minRole: Role.USER, hasOwner: false }, // Who follows who is visible to any user
+            { action: getUserFollowers, minRole: Role.USER, hasOwner: false },
+            { action: followUser, minRole: Role.USER, hasOwner: true },
+            { action: unfollowUser, minRole: Role.USER, hasOwner: true },
+            { action: getUserFeed, minRole: Role.USER, hasOwner: true },
+            { action: getUserPrivacy, minRole: Role.USER, hasOwner: true },
+            { action: updateUserPrivacy, minRole: Role.USER, hasOwner: true },
+            { action: addReview, minRole: Role.USER, hasOwner: true },
+            { action: updateReview, minRole: Role.USER, hasOwner: true },
+            { action: deleteReview, minRole: Role.USER, hasOwner: true },
+            { action: addCheckIn, minRole: Role.USER, hasOwner: false }, // Always checks in the requester
+            { action: getUserCheckIns, minRole: Role.USER, hasOwner: true },
+            { action: getUserCheckInVenues, minRole: Role.USER, hasOwner: true },
 
             // role everyone
+            { action: getHealth, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getReady, minRole: Role.EVERYONE, hasOwner: false },
             { action: getVenue, minRole: Role.EVERYONE, hasOwner: false },
             { action: getVenues, minRole: Role.EVERYONE, hasOwner: false },
-            { action: loginUser, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getVenuesNear, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getVenueReviews, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getVenueMenu, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getTags, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getVenueMedia, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getMedia, minRole: Role.EVERYONE, hasOwner: false },
+            { action: getSharedCollection, minRole: Role.EVERYONE, hasOwner: false }, // Anyone with the share link, while the collection is public
+            { action: getSharedCollectionVenues, minRole: Role.EVERYONE, hasOwner: false },
+            { action: loginUser, minRole: Role.EVERYONE, hasOwner: false, projection: LoginProjection },
             { action: registerUser, minRole: Role.EVERYONE, hasOwner: false },
+            { action: requestPasswordReset, minRole: Role.EVERYONE, hasOwner: false },
+            { action: resetPassword, minRole: Role.EVERYONE, hasOwner: false },
+            { action: verifyEmail, minRole: Role.EVERYONE, hasOwner: false }, // Anyone with the mailed link
             { action: responseBadRequest, minRole: Role.EVERYONE, hasOwner: false },
             { action: responseForbidden, minRole: Role.EVERYONE, hasOwner: false },
             { action: responseNotFound, minRole: Role.EVERYONE, hasOwner: false },
+            { action: responseMethodNotAllowed, minRole: Role.EVERYONE, hasOwner: false },
             { action: responsePayloadTooLarge, minRole: Role.EVERYONE, hasOwner: false },
+            { action: responseTooManyRequests, minRole: Role.EVERYONE, hasOwner: false },
             { action: responseInternalServerError, minRole: Role.EVERYONE, hasOwner: false }
 
         ];
 
-        // Add the assigned role and owner flag to each api action, as a properties of that fn
+        // Add the assigned role and owner flag to each api action, as a properties of that fn.
+        // Also any projection of the fields in its response, and whether unverified users can use it.
         for (const item of permissions) {
             item.action.minRole = item.minRole;
             item.action.hasOwner = item.hasOwner;
+            item.action.projection = item.projection;
+            item.action.allowUnverified = item.allowUnverified === true;
         }
     }
     catch (err) {
@@ -71,6 +230,48 @@ const responseCodes = {
 })();
 
 
+/**
+ * Liveness. If we can answer at all, the process is alive.
+ */
+async function getHealth() {
+    return formatResult(responseCodes.OK, { status: 'ok', uptime: process.uptime() });
+}
+/**
+ * Readiness. Ready when the DB is reachable and its schema verifies. When not ready, the response
+ * includes any tables that weren't found. Never ready while shutting down.
+ */
+async function getReady() {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (lifecycle.isDraining()) {
+            responseCode = responseCodes.ServiceUnavailable;
+            result = { ready: false, draining: true };
+        } else {
+            let reachable = await dal.pingDB();
+            let verification = reachable ? await dal.verifyDB() : undefined;
+            let ready = reachable && verification.ready;
+            responseCode = ready ? responseCodes.OK : responseCodes.ServiceUnavailable;
+            result = {
+                ready: ready,
+                db: {
+                    reachable: reachable,
+                    ...verification ? { exists: verification.dbExists, allTablesExist: verification.allExist, notFound: verification.notFound, verifiedAt: verification.verifiedAt } : {}
+                }
+            };
+        }
+    } catch (err) {
+        logger.error(err);
+        responseCode = responseCodes.ServiceUnavailable;
+        result = { ready: false, db: { reachable: false } };
+    }
+    return formatResult(responseCode, result);
+}
+
+/**
+ * Gets a venue, with its tag names, its gallery, its opening hours and whether it's open now. Only today's and later
+ * exceptions to the weekly hours are included, today being the venue's local date.
+ */
 async function getVenue({ id } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
@@ -79,6 +280,18 @@ async function getVenue({ id } = {}) {
         if (result.length === 0) {
             responseCode = responseCodes.NotFound;
         } else {
+            let venue = result[0];
+            let now = new Date();
+            let today = openingHours.getLocalDateTime(now, venue.timezone).date;
+            // From yesterday, since last night's exceptional hours may still be running
+            let schedule = (await dal.getOpeningSchedules([venue.id], openingHours.addDays(today, -1)))[venue.id];
+            result = [{
+                ...venue,
+                tags: await dal.getVenueTags(venue.id),
+                gallery: await dal.getVenueMedia(venue.id),
+                openingHours: { weekly: schedule.weekly, exceptions: schedule.exceptions.filter(e => e.date >= today) },
+                isOpen: openingHours.isOpenAt(schedule, now)
+            }];
             responseCode = responseCodes.OK;
         }
     } catch (err) {
@@ -87,51 +300,72 @@ async function getVenue({ id } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function getVenues({ startRow, maxRows } = {}) {
+/**
+ * Gets a page of venues. Pages by offset (startRow) by default, or by keyset if an after cursor is given
+ * (see paging.js). An empty after starts keyset paging from the beginning.
+ * Can be filtered by q (matches name or address), minRating/maxRating, hasItem (a dietary flag some menu
+ * item has), tags (comma-separated names, matching any of them, or all with tagMode=all) and openNow=true or
+ * openAt (an ISO time) for venues open then, and sorted by sort (id, name or rating) in order (asc or desc).
+ */
+async function getVenues({ startRow, maxRows, after, q, minRating, maxRating, hasItem, tags, tagMode, sort, order, openNow, openAt } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
+    let pagingResult;
     try {
-        result = await dal.getVenues(startRow, maxRows);
-        if (result.length === 0) {
-            responseCode = responseCodes.NotFound;
+        let invalid = validateVenueQuery({ minRating, maxRating, hasItem, tags, tagMode, sort, order, after, openNow, openAt });
+        if (invalid) {
+            responseCode = responseCodes.BadRequest;
+            result = invalid;
         } else {
-            responseCode = responseCodes.OK;
+            let openInstant = openAt !== undefined ? openingHours.parseInstant(openAt) : String(openNow).toLowerCase() === 'true' ? new Date() : undefined;
+            let filters = {
+                q, minRating, maxRating, hasItem,
+                tags: tags !== undefined ? splitTagNames(tags) : undefined, tagMode: tagMode !== undefined ? String(tagMode).toLowerCase() : undefined
+            };
+            if (openInstant) {
+                filters.ids = await getVenueIdsOpenAt(openInstant, filters);
+            }
+            // Links to other pages keep the same filters and sorting
+            let params = { q, minRating, maxRating, hasItem, tags, tagMode, sort, order, openNow, openAt };
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            if (after !== undefined) {
+                result = await dal.getVenuesAfter(paging.decodeCursor(after), bounds.maxRows, filters);
+                pagingResult = paging.getKeysetPaging({
+                    path: '/venues', params: params, total: await dal.countVenues(filters), maxRows: bounds.maxRows, after: after,
+                    rowCount: result.length, lastId: result.length > 0 ? result[result.length - 1].id : undefined
+                });
+            } else {
+                result = await dal.getVenues(bounds.startRow, bounds.maxRows, filters, { sort, order });
+                pagingResult = paging.getOffsetPaging({ path: '/venues', params: params, total: await dal.countVenues(filters), ...bounds });
+            }
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
         }
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return formatResult(responseCode, result);
+    return formatResult(responseCode, result, { paging: pagingResult });
 }
 
-async function loginUser({ username, email, password } = {}) {
+async function addVenue({ name, address, geo_lat, geo_lng, rating, main_media_id, timezone } = {}) {
     let responseCode = responseCodes.InternalServerError;
-    let user;
     let result;
     try {
-        if (!username && !email || !password) {
-            responseCode = responseCodes.BadRequest;
+        let fields = { name, address, geo_lat, geo_lng, rating, main_media_id, timezone };
+        let invalidMsg = validateVenueFields(fields, { required: ['name', 'geo_lat', 'geo_lng', 'main_media_id'] });
+        if (!invalidMsg && (await dal.getMedia(main_media_id)).length === 0) {
+            invalidMsg = `Can't find media with id '${main_media_id}' for main_media_id.`;
         }
-        else {            
-            if (username) {
-                result = await dal.getUserByUserName(username);
-            } else if (email) {
-                result = await dal.getUserByEmail(email);
-            }
-            if (!result || result.length === 0) {
-                responseCode = responseCodes.NotFound;
-                result = "Can't find that user";
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else {
+            let insertId = await dal.addVenue(fields);
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Venue added.` };
             } else {
-                user = result[0];
-                let match = await auth.comparePlainTextToHash(password, user.password_hash);
-                if (!match) {
-                    responseCode = responseCodes.Unauthorised;
-                    result = "Those user credentials weren't right";
-                } else {
-                    let token = await auth.getToken(user.id);
-                    responseCode = responseCodes.OK;
-                    result = { token: token, user: user };
-                }
+                result = { result: insertId, msg: `Something went wrong adding the venue. Please try again later.` };
             }
         }
     } catch (err) {
@@ -140,63 +374,50 @@ async function loginUser({ username, email, password } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function registerUser({ username, name, surname, email, password } = {}) {
+async function updateVenue({ id, name, address, geo_lat, geo_lng, rating, main_media_id, timezone } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        // TODO: parsing and validation of incoming data to check strings are strings, emails are emails, etc.
-        if (!(username || name || surname || email || password)) {
+        let fields = { name, address, geo_lat, geo_lng, rating, main_media_id, timezone };
+        let invalidMsg = validateVenueFields(fields);
+        if (!invalidMsg && main_media_id !== undefined && (await dal.getMedia(main_media_id)).length === 0) {
+            invalidMsg = `Can't find media with id '${main_media_id}' for main_media_id.`;
+        }
+        if (invalidMsg) {
             responseCode = responseCodes.BadRequest;
-            result = { result: undefined, msg: `Missing required data.` };
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getVenue(id)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that venue.` };
         } else {
-            // check user exists by username
-            let usernameResult = await dal.getUserByUserName(username);
-            if (usernameResult && usernameResult.length > 0) {
-                responseCode = responseCodes.BadRequest;
-                result = { result: undefined, msg: `Username already registered.` };
+            let updateResult = await dal.updateVenue(id, fields);
+            if (updateResult) {
+                responseCode = responseCodes.OK;
+                result = { result: updateResult, msg: `Venue updated.` };
             } else {
-                // check user exists by email
-                let emailResult = await dal.getUserByEmail(email);
-                if (emailResult && emailResult.length > 0) {
-                    responseCode = responseCodes.BadRequest;
-                    result = { result: undefined, msg: `Email already registered.` };
-                } else {
-                    // username and email do not already exist, user can be registered.
-                    // We'll only store a hashed password
-                    let passwordHash = await auth.getHash(password);
-                    // dal.addUser returns insert id of new row, or 0 if row existed, or undefined if insert failed.
-                    // Strictly speaking a result >= 0 is fine since it means either a new user was added or an
-                    // existing user was unchanged. In practice, we should never get 0 due to the duplicate
-                    // user checks executed further up.
-                    let addResult = await dal.addUser(username, name, surname, email, passwordHash, Role.USER);
-                    if (addResult > 0) {
-                        responseCode = responseCodes.OK;
-                        result = { result: addResult, msg: `User registered.` };
-                    } else if (addResult === 0) {
-                        responseCode = responseCodes.OK;
-                        result = { result: addResult, msg: `User already registered.` };
-                    } else {
-                        result = { result: addResult, msg: `Something went wrong registering the user. Please try again later.` };
-                    }
-                }
+                result = { result: updateResult, msg: `Something went wrong updating the venue. Please try again later.` };
             }
         }
-
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return formatResult(responseCode, result);
 }
-async function getUser({ id } = {}) {
+/**
+ * Deletes a venue, along with any users' favourites and reviews of it. The response says how many of each went.
+ */
+async function deleteVenue({ id } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.getUser(id);
-        if (result.length === 0) {
-            responseCode = responseCodes.NotFound;
-        } else {
+        let deleteResult = await dal.deleteVenue(id);
+        if (deleteResult.deleted) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Venue deleted.`, favouritesRemoved: deleteResult.favouritesRemoved, reviewsRemoved: deleteResult.reviewsRemoved };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that venue.` };
         }
     } catch (err) {
         logger.error(err);
@@ -204,13 +425,23 @@ async function getUser({ id } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function activateUser({ id } = {}) {
+/**
+ * Replaces a venue's opening hours, i.e. its weekly hours and any exceptions to them (see opening-hours.js)
+ */
+async function setVenueOpeningHours({ id, weekly = [], exceptions = [] } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.activateUser(id);
-        if (result) {
+        let invalidMsg = validateOpeningHours({ weekly, exceptions });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (await dal.setVenueOpeningHours(id, { weekly, exceptions })) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Opening hours updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that venue.` };
         }
     } catch (err) {
         logger.error(err);
@@ -218,46 +449,86 @@ async function activateUser({ id } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function deactivateUser({ id } = {}) {
+/**
+ * Gets a page of a venue's menu, in the order items were added
+ */
+async function getVenueMenu({ id, startRow, maxRows } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
+    let pagingResult;
     try {
-        result = await dal.deactivateUser(id);
-        if (result) {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getMenuItems(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/venues/${id}/menu`, total: await dal.countMenuItems(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
             responseCode = responseCodes.OK;
         }
     } catch (err) {
         logger.error(err);
         throw err;
     }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function addMenuItem({ id, name, description, price, currency, dietary } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let fields = { name, description, price, currency, dietary };
+        let invalidMsg = validateMenuItemFields(fields, { required: ['name', 'price', 'currency'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getVenue(id)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that venue.` };
+        } else {
+            let insertId = await dal.addMenuItem(id, fields);
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Menu item added.` };
+            } else {
+                result = { result: insertId, msg: `Something went wrong adding the menu item. Please try again later.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
     return formatResult(responseCode, result);
 }
-async function getUsers({ startRow, maxRows } = {}) {
+async function updateMenuItem({ id, itemId, name, description, price, currency, dietary } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.getUsers(startRow, maxRows);
-        //TODO: Should this return NotFound if there are no users?
-//        if (result.length === 0) {
-//            responseCode = responseCodes.NotFound;
-//        } else {
+        let invalidMsg = validateMenuItemFields({ name, description, price, currency, dietary });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (await dal.updateMenuItem(id, itemId, { name, description, price, currency, dietary })) {
             responseCode = responseCodes.OK;
-//        }
+            result = { result: true, msg: `Menu item updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that menu item.` };
+        }
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return formatResult(responseCode, result);
 }
-async function getUserRole({ id } = {}) {
+async function deleteMenuItem({ id, itemId } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.getUserRole(id);
-        if (result.length === 0) {
-            responseCode = responseCodes.NotFound;
-        } else {
+        if (await dal.deleteMenuItem(id, itemId)) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Menu item deleted.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that menu item.` };
         }
     } catch (err) {
         logger.error(err);
@@ -265,11 +536,17 @@ async function getUserRole({ id } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function getUserAccountStatus({ id } = {}) {
+/**
+ * Gets a page of tags, by name. Each has a venue_count of the venues tagged with it, e.g. for a filter UI.
+ */
+async function getTags({ startRow, maxRows } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
+    let pagingResult;
     try {
-        result = await dal.getUserAccountStatus(id);
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getTags(bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: '/tags', total: await dal.countTags(), ...bounds });
         if (result.length === 0) {
             responseCode = responseCodes.NotFound;
         } else {
@@ -279,17 +556,59 @@ async function getUserAccountStatus({ id } = {}) {
         logger.error(err);
         throw err;
     }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function addTag({ name } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateTagName(name);
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getTagByName(name)).length > 0) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `That tag already exists.` };
+        } else {
+            let insertId = await dal.addTag(name);
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Tag added.` };
+            } else {
+                result = { result: insertId, msg: `Something went wrong adding the tag. Please try again later.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
     return formatResult(responseCode, result);
 }
-async function getUserFavourites({ id, startRow, maxRows } = {}) {
-let responseCode = responseCodes.InternalServerError;
+/**
+ * Renames a tag. Venues tagged with it keep it, under the new name.
+ */
+async function updateTag({ id, name } = {}) {
+    let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.getUserFavourites(id, startRow, maxRows);
-        if (result.length === 0) {
+        let invalidMsg = validateTagName(name);
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getTag(id)).length === 0) {
             responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that tag.` };
+        } else if ((await dal.getTagByName(name)).some(tag => tag.id !== Number(id))) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `That tag already exists.` };
         } else {
-            responseCode = responseCodes.OK;
+            let updateResult = await dal.updateTag(id, name);
+            if (updateResult) {
+                responseCode = responseCodes.OK;
+                result = { result: updateResult, msg: `Tag updated.` };
+            } else {
+                result = { result: updateResult, msg: `Something went wrong updating the tag. Please try again later.` };
+            }
         }
     } catch (err) {
         logger.error(err);
@@ -297,16 +616,20 @@ let responseCode = responseCodes.InternalServerError;
     }
     return formatResult(responseCode, result);
 }
-async function addUserFavourite({ id, venueId } = {}) {
+/**
+ * Deletes a tag, and untags any venues that had it. The response says how many venues were untagged.
+ */
+async function deleteTag({ id } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        // dal.addUserFavourite returns insert id of new row, or 0 if row existed, or undefined if insert failed
-        result = await dal.addUserFavourite(id, venueId);
-        if (result >= 0) {
+        let deleteResult = await dal.deleteTag(id);
+        if (deleteResult.deleted) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Tag deleted.`, venuesUntagged: deleteResult.venuesUntagged };
         } else {
-            responseCode = responseCodes.BadRequest;
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that tag.` };
         }
     } catch (err) {
         logger.error(err);
@@ -314,15 +637,20 @@ async function addUserFavourite({ id, venueId } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function removeUserFavourite({ id, venueId } = {}) {
+async function addVenueTag({ id, tagId } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.removeUserFavourite(id, venueId);
-        if (result) {
-            responseCode = responseCodes.OK;
+        if ((await dal.getVenue(id)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that venue.` };
+        } else if ((await dal.getTag(tagId)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that tag.` };
         } else {
-            responseCode = responseCodes.BadRequest;
+            // Tagging a venue that already has the tag is fine too
+            result = { result: await dal.addVenueTag(id, tagId), msg: `Venue tagged.` };
+            responseCode = responseCodes.OK;
         }
     } catch (err) {
         logger.error(err);
@@ -330,15 +658,16 @@ async function removeUserFavourite({ id, venueId } = {}) {
     }
     return formatResult(responseCode, result);
 }
-
-
-async function resetTestDB() {
+async function removeVenueTag({ id, tagId } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await dal.resetTestDB();
-        if (result) {
+        if (await dal.removeVenueTag(id, tagId)) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Tag removed from venue.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `That venue doesn't have that tag.` };
         }
     } catch (err) {
         logger.error(err);
@@ -346,28 +675,75 @@ async function resetTestDB() {
     }
     return formatResult(responseCode, result);
 }
-
-async function getHash({ value } = {}) {
+/**
+ * Gets a page of a venue's gallery, in order. Each media says whether it's the venue's main media.
+ */
+async function getVenueMedia({ id, startRow, maxRows } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
+    let pagingResult;
     try {
-        result = await auth.getHash(value);
-        if (result) {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getVenueMedia(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/venues/${id}/media`, total: await dal.countVenueMedia(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
             responseCode = responseCodes.OK;
         }
     } catch (err) {
         logger.error(err);
         throw err;
     }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+/**
+ * Adds existing media, e.g. from an upload, to the end of a venue's gallery
+ */
+async function attachVenueMedia({ id, mediaId, caption } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateVenueMediaFields({ caption });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getMedia(mediaId)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that media.` };
+        } else {
+            let attachResult = await dal.attachVenueMedia(id, mediaId, { caption });
+            if (attachResult) {
+                responseCode = responseCodes.OK;
+                result = { result: true, msg: `Media added to gallery.` };
+            } else if (attachResult === false) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: false, msg: `That media is already in the venue's gallery.` };
+            } else {
+                responseCode = responseCodes.NotFound;
+                result = { result: undefined, msg: `Can't find that venue.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
     return formatResult(responseCode, result);
 }
-async function getToken({ id } = {}) {
+async function updateVenueMedia({ id, mediaId, caption } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await auth.getToken(id);
-        if (result) {
+        let invalidMsg = validateVenueMediaFields({ caption }, { required: ['caption'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (await dal.updateVenueMedia(id, mediaId, { caption })) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Caption updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `That media isn't in the venue's gallery.` };
         }
     } catch (err) {
         logger.error(err);
@@ -375,13 +751,23 @@ async function getToken({ id } = {}) {
     }
     return formatResult(responseCode, result);
 }
-async function verifyToken({ token } = {}) {
+/**
+ * Removes media from a venue's gallery. The venue's main media can't be removed until other media is made main.
+ */
+async function detachVenueMedia({ id, mediaId } = {}) {
     let responseCode = responseCodes.InternalServerError;
     let result;
     try {
-        result = await auth.verifyToken(token);
-        if (result) {
+        let detachResult = await dal.detachVenueMedia(id, mediaId);
+        if (detachResult) {
             responseCode = responseCodes.OK;
+            result = { result: true, msg: `Media removed from gallery.` };
+        } else if (detachResult === false) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `That's the venue's main media. Make other media main first.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `That media isn't in the venue's gallery.` };
         }
     } catch (err) {
         logger.error(err);
@@ -389,42 +775,1828 @@ async function verifyToken({ token } = {}) {
     }
     return formatResult(responseCode, result);
 }
-
-
 /**
- * Helper to consistently format response results
- * @returns {object} A formatted result that includes response code status and result
- * @param {any} responseCode Server response code (e.g. 200, 404, etc.)
- * @param {any} result Any data that is the result of executing a request
+ * Puts a venue's gallery in the order of media_ids, which must list each media in the gallery once
  */
-function formatResult(responseCode, result) {
-    let responseStatus;
-    switch (responseCode) {
-        case responseCodes.OK:
-            responseStatus = "OK"; break;
-        case responseCodes.BadRequest:
-            responseStatus = "Bad Request"; break;
-        case responseCodes.Unauthorised:
-            responseStatus = "Unauthorised"; break;
-        case responseCodes.Forbidden:
+async function reorderVenueMedia({ id, media_ids } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateVenueMediaFields({ media_ids }, { required: ['media_ids'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else {
+            let reorderResult = await dal.reorderVenueMedia(id, media_ids);
+            if (reorderResult) {
+                responseCode = responseCodes.OK;
+                result = { result: true, msg: `Gallery reordered.` };
+            } else if (reorderResult === false) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: false, msg: `Field 'media_ids' must list each media in the venue's gallery once.` };
+            } else {
+                responseCode = responseCodes.NotFound;
+                result = { result: undefined, msg: `Can't find that venue.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Makes media in a venue's gallery its main media. Attach the media first if it isn't in the gallery.
+ */
+async function setVenueMainMedia({ id, media_id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateVenueMediaFields({ media_id }, { required: ['media_id'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getVenue(id)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that venue.` };
+        } else if (await dal.setVenueMainMedia(id, media_id)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Main media updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `That media isn't in the venue's gallery.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Gets the venues within radius metres (default KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M) of lat/lng,
+ * nearest first. Each venue includes its distance, in whole metres.
+ */
+async function getVenuesNear({ lat, lng, radius = KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        if (!geo.isValidPosition(lat, lng)) {
+            responseCode = responseCodes.BadRequest;
+            result = `lat and lng must be numbers, with lat from -90 to 90 and lng from -180 to 180.`;
+        } else if (!(Number(radius) > 0 && Number(radius) <= KEBAPI_VENUES_NEAR_MAX_RADIUS_M)) {
+            responseCode = responseCodes.BadRequest;
+            result = `radius must be more than 0, and at most ${KEBAPI_VENUES_NEAR_MAX_RADIUS_M} metres.`;
+        } else {
+            let latitude = Number(lat);
+            let longitude = Number(lng);
+            let box = geo.getBoundingBox(latitude, longitude, Number(radius));
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = await dal.getVenuesNear(latitude, longitude, Number(radius), box, bounds.startRow, bounds.maxRows);
+            result = result.map(venue => ({ ...venue, distance: Math.round(venue.distance) }));
+            pagingResult = paging.getOffsetPaging({
+                path: '/venues/near', params: { lat: lat, lng: lng, radius: radius },
+                total: await dal.countVenuesNear(latitude, longitude, Number(radius), box), ...bounds
+            });
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+
+/**
+ * Gets a media file for streaming. The result carries a file descriptor { path, start, end } rather
+ * than data, and the server streams it. Supports conditional (ETag/Last-Modified) and Range requests.
+ * Request header values arrive as args, keyed by lowercase header name.
+ */
+async function getMedia({ id, range, 'if-none-match': ifNoneMatch, 'if-modified-since': ifModifiedSince, 'if-range': ifRange } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let headers;
+    let file;
+    try {
+        let mediaResult = await dal.getMedia(id);
+        let filePath;
+        if (mediaResult.length > 0) {
+            try {
+                filePath = media.resolveMediaPath(mediaResult[0].media_path);
+            } catch (err) {
+                // A stored path that escapes the media root. Don't serve it, and don't reveal why.
+                logger.error(err);
+                if (!(err.code && err.code === 'KE160')) {
+                    throw err;
+                }
+            }
+        }
+        let stats = filePath && await media.getFileStats(filePath);
+        if (!stats) {
+            responseCode = responseCodes.NotFound;
+            result = "Can't find that media";
+        } else {
+            let etag = media.getETag(stats);
+            headers = {
+                'Content-Type': media.getContentType(filePath),
+                'Last-Modified': stats.mtime.toUTCString(),
+                'ETag': etag,
+                'Accept-Ranges': 'bytes'
+            };
+            if (media.isNotModified({ ifNoneMatch, ifModifiedSince }, etag, stats.mtime)) {
+                responseCode = responseCodes.NotModified;
+            } else {
+                let byteRange = media.isRangeCurrent(ifRange, etag, stats.mtime) ? media.parseRange(range, stats.size) : undefined;
+                if (byteRange && !byteRange.satisfiable) {
+                    responseCode = responseCodes.RangeNotSatisfiable;
+                    headers = { 'Content-Range': `bytes */${stats.size}` };
+                    result = "Requested range can't be satisfied";
+                } else if (byteRange) {
+                    responseCode = responseCodes.PartialContent;
+                    headers['Content-Range'] = `bytes ${byteRange.start}-${byteRange.end}/${stats.size}`;
+                    headers['Content-Length'] = byteRange.end - byteRange.start + 1;
+                    file = { path: filePath, start: byteRange.start, end: byteRange.end };
+                } else {
+                    responseCode = responseCodes.OK;
+                    headers['Content-Length'] = stats.size;
+                    file = { path: filePath, start: 0, end: Math.max(stats.size - 1, 0) };
+                }
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { headers, file });
+}
+/**
+ * Uploads a media file from a multipart/form-data request with a 'file' field, storing it under the
+ * media root and registering it in the media table as owned by the uploader.
+ * The request body is streamed straight to disk, subject to a size limit and an allow-list of types.
+ * The file's own leading bytes must match its declared type, or it's refused.
+ */
+async function uploadMedia({ request, 'content-type': contentType, 'content-length': contentLength, requesterId } = {}) {
+    const FILE_FIELD = 'file';
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let upload; // { mediaPath, filePath, stream, contentType }
+    try {
+        let boundary = multipart.getBoundary(contentType);
+        if (!request || !boundary) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Expected multipart/form-data with a '${FILE_FIELD}' field.` };
+        } else if (Number(contentLength) > KEBAPI_MEDIA_UPLOAD_MAX_SIZE) {
+            // Don't even start if we've been told up front it's too big
+            responseCode = responseCodes.PayloadTooLarge;
+            result = { result: undefined, msg: `Upload size limit of ${KEBAPI_MEDIA_UPLOAD_MAX_SIZE} bytes exceeded.` };
+        } else {
+            await media.ensureUploadDir();
+            try {
+                await multipart.parseMultipart(request, boundary, {
+                    maxBytes: KEBAPI_MEDIA_UPLOAD_MAX_SIZE,
+                    onFile: ({ name, contentType: fileContentType }) => {
+                        if (name !== FILE_FIELD || upload) {
+                            // Discard anything else. One file per upload.
+                            return undefined;
+                        }
+                        if (!KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES.includes(fileContentType)) {
+                            throw new CodedError('KE172', `Content type '${fileContentType}' is not allowed. Allowed: ${KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES.join(', ')}.`);
+                        }
+                        upload = { ...media.createUploadFile(fileContentType), contentType: fileContentType };
+                        return upload.stream;
+                    }
+                });
+            } catch (err) {
+                logger.error(err);
+                if (err.code && err.code === 'KE170') {
+                    responseCode = responseCodes.BadRequest;
+                } else if (err.code && err.code === 'KE171') {
+                    responseCode = responseCodes.PayloadTooLarge;
+                } else if (err.code && err.code === 'KE172') {
+                    responseCode = responseCodes.UnsupportedMediaType;
+                } else {
+                    throw err;
+                }
+                result = { result: undefined, msg: err.message };
+            }
+
+            if (responseCode === responseCodes.InternalServerError) {
+                if (!upload) {
+                    responseCode = responseCodes.BadRequest;
+                    result = { result: undefined, msg: `Missing '${FILE_FIELD}' field.` };
+                } else if (upload.stream.bytesWritten === 0) {
+                    responseCode = responseCodes.BadRequest;
+                    result = { result: undefined, msg: `Uploaded file is empty.` };
+                } else if (await media.sniffContentType(upload.filePath) !== upload.contentType) {
+                    // The declared content type is only the client's word. The file itself must agree.
+                    responseCode = responseCodes.UnsupportedMediaType;
+                    result = { result: undefined, msg: `File content isn't '${upload.contentType}'. Allowed: ${KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES.join(', ')}.` };
+                } else {
+                    // dal.addMedia returns insert id of new row, or undefined if insert failed
+                    let addResult = await dal.addMedia(requesterId, upload.mediaPath);
+                    if (addResult > 0) {
+                        responseCode = responseCodes.OK;
+                        result = { result: addResult, msg: `Media uploaded.` };
+                        upload = undefined; // Keep the file
+                    } else {
+                        result = { result: addResult, msg: `Something went wrong uploading the media. Please try again later.` };
+                    }
+                }
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    } finally {
+        // Anything still in upload at this point didn't make it into the media table
+        if (upload) {
+            await media.removeMediaFile(upload.filePath);
+        }
+    }
+    return formatResult(responseCode, result);
+}
+
+async function loginUser({ username, email, password } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let user;
+    let result;
+    try {
+        if (!username && !email || !password) {
+            responseCode = responseCodes.BadRequest;
+        }
+        else {            
+            if (username) {
+                result = await dal.getUserByUserName(username);
+            } else if (email) {
+                result = await dal.getUserByEmail(email);
+            }
+            if (!result || result.length === 0) {
+                responseCode = responseCodes.NotFound;
+                result = "Can't find that user";
+            } else {
+                user = result[0];
+                let match = await auth.comparePlainTextToHash(password, user.password_hash);
+                if (!match) {
+                    responseCode = responseCodes.Unauthorised;
+                    result = "Those user credentials weren't right";
+                } else if (user.account_status_id !== dal.UserAccountStatus.ACTIVE) {
+                    // Only checked once the password matches, so an account's status isn't revealed to just anyone
+                    responseCode = responseCodes.Forbidden;
+                    result = "That account has been deactivated";
+                } else {
+                    let token = await auth.getToken(user.id, await dal.getUserTokenVersion(user.id));
+                    responseCode = responseCodes.OK;
+                    result = { token: token, user: user };
+                }
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function registerUser({ username, name, surname, email, password } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let required = { username, name, surname, email, password };
+        let missing = Object.keys(required).filter(k => required[k] === undefined || required[k] === '');
+        let invalidMsg = validateUserFields({ username, name, surname, email });
+        if (missing.length > 0) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Missing required field(s): ${missing.join(', ')}.` };
+        } else if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (!isValidPassword(password)) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'password' must be a string of ${PasswordLength.min} to ${PasswordLength.max} characters.` };
+        } else {
+            // check user exists by username
+            let usernameResult = await dal.getUserByUserName(username);
+            if (usernameResult && usernameResult.length > 0) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: undefined, msg: `Username already registered.` };
+            } else {
+                // check user exists by email
+                let emailResult = await dal.getUserByEmail(email);
+                if (emailResult && emailResult.length > 0) {
+                    responseCode = responseCodes.BadRequest;
+                    result = { result: undefined, msg: `Email already registered.` };
+                } else {
+                    // username and email do not already exist, user can be registered.
+                    // We'll only store a hashed password
+                    let passwordHash = await auth.getHash(password);
+                    // dal.addUser returns insert id of new row, or 0 if row existed, or undefined if insert failed.
+                    // Strictly speaking a result >= 0 is fine since it means either a new user was added or an
+                    // existing user was unchanged. In practice, we should never get 0 due to the duplicate
+                    // user checks executed further up.
+                    let addResult = await dal.addUser(username, name, surname, email, passwordHash, Role.USER);
+                    if (addResult > 0) {
+                        // New users start unverified, and can do little until they follow the link mailed to them
+                        await trySendEmailVerification((await dal.getUser(addResult))[0]);
+                        responseCode = responseCodes.OK;
+                        result = { result: addResult, msg: `User registered. Follow the link mailed to you to verify your email.` };
+                    } else if (addResult === 0) {
+                        responseCode = responseCodes.OK;
+                        result = { result: addResult, msg: `User already registered.` };
+                    } else {
+                        result = { result: addResult, msg: `Something went wrong registering the user. Please try again later.` };
+                    }
+                }
+            }
+        }
+
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getUser({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.getUser(id);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function updateUser({ id, username, name, surname, email } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let fields = { username, name, surname, email };
+        let invalidMsg = validateUserFields(fields);
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if ((await dal.getUser(id)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that user.` };
+        } else if (username !== undefined && isTakenByOtherUser(id, await dal.getUserByUserName(username))) {
+            // Same uniqueness checks as registerUser, but the user may keep their own username/email
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Username already registered.` };
+        } else if (email !== undefined && isTakenByOtherUser(id, await dal.getUserByEmail(email))) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Email already registered.` };
+        } else {
+            let updateResult = await dal.updateUser(id, fields);
+            if (updateResult) {
+                // A changed email is unverified again, so needs a new link
+                if (email !== undefined && !await dal.isUserEmailVerified(id)) {
+                    await trySendEmailVerification((await dal.getUser(id))[0]);
+                }
+                responseCode = responseCodes.OK;
+                result = { result: updateResult, msg: `User updated.` };
+            } else {
+                result = { result: updateResult, msg: `Something went wrong updating the user. Please try again later.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Changes a user's password. Users must give their current password, while an admin can set another user's without
+ * it, e.g. when they've forgotten it. Tokens already issued to the user stop working, so users changing their own
+ * password get a new token back.
+ */
+async function changeUserPassword({ id, current_password, new_password, requesterId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let isOwn = Number(requesterId) === Number(id);
+        let required = isOwn ? { current_password, new_password } : { new_password };
+        let missing = Object.keys(required).filter(k => required[k] === undefined || required[k] === '');
+        let users = await dal.getUser(id);
+        if (missing.length > 0) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Missing required field(s): ${missing.join(', ')}.` };
+        } else if (!isValidPassword(new_password)) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'new_password' must be a string of ${PasswordLength.min} to ${PasswordLength.max} characters.` };
+        } else if (users.length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that user.` };
+        } else if (isOwn && !await auth.comparePlainTextToHash(String(current_password), users[0].password_hash)) {
+            responseCode = responseCodes.Unauthorised;
+            result = { result: false, msg: `That current password isn't right.` };
+        } else {
+            let updateResult = await dal.updateUserPassword(id, await auth.getHash(new_password));
+            if (!updateResult) {
+                result = { result: updateResult, msg: `Something went wrong changing the password. Please try again later.` };
+            } else if (isOwn) {
+                let token = await auth.getToken(id, await dal.getUserTokenVersion(id));
+                responseCode = responseCodes.OK;
+                result = { result: updateResult, msg: `Password changed. Log in again on any other devices.`, token: token };
+            } else {
+                responseCode = responseCodes.OK;
+                result = { result: updateResult, msg: `Password changed. The user will need to log in again.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Starts a password reset, by mailing a single-use token to the active user with the email, if there is one. The
+ * response is the same whether there is or not, so it can't be used to find out who's registered.
+ */
+async function requestPasswordReset({ email } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (typeof email !== 'string' || !isEmailFormat(email.trim())) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'email' must be an email address.` };
+        } else {
+            let users = await dal.getUserByEmail(email);
+            if (users.length > 0 && users[0].account_status_id === dal.UserAccountStatus.ACTIVE) {
+                let user = users[0];
+                let { token, hash } = auth.getOneTimeToken();
+                await dal.addPasswordReset(user.id, hash, KEBAPI_AUTH_PASSWORD_RESET_EXPIRY_MS);
+                await mailer.send({ to: user.email, subject: `Reset your kebapi password`, text: getPasswordResetText(user, token) });
+            }
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `If that email is registered, a password reset token has been sent to it.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Sets a new password with a token from requestPasswordReset. Tokens can only be used once, and only until they
+ * expire. Tokens already issued to the user stop working, so they'll need to log in again.
+ */
+async function resetPassword({ token, new_password } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let required = { token, new_password };
+        let missing = Object.keys(required).filter(k => required[k] === undefined || required[k] === '');
+        if (missing.length > 0) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Missing required field(s): ${missing.join(', ')}.` };
+        } else if (!isValidPassword(new_password)) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'new_password' must be a string of ${PasswordLength.min} to ${PasswordLength.max} characters.` };
+        } else {
+            let userId = await dal.usePasswordReset(auth.getOneTimeTokenHash(token), await auth.getHash(new_password));
+            if (userId === undefined) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: false, msg: `That reset token isn't valid. It may have expired or already been used.` };
+            } else {
+                responseCode = responseCodes.OK;
+                result = { result: true, msg: `Password reset. Log in with your new password.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Mails a user another link to verify their email, e.g. if the first expired
+ */
+async function resendEmailVerification({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let users = await dal.getUser(id);
+        if (users.length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: undefined, msg: `Can't find that user.` };
+        } else if (users[0].email_verified_at !== null) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `That email is already verified.` };
+        } else {
+            await sendEmailVerification(users[0]);
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Verification link sent. Follow it to verify your email.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Verifies a user's email, with the token from the link mailed to them. Links only work until they expire, and
+ * while the user still has the email they were sent to.
+ */
+async function verifyEmail({ token } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (!token) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Missing required field(s): token.` };
+        } else {
+            let verifyResult = await auth.verifyEmailVerificationToken(token);
+            if (!verifyResult.verified) {
+                responseCode = responseCodes.BadRequest;
+                result = verifyResult.rejectErrorType === 'TokenExpiredError'
+                    ? { result: false, msg: `That verification link has expired. Log in and ask for another.` }
+                    : { result: false, msg: `That verification link isn't valid.` };
+            } else if (!await dal.verifyUserEmail(verifyResult.payload.id, verifyResult.payload.email)) {
+                // The user's email has changed since the link was sent
+                responseCode = responseCodes.BadRequest;
+                result = { result: false, msg: `That verification link is for an email you no longer use.` };
+            } else {
+                responseCode = responseCodes.OK;
+                result = { result: true, msg: `Email verified.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function activateUser({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.activateUser(id);
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function deactivateUser({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.deactivateUser(id);
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getUsers({ startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getUsers(bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: '/users', total: await dal.countUsers(), ...bounds });
+        //TODO: Should this return NotFound if there are no users?
+//        if (result.length === 0) {
+//            responseCode = responseCodes.NotFound;
+//        } else {
+            responseCode = responseCodes.OK;
+//        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function getUserRole({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.getUserRole(id);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getUserAccountStatus({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.getUserAccountStatus(id);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getUserFavourites({ id, startRow, maxRows } = {}) {
+let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getUserFavourites(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/users/${id}/favourites`, total: await dal.countUserFavourites(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function addUserFavourite({ id, venueId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        // dal.addUserFavourite returns insert id of new row, or 0 if row existed, or undefined if insert failed
+        result = await dal.addUserFavourite(id, venueId);
+        if (result >= 0) {
+            responseCode = responseCodes.OK;
+        } else {
+            responseCode = responseCodes.BadRequest;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function removeUserFavourite({ id, venueId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.removeUserFavourite(id, venueId);
+        if (result) {
+            responseCode = responseCodes.OK;
+        } else {
+            responseCode = responseCodes.BadRequest;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+
+/**
+ * Gets a page of a user's collections, their favourites first. Each has a venue_count, and a share_path that
+ * anyone can read it at while it's public.
+ */
+async function getUserCollections({ id, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = (await dal.getUserCollections(id, bounds.startRow, bounds.maxRows)).map(withSharePath);
+        pagingResult = paging.getOffsetPaging({ path: `/users/${id}/collections`, total: await dal.countUserCollections(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function getCollection({ id, collectionId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = (await dal.getCollection(id, collectionId)).map(withSharePath);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Gets a page of the venues in one of a user's collections, by name
+ */
+async function getCollectionVenues({ id, collectionId, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result = [];
+    let pagingResult;
+    try {
+        if ((await dal.getCollection(id, collectionId)).length > 0) {
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = await dal.getCollectionVenues(collectionId, bounds.startRow, bounds.maxRows);
+            pagingResult = paging.getOffsetPaging({ path: `/users/${id}/collections/${collectionId}/venues`, total: await dal.countCollectionVenues(collectionId), ...bounds });
+        }
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function addCollection({ id, name, is_public } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let fields = { name, is_public };
+        let invalidMsg = validateCollectionFields(fields, { required: ['name'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else {
+            let insertId = await dal.addCollection(id, fields);
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Collection added.` };
+            } else {
+                result = { result: insertId, msg: `Something went wrong adding the collection. Please try again later.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Renames a collection, or makes it public or private. Making it private stops its share link working.
+ */
+async function updateCollection({ id, collectionId, name, is_public } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateCollectionFields({ name, is_public });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (await dal.updateCollection(id, collectionId, { name, is_public })) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Collection updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that collection.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Deletes a collection. A user's favourites can't be deleted, though they can be emptied.
+ */
+async function deleteCollection({ id, collectionId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let deleteResult = await dal.deleteCollection(id, collectionId);
+        if (deleteResult) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Collection deleted.` };
+        } else if (deleteResult === false) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `That's your favourites collection, which can't be deleted.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that collection.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function addCollectionVenue({ id, collectionId, venueId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if ((await dal.getCollection(id, collectionId)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that collection.` };
+        } else if ((await dal.getVenue(venueId)).length === 0) {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that venue.` };
+        } else if (await dal.addCollectionVenue(id, collectionId, venueId)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Venue added to collection.` };
+        } else {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `That venue is already in the collection.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function removeCollectionVenue({ id, collectionId, venueId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (await dal.removeCollectionVenue(id, collectionId, venueId)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Venue removed from collection.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `That collection doesn't have that venue.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Gets a public collection by its share token, with its owner's username. Needs no token to log in with.
+ * Private collections and unknown share tokens both get a 404, so neither says whether the other exists.
+ */
+async function getSharedCollection({ shareToken } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.getSharedCollection(shareToken);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getSharedCollectionVenues({ shareToken, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result = [];
+    let pagingResult;
+    try {
+        let collection = await dal.getSharedCollection(shareToken);
+        if (collection.length > 0) {
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = await dal.getCollectionVenues(collection[0].id, bounds.startRow, bounds.maxRows);
+            pagingResult = paging.getOffsetPaging({ path: `/collections/shared/${shareToken}/venues`, total: await dal.countCollectionVenues(collection[0].id), ...bounds });
+        }
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+
+/**
+ * Gets a page of venues to recommend to a user, best first: those favourited by users with favourites in common,
+ * then the top rated. Given lat and lng, venues within radius metres get a boost, more the nearer they are.
+ * See dal.getRecommendedVenues for the scoring.
+ */
+async function getUserRecommendations({ id, lat, lng, radius = KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let hasPosition = lat !== undefined || lng !== undefined;
+        if (hasPosition && !geo.isValidPosition(lat, lng)) {
+            responseCode = responseCodes.BadRequest;
+            result = `lat and lng must be numbers, with lat from -90 to 90 and lng from -180 to 180.`;
+        } else if (hasPosition && !(Number(radius) > 0 && Number(radius) <= KEBAPI_VENUES_NEAR_MAX_RADIUS_M)) {
+            responseCode = responseCodes.BadRequest;
+            result = `radius must be more than 0, and at most ${KEBAPI_VENUES_NEAR_MAX_RADIUS_M} metres.`;
+        } else {
+            let near = hasPosition ? { lat: Number(lat), lng: Number(lng), radius: Number(radius) } : undefined;
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = (await dal.getRecommendedVenues(id, near, bounds.startRow, bounds.maxRows)).map(venue => ({
+                ...venue,
+                ...(near ? { distance: Math.round(venue.distance) } : {}),
+                score: Math.round(venue.score * 100) / 100
+            }));
+            pagingResult = paging.getOffsetPaging({
+                path: `/users/${id}/recommendations`, params: hasPosition ? { lat: lat, lng: lng, radius: radius } : {},
+                total: await dal.countRecommendedVenues(id), ...bounds
+            });
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+
+/**
+ * Gets a page of the users a user follows, by username. Deactivated users are left out.
+ */
+async function getUserFollowing({ id, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getFollowing(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/users/${id}/following`, total: await dal.countFollowing(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+/**
+ * Gets a page of the users following a user, by username. Deactivated users are left out.
+ */
+async function getUserFollowers({ id, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getFollowers(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/users/${id}/followers`, total: await dal.countFollowers(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function followUser({ id, followeeId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (Number(id) === Number(followeeId)) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `You can't follow yourself.` };
+        } else if (!await dal.isUserActive(followeeId)) {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that user.` };
+        } else if (await dal.addFollow(id, followeeId)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `You're now following that user.` };
+        } else {
+            responseCode = responseCodes.BadRequest;
+            result = { result: false, msg: `You already follow that user.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function unfollowUser({ id, followeeId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (await dal.removeFollow(id, followeeId)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `You've unfollowed that user.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `You don't follow that user.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Gets a page of a user's feed: the favourites and reviews of the users they follow, newest first. Favourites
+ * are only shown for users who share them (see updateUserPrivacy). Pages by keyset, with an after cursor from
+ * the previous page's next link. No after, or an empty one, starts from the newest.
+ */
+async function getUserFeed({ id, after, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let afterKey = after !== undefined ? parseFeedKey(paging.decodeKeyCursor(after)) : null;
+        if (afterKey === undefined) {
+            responseCode = responseCodes.BadRequest;
+            result = `That after cursor isn't valid.`;
+        } else {
+            let bounds = dal.getRowBounds(undefined, maxRows);
+            result = await dal.getUserFeed(id, afterKey, bounds.maxRows);
+            pagingResult = paging.getKeysetPaging({
+                path: `/users/${id}/feed`, total: await dal.countUserFeed(id), maxRows: bounds.maxRows, after: after,
+                rowCount: result.length, lastKey: result.length > 0 ? getFeedKey(result[result.length - 1]) : undefined
+            });
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+async function getUserPrivacy({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.getUserPrivacy(id);
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Updates a user's privacy settings. share_favourites lets followers see the venues they favourite in their feeds.
+ */
+async function updateUserPrivacy({ id, share_favourites } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (share_favourites === undefined) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Nothing to update. Supply one or more of: share_favourites.` };
+        } else if (!['true', 'false'].includes(String(share_favourites).toLowerCase())) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'share_favourites' must be true or false.` };
+        } else if (await dal.updateUserPrivacy(id, { share_favourites })) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Privacy settings updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that user.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+
+
+/**
+ * Gets a page of a venue's reviews, newest first
+ */
+async function getVenueReviews({ id, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let bounds = dal.getRowBounds(startRow, maxRows);
+        result = await dal.getVenueReviews(id, bounds.startRow, bounds.maxRows);
+        pagingResult = paging.getOffsetPaging({ path: `/venues/${id}/reviews`, total: await dal.countVenueReviews(id), ...bounds });
+        if (result.length === 0) {
+            responseCode = responseCodes.NotFound;
+        } else {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+/**
+ * Adds a user's review of a venue. A user can only review a venue once, after which they can edit their review.
+ */
+async function addReview({ id, venueId, score, text } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateReviewFields({ score, text }, { required: ['score'] });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else {
+            // dal.addReview returns insert id of new row, or 0 if already reviewed, or undefined if there's no such venue
+            let insertId = await dal.addReview(id, venueId, { score, text });
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Review added.` };
+            } else if (insertId === 0) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: insertId, msg: `That venue has already been reviewed. Edit the review instead.` };
+            } else {
+                responseCode = responseCodes.NotFound;
+                result = { result: insertId, msg: `Can't find that venue.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function updateReview({ id, venueId, score, text } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        let invalidMsg = validateReviewFields({ score, text });
+        if (invalidMsg) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: invalidMsg };
+        } else if (await dal.updateReview(id, venueId, { score, text })) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Review updated.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that review.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function deleteReview({ id, venueId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (await dal.deleteReview(id, venueId)) {
+            responseCode = responseCodes.OK;
+            result = { result: true, msg: `Review deleted.` };
+        } else {
+            responseCode = responseCodes.NotFound;
+            result = { result: false, msg: `Can't find that review.` };
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+
+
+/**
+ * Checks the requester in at a venue, e.g. "I ate here tonight", with an optional note. Checking in at the same
+ * venue again within KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS is refused as a duplicate.
+ */
+async function addCheckIn({ id, note, requesterId } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.trim().length > CheckInFieldMaxLength.note)) {
+            responseCode = responseCodes.BadRequest;
+            result = { result: undefined, msg: `Field 'note' must be a string of ${CheckInFieldMaxLength.note} characters or fewer, or null.` };
+        } else {
+            // dal.addCheckIn returns insert id of new row, or 0 if it's a duplicate, or undefined if there's no such venue
+            let insertId = await dal.addCheckIn(requesterId, id, { note }, KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS);
+            if (insertId > 0) {
+                responseCode = responseCodes.OK;
+                result = { result: insertId, msg: `Checked in.` };
+            } else if (insertId === 0) {
+                responseCode = responseCodes.BadRequest;
+                result = { result: insertId, msg: `You've already checked in here in the last ${Math.ceil(KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS / 60000)} minutes.` };
+            } else {
+                responseCode = responseCodes.NotFound;
+                result = { result: insertId, msg: `Can't find that venue.` };
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+/**
+ * Gets a page of a user's check-ins, newest first. Can be limited to those from from until (not including) to,
+ * each an ISO 8601 date (a UTC day) or time.
+ */
+async function getUserCheckIns({ id, from, to, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let invalid = validateDateRange({ from, to });
+        if (invalid) {
+            responseCode = responseCodes.BadRequest;
+            result = invalid;
+        } else {
+            let range = { from: parseDateRangeBound(from), to: parseDateRangeBound(to) };
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = await dal.getUserCheckIns(id, range, bounds.startRow, bounds.maxRows);
+            pagingResult = paging.getOffsetPaging({ path: `/users/${id}/checkins`, params: { from, to }, total: await dal.countUserCheckIns(id, range), ...bounds });
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+/**
+ * Gets a page of the venues a user has checked in at, with their number of visits to each, most visited first.
+ * Takes the same from and to as getUserCheckIns, to count only visits then.
+ */
+async function getUserCheckInVenues({ id, from, to, startRow, maxRows } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    let pagingResult;
+    try {
+        let invalid = validateDateRange({ from, to });
+        if (invalid) {
+            responseCode = responseCodes.BadRequest;
+            result = invalid;
+        } else {
+            let range = { from: parseDateRangeBound(from), to: parseDateRangeBound(to) };
+            let bounds = dal.getRowBounds(startRow, maxRows);
+            result = await dal.getUserCheckInVenues(id, range, bounds.startRow, bounds.maxRows);
+            pagingResult = paging.getOffsetPaging({ path: `/users/${id}/checkins/venues`, params: { from, to }, total: await dal.countUserCheckInVenues(id, range), ...bounds });
+            responseCode = result.length === 0 ? responseCodes.NotFound : responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result, { paging: pagingResult });
+}
+
+
+async function resetTestDB() {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await dal.resetTestDB();
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+
+async function getHash({ value } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await auth.getHash(value);
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function getToken({ id } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await auth.getToken(id, await dal.getUserTokenVersion(id));
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+async function verifyToken({ token } = {}) {
+    let responseCode = responseCodes.InternalServerError;
+    let result;
+    try {
+        result = await auth.verifyToken(token);
+        if (result) {
+            responseCode = responseCodes.OK;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return formatResult(responseCode, result);
+}
+
+
+/**
+ * Helper to consistently format response results
+ * @returns {object} A formatted result that includes response code status and result
+ * @param {any} responseCode Server response code (e.g. 200, 404, etc.)
+ * @param {any} result Any data that is the result of executing a request
+ * @param {object} extras (optional) { headers, file, paging } Extra response headers, a file for the server to stream in place of result,
+ * and paging metadata for list results (see paging.js)
+ */
+function formatResult(responseCode, result, { headers, file, paging } = {}) {
+    let responseStatus;
+    switch (responseCode) {
+        case responseCodes.OK:
+            responseStatus = "OK"; break;
+        case responseCodes.PartialContent:
+            responseStatus = "Partial Content"; break;
+        case responseCodes.NotModified:
+            responseStatus = "Not Modified"; break;
+        case responseCodes.BadRequest:
+            responseStatus = "Bad Request"; break;
+        case responseCodes.Unauthorised:
+            responseStatus = "Unauthorised"; break;
+        case responseCodes.Forbidden:
             responseStatus = "Forbidden"; break;
         case responseCodes.NotFound:
             responseStatus = "Not Found"; break;
+        case responseCodes.MethodNotAllowed:
+            responseStatus = "Method Not Allowed"; break;
         case responseCodes.PayloadTooLarge:
             responseStatus = "Payload Too Large"; break;
+        case responseCodes.UnsupportedMediaType:
+            responseStatus = "Unsupported Media Type"; break;
+        case responseCodes.RangeNotSatisfiable:
+            responseStatus = "Range Not Satisfiable"; break;
+        case responseCodes.TooManyRequests:
+            responseStatus = "Too Many Requests"; break;
         case responseCodes.InternalServerError:
             responseStatus = "Internal Server Error"; break;
+        case responseCodes.ServiceUnavailable:
+            responseStatus = "Service Unavailable"; break;
         default:
             responseStatus = "Unknown";
     }
     return {
         responseCode: responseCode,
         responseStatus: responseStatus,
-        response: result
+        response: result,
+        ...paging ? { paging: paging } : {},
+        ...headers ? { headers: headers } : {},
+        ...file ? { file: file } : {}
     };
 }
 
 
+/**
+ * Validates the filtering, sorting and paging of a venue list query. Args that are undefined aren't used, so are valid.
+ * @returns {string} A message describing the first problem found, or undefined if all are valid
+ * @param {object} query { minRating, maxRating, hasItem, tags, tagMode, sort, order, after, openNow, openAt }
+ */
+function validateVenueQuery({ minRating, maxRating, hasItem, tags, tagMode, sort, order, after, openNow, openAt } = {}) {
+    let sorts = Object.values(dal.VenueSort);
+    let orders = Object.values(dal.SortOrder);
+    if (minRating !== undefined && !isNumberFormat(minRating)) {
+        return `minRating must be a number.`;
+    }
+    if (maxRating !== undefined && !isNumberFormat(maxRating)) {
+        return `maxRating must be a number.`;
+    }
+    if (isNumberFormat(minRating) && isNumberFormat(maxRating) && Number(minRating) > Number(maxRating)) {
+        return `minRating can't be more than maxRating.`;
+    }
+    if (hasItem !== undefined && !Object.values(dal.DietaryFlag).includes(hasItem)) {
+        return `Can't filter by hasItem '${hasItem}'. Use one of: ${Object.values(dal.DietaryFlag).join(', ')}.`;
+    }
+    if (tags !== undefined && !splitTagNames(tags).every(name => validateTagName(name) === undefined)) {
+        return `tags must be a comma-separated list of tag names, e.g. late-night,doner.`;
+    }
+    if (tagMode !== undefined && !Object.values(dal.TagMode).includes(String(tagMode).toLowerCase())) {
+        return `tagMode must be one of: ${Object.values(dal.TagMode).join(', ')}.`;
+    }
+    if (sort !== undefined && !sorts.includes(sort)) {
+        return `Can't sort by '${sort}'. Sort by one of: ${sorts.join(', ')}.`;
+    }
+    if (order !== undefined && !orders.includes(String(order).toLowerCase())) {
+        return `Order must be one of: ${orders.join(', ')}.`;
+    }
+    if (after !== undefined) {
+        if (paging.decodeCursor(after) === undefined) {
+            return `That after cursor isn't valid.`;
+        }
+        if (sort !== undefined && sort !== dal.VenueSort.ID || order !== undefined && String(order).toLowerCase() !== dal.SortOrder.ASC) {
+            return `Paging with after only supports sorting by id, ascending.`;
+        }
+    }
+    if (openNow !== undefined && !['true', 'false'].includes(String(openNow).toLowerCase())) {
+        return `openNow must be true or false.`;
+    }
+    if (openAt !== undefined && openingHours.parseInstant(openAt) === undefined) {
+        return `openAt must be an ISO 8601 time with a timezone, e.g. 2024-06-01T22:30:00Z.`;
+    }
+    if (openNow !== undefined && openAt !== undefined) {
+        return `Use either openNow or openAt, not both.`;
+    }
+    return undefined;
+}
+
+/**
+ * Validates the bounds of a date range query. Bounds that are undefined aren't used, so are valid.
+ * @returns {string} A message describing the first problem found, or undefined if both are valid
+ * @param {object} range { from, to } ISO 8601 dates or times. from must be before to.
+ */
+function validateDateRange({ from, to } = {}) {
+    if (from !== undefined && parseDateRangeBound(from) === undefined) {
+        return `from must be an ISO 8601 date or time, e.g. 2024-06-01 or 2024-06-01T22:30:00Z.`;
+    }
+    if (to !== undefined && parseDateRangeBound(to) === undefined) {
+        return `to must be an ISO 8601 date or time, e.g. 2024-06-01 or 2024-06-01T22:30:00Z.`;
+    }
+    if (from !== undefined && to !== undefined && parseDateRangeBound(from) >= parseDateRangeBound(to)) {
+        return `from must be before to.`;
+    }
+    return undefined;
+}
+
+/**
+ * Checks the required fields are supplied, and that at least one field is, as the validators of fields that
+ * can be added or updated all do first
+ * @returns {string} A message describing the problem, or undefined if enough fields are supplied
+ * @param {object} fields fields to check. Fields that are undefined aren't supplied.
+ * @param {Array} required (optional) names of fields that must be supplied
+ * @param {object} options (optional) { allowNone } true if it's fine to supply no fields at all
+ */
+function checkSuppliedFields(fields = {}, required = [], { allowNone = false } = {}) {
+    let supplied = getSuppliedFields(fields);
+    let missing = required.filter(k => !supplied.includes(k));
+    if (missing.length > 0) {
+        return `Missing required field(s): ${missing.join(', ')}.`;
+    }
+    if (supplied.length === 0 && !allowNone) {
+        return `Nothing to update. Supply one or more of: ${Object.keys(fields).join(', ')}.`;
+    }
+    return undefined;
+}
+// Names of the fields that aren't undefined
+function getSuppliedFields(fields = {}) {
+    return Object.keys(fields).filter(k => fields[k] !== undefined);
+}
+
+/**
+ * Validates any supplied venue fields. Fields that are undefined are ignored, unless required.
+ * Numbers may arrive as strings, e.g. from form data.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { name, address, geo_lat, geo_lng, rating, main_media_id, timezone }
+ * @param {object} options (optional) { required } names of fields that must be supplied
+ */
+function validateVenueFields(fields = {}, { required = [] } = {}) {
+    let suppliedMsg = checkSuppliedFields(fields, required);
+    if (suppliedMsg) {
+        return suppliedMsg;
+    }
+    let supplied = getSuppliedFields(fields);
+    for (const field of Object.keys(VenueFieldMaxLength).filter(k => supplied.includes(k))) {
+        let value = fields[field];
+        if (typeof value !== 'string' || value.trim() === '') {
+            return `Field '${field}' must be a non-empty string.`;
+        }
+        if (value.trim().length > VenueFieldMaxLength[field]) {
+            return `Field '${field}' must be ${VenueFieldMaxLength[field]} characters or fewer.`;
+        }
+    }
+    if (supplied.includes('geo_lat') && !(isNumberFormat(fields.geo_lat) && geo.isValidPosition(fields.geo_lat, 0))) {
+        return `Field 'geo_lat' must be a number from -90 to 90.`;
+    }
+    if (supplied.includes('geo_lng') && !(isNumberFormat(fields.geo_lng) && geo.isValidPosition(0, fields.geo_lng))) {
+        return `Field 'geo_lng' must be a number from -180 to 180.`;
+    }
+    if (supplied.includes('rating') && fields.rating !== null
+        && !(isNumberFormat(fields.rating) && Number.isInteger(Number(fields.rating)) && Number(fields.rating) >= VenueRatingRange.min && Number(fields.rating) <= VenueRatingRange.max)) {
+        return `Field 'rating' must be a whole number from ${VenueRatingRange.min} to ${VenueRatingRange.max}, or null.`;
+    }
+    if (supplied.includes('main_media_id') && !(isIdFormat(String(fields.main_media_id)) && Number(fields.main_media_id) > 0)) {
+        return `Field 'main_media_id' must be an id.`;
+    }
+    if (supplied.includes('timezone') && !openingHours.isValidTimezone(fields.timezone)) {
+        return `Field 'timezone' must be a timezone, e.g. Europe/Madrid.`;
+    }
+    return undefined;
+}
+
+/**
+ * Validates any supplied menu item fields. Fields that are undefined are ignored, unless required.
+ * dietary can be an Array of flags, or a comma-separated string of them, e.g. from form data.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { name, description, price, currency, dietary }
+ * @param {object} options (optional) { required } names of fields that must be supplied
+ */
+function validateMenuItemFields(fields = {}, { required = [] } = {}) {
+    let suppliedMsg = checkSuppliedFields(fields, required);
+    if (suppliedMsg) {
+        return suppliedMsg;
+    }
+    let supplied = getSuppliedFields(fields);
+    if (supplied.includes('name') && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        return `Field 'name' must be a non-empty string.`;
+    }
+    if (supplied.includes('description') && typeof fields.description !== 'string') {
+        return `Field 'description' must be a string.`;
+    }
+    for (const field of Object.keys(MenuItemFieldMaxLength).filter(k => supplied.includes(k))) {
+        if (fields[field].trim().length > MenuItemFieldMaxLength[field]) {
+            return `Field '${field}' must be ${MenuItemFieldMaxLength[field]} characters or fewer.`;
+        }
+    }
+    if (supplied.includes('price')) {
+        let price = String(fields.price).trim();
+        if (!/^\d+(\.\d{1,2})?$/.test(price) || Number(price) < MenuItemPriceRange.min || Number(price) > MenuItemPriceRange.max) {
+            return `Field 'price' must be a number from ${MenuItemPriceRange.min} to ${MenuItemPriceRange.max}, with at most 2 decimal places.`;
+        }
+    }
+    if (supplied.includes('currency') && !(typeof fields.currency === 'string' && /^[A-Za-z]{3}$/.test(fields.currency.trim()))) {
+        return `Field 'currency' must be a 3 letter currency code, e.g. EUR.`;
+    }
+    if (supplied.includes('dietary')) {
+        let flags = Object.values(dal.DietaryFlag);
+        let given = Array.isArray(fields.dietary) ? fields.dietary : String(fields.dietary).split(',');
+        if (!given.every(f => typeof f === 'string' && (f.trim() === '' || flags.includes(f.trim().toLowerCase())))) {
+            return `Field 'dietary' must list any of: ${flags.join(', ')}.`;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validates a tag name. Case doesn't matter, since names are stored lowercase.
+ * @returns {string} A message describing the problem, or undefined if valid
+ * @param {any} name e.g. late-night
+ */
+function validateTagName(name) {
+    if (typeof name !== 'string' || name.trim().length > TagFieldMaxLength.name || !TagNameFormat.test(name.trim().toLowerCase())) {
+        return `Field 'name' must be a tag name of up to ${TagFieldMaxLength.name} letters, numbers and hyphens, e.g. late-night.`;
+    }
+    return undefined;
+}
+
+/**
+ * Validates a venue's opening hours
+ * @returns {string} A message describing the first problem found, or undefined if valid
+ * @param {object} schedule { weekly, exceptions } see opening-hours.js
+ */
+function validateOpeningHours({ weekly, exceptions } = {}) {
+    const isGiven = value => value !== undefined && value !== null && value !== '';
+    if (!Array.isArray(weekly)) {
+        return `Field 'weekly' must be an Array of { day, opens, closes }.`;
+    }
+    if (!Array.isArray(exceptions)) {
+        return `Field 'exceptions' must be an Array of { date, opens, closes }.`;
+    }
+    for (const [i, hours] of weekly.entries()) {
+        if (hours !== Object(hours) || !openingHours.isValidDay(Number(hours.day))) {
+            return `weekly[${i}].day must be a day of the week, from 1 (Monday) to 7 (Sunday).`;
+        }
+        if (!openingHours.isValidTime(hours.opens) || !openingHours.isValidTime(hours.closes)) {
+            return `weekly[${i}].opens and closes must be times as HH:MM.`;
+        }
+    }
+    for (const [i, exception] of exceptions.entries()) {
+        if (exception !== Object(exception) || !openingHours.isValidDate(exception.date)) {
+            return `exceptions[${i}].date must be a date as YYYY-MM-DD.`;
+        }
+        let bothTimes = openingHours.isValidTime(exception.opens) && openingHours.isValidTime(exception.closes);
+        let neitherTime = !isGiven(exception.opens) && !isGiven(exception.closes);
+        if (!bothTimes && !neitherTime) {
+            return `exceptions[${i}].opens and closes must both be times as HH:MM, or both left out for closed all day.`;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validates any supplied collection fields. Fields that are undefined are ignored, unless required.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { name, is_public } is_public may be a boolean or 'true'/'false', e.g. from form data
+ * @param {object} options (optional) { required } names of fields that must be supplied
+ */
+function validateCollectionFields(fields = {}, { required = [] } = {}) {
+    let suppliedMsg = checkSuppliedFields(fields, required);
+    if (suppliedMsg) {
+        return suppliedMsg;
+    }
+    let supplied = getSuppliedFields(fields);
+    if (supplied.includes('name')
+        && (typeof fields.name !== 'string' || fields.name.trim() === '' || fields.name.trim().length > CollectionFieldMaxLength.name)) {
+        return `Field 'name' must be a non-empty string of ${CollectionFieldMaxLength.name} characters or fewer.`;
+    }
+    if (supplied.includes('is_public') && !['true', 'false'].includes(String(fields.is_public).toLowerCase())) {
+        return `Field 'is_public' must be true or false.`;
+    }
+    return undefined;
+}
+/**
+ * Validates any supplied venue gallery fields. Fields that are undefined are ignored, unless required.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { caption, media_id, media_ids } a null caption clears it. media_ids is the new order of a gallery.
+ * @param {object} options (optional) { required } names of fields that must be supplied
+ */
+function validateVenueMediaFields(fields = {}, { required = [] } = {}) {
+    // A caption is optional when attaching media, so supplying nothing is fine
+    let suppliedMsg = checkSuppliedFields(fields, required, { allowNone: true });
+    if (suppliedMsg) {
+        return suppliedMsg;
+    }
+    let supplied = getSuppliedFields(fields);
+    if (supplied.includes('caption') && fields.caption !== null
+        && (typeof fields.caption !== 'string' || fields.caption.trim().length > VenueMediaFieldMaxLength.caption)) {
+        return `Field 'caption' must be a string of ${VenueMediaFieldMaxLength.caption} characters or fewer, or null.`;
+    }
+    let isMediaId = (mediaId) => isIdFormat(String(mediaId)) && Number(mediaId) > 0;
+    if (supplied.includes('media_id') && !isMediaId(fields.media_id)) {
+        return `Field 'media_id' must be a media id.`;
+    }
+    if (supplied.includes('media_ids') && !(Array.isArray(fields.media_ids) && fields.media_ids.every(isMediaId))) {
+        return `Field 'media_ids' must be an Array of media ids, in their new order.`;
+    }
+    return undefined;
+}
+/**
+ * Validates any supplied review fields. Fields that are undefined are ignored, unless required.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { score, text }
+ * @param {object} options (optional) { required } names of fields that must be supplied
+ */
+function validateReviewFields(fields = {}, { required = [] } = {}) {
+    let suppliedMsg = checkSuppliedFields(fields, required);
+    if (suppliedMsg) {
+        return suppliedMsg;
+    }
+    let supplied = getSuppliedFields(fields);
+    if (supplied.includes('score')) {
+        let score = fields.score;
+        let isWholeNumber = isNumberFormat(score) && Number.isInteger(Number(score));
+        if (!isWholeNumber || Number(score) < VenueRatingRange.min || Number(score) > VenueRatingRange.max) {
+            return `Field 'score' must be a whole number from ${VenueRatingRange.min} to ${VenueRatingRange.max}.`;
+        }
+    }
+    if (supplied.includes('text') && fields.text !== null
+        && (typeof fields.text !== 'string' || fields.text.trim().length > ReviewFieldMaxLength.text)) {
+        return `Field 'text' must be a string of ${ReviewFieldMaxLength.text} characters or fewer, or null.`;
+    }
+    return undefined;
+}
+
+/**
+ * Validates any supplied user fields. Fields that are undefined are ignored, since they won't be changed.
+ * @returns {string} A message describing the first problem found, or undefined if all supplied fields are valid
+ * @param {object} fields { username, name, surname, email }
+ */
+function validateUserFields(fields = {}) {
+    let supplied = Object.keys(fields).filter(k => fields[k] !== undefined);
+    if (supplied.length === 0) {
+        return `Nothing to update. Supply one or more of: ${Object.keys(UserFieldMaxLength).join(', ')}.`;
+    }
+    for (const field of supplied) {
+        let value = fields[field];
+        if (typeof value !== 'string' || value.trim() === '') {
+            return `Field '${field}' must be a non-empty string.`;
+        }
+        if (value.trim().length > UserFieldMaxLength[field]) {
+            return `Field '${field}' must be ${UserFieldMaxLength[field]} characters or fewer.`;
+        }
+    }
+    if (fields.email !== undefined && !isEmailFormat(fields.email.trim())) {
+        return `Field 'email' must be an email address.`;
+    }
+    return undefined;
+}
+
+// New passwords must be strings within PasswordLength. The max is in bytes, since that's what bcrypt counts.
+function isValidPassword(password) {
+    return typeof password === 'string' && password.length >= PasswordLength.min && Buffer.byteLength(password) <= PasswordLength.max;
+}
+// The body of the mail sent with a password reset token
+function getPasswordResetText(user, token) {
+    let minutes = Math.round(KEBAPI_AUTH_PASSWORD_RESET_EXPIRY_MS / (60 * 1000));
+    return [
+        `Hi ${user.name},`,
+        ``,
+        `Someone asked to reset the password of your kebapi account, ${user.username}. If it was you, POST this token`,
+        `with your new_password to /users/password/reset within ${minutes} minutes. It can only be used once.`,
+        ``,
+        token,
+        ``,
+        `If it wasn't you, you can ignore this mail. Your password hasn't changed.`
+    ].join('\n');
+}
+
+// Mails a user a link to verify their email. user is { id, name, email }.
+async function sendEmailVerification(user) {
+    let token = await auth.getEmailVerificationToken(user.id, user.email);
+    let link = `${KEBAPI_SERVER_PUBLIC_URL}/users/verify?token=${encodeURIComponent(token)}`;
+    let hours = Math.round(KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS / (60 * 60 * 1000));
+    let text = [
+        `Hi ${user.name},`,
+        ``,
+        `Please verify your email for kebapi by following this link within ${hours} hours:`,
+        ``,
+        link,
+        ``,
+        `Until you do, there's not much your account can do. If you didn't sign up, you can ignore this mail.`
+    ].join('\n');
+    await mailer.send({ to: user.email, subject: `Verify your kebapi email`, text: text });
+}
+// As sendEmailVerification, but a failure is only logged, e.g. so registering still succeeds. The user can ask for another.
+async function trySendEmailVerification(user) {
+    try {
+        await sendEmailVerification(user);
+    } catch (err) {
+        logger.error(err);
+    }
+}
+
+// Adds the path a collection can be read at by anyone, while it's public
+function withSharePath(collection) {
+    return { ...collection, share_path: `/collections/shared/${collection.share_token}` };
+}
+
+// A feed item's place in the feed, as held in an after cursor: [occurred_at, type, id]
+function getFeedKey(item) {
+    return [new Date(item.occurred_at).toISOString(), item.type, item.id];
+}
+// Turns a decoded feed cursor key back into what dal.getUserFeed wants, or null for the start of the feed.
+// Returns undefined if the key isn't a feed key.
+function parseFeedKey(key) {
+    if (!Array.isArray(key)) {
+        return undefined;
+    }
+    if (key.length === 0) {
+        return null;
+    }
+    let [occurredAt, type, id] = key;
+    let isValid = key.length === 3
+        && typeof occurredAt === 'string' && !isNaN(Date.parse(occurredAt))
+        && Object.values(dal.FeedItemType).includes(type)
+        && Number.isInteger(id) && id > 0;
+    return isValid ? { occurred_at: new Date(occurredAt), type: type, id: id } : undefined;
+}
+/**
+ * Checks a user lookup result (e.g. from dal.getUserByUserName) for a user other than the given id
+ * @returns {boolean} true if a different user already has the value, false otherwise
+ * @param {any} id id of the user the value is meant for
+ * @param {Array} lookupResult rows returned by the lookup
+ */
+function isTakenByOtherUser(id, lookupResult) {
+    return Array.isArray(lookupResult) && lookupResult.some(row => row.id !== Number(id));
+}
+
+// Turns a from or to query param into a Date. A date means the start of that day, UTC.
+// Returns undefined if there's no param or it isn't a date or time.
+function parseDateRangeBound(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return openingHours.isValidDate(value) ? new Date(`${value}T00:00:00Z`) : openingHours.parseInstant(value);
+}
+
+// Splits a comma-separated tags query param into names, e.g. 'late-night, doner' into ['late-night', 'doner']
+function splitTagNames(tags) {
+    return String(tags).split(',').map(name => name.trim());
+}
+
+/**
+ * Gets the ids of the venues that are open at an instant. Venues with no opening hours are left out, since
+ * there's no knowing.
+ * @returns {Array} venue ids
+ * @param {Date} instant
+ * @param {object} filters (optional) any other venue filters, as for dal.getVenues, so only venues they leave are checked
+ */
+async function getVenueIdsOpenAt(instant, filters) {
+    // Wherever a venue is, its local date is within a day of the UTC date. Its yesterday is needed too, for overnight hours.
+    // Only venues the other filters leave, with hours on those dates, are loaded.
+    let utcDate = instant.toISOString().slice(0, 10);
+    let schedules = await dal.getOpeningSchedulesBetween(openingHours.addDays(utcDate, -2), openingHours.addDays(utcDate, 1), filters);
+    return Object.keys(schedules).filter(id => openingHours.isOpenAt(schedules[id], instant) === true).map(Number);
+}
+
+
 // Some response helpers
 async function responseBadRequest(msg = {}) {
     return formatResult(responseCodes.BadRequest, msg);
@@ -438,20 +2610,38 @@ async function responseForbidden(msg = {}) {
 async function responseNotFound(msg = {}) {
     return formatResult(responseCodes.NotFound, msg);
 }
+async function responseMethodNotAllowed(msg = {}) {
+    return formatResult(responseCodes.MethodNotAllowed, msg);
+}
 async function responsePayloadTooLarge(msg = {}) {
     return formatResult(responseCodes.PayloadTooLarge, msg);
 }
+async function responseTooManyRequests(msg = {}, retryAfterSeconds) {
+    return formatResult(responseCodes.TooManyRequests, msg, { headers: { 'Retry-After': String(retryAfterSeconds) } });
+}
 async function responseInternalServerError(msg = {}) {
     return formatResult(responseCodes.InternalServerError, msg);
 }
 
 
 module.exports = {
-    responseBadRequest, responseUnauthorised, responseForbidden, responseNotFound, responsePayloadTooLarge, responseInternalServerError,
-    getVenue, getVenues,
-    registerUser, activateUser, deactivateUser, getUser, getUsers, loginUser,
+    getHealth, getReady,
+    responseBadRequest, responseUnauthorised, responseForbidden, responseNotFound, responseMethodNotAllowed, responsePayloadTooLarge, responseTooManyRequests, responseInternalServerError,
+    getVenue, getVenues, getVenuesNear, addVenue, updateVenue, deleteVenue, setVenueOpeningHours,
+    getVenueMenu, addMenuItem, updateMenuItem, deleteMenuItem,
+    getTags, addTag, updateTag, deleteTag, addVenueTag, removeVenueTag,
+    getVenueMedia, attachVenueMedia, updateVenueMedia, detachVenueMedia, reorderVenueMedia, setVenueMainMedia,
+    getMedia, uploadMedia,
+    registerUser, activateUser, deactivateUser, updateUser, getUser, getUsers, loginUser,
+    changeUserPassword, requestPasswordReset, resetPassword, resendEmailVerification, verifyEmail,
     getUserRole,
     getUserAccountStatus,
     getUserFavourites, addUserFavourite, removeUserFavourite,
+    getUserCollections, getCollection, getCollectionVenues, addCollection, updateCollection, deleteCollection,
+    addCollectionVenue, removeCollectionVenue, getSharedCollection, getSharedCollectionVenues,
+    getUserRecommendations,
+    getUserFollowing, getUserFollowers, followUser, unfollowUser, getUserFeed, getUserPrivacy, updateUserPrivacy,
+    getVenueReviews, addReview, updateReview, deleteReview,
+    addCheckIn, getUserCheckIns, getUserCheckInVenues,
     resetTestDB, getHash, getToken, verifyToken
 };
@@ -7,6 +7,7 @@
 'use strict';
 
 const util = require('util');
+const crypto = require('crypto');
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
@@ -15,12 +16,19 @@ const logger = require('./logger');
 
 const {
     KEBAPI_AUTH_SECRET,
-    KEBAPI_AUTH_TOKEN_EXPIRY_MS // Expiry time in miliseconds
+    KEBAPI_AUTH_TOKEN_EXPIRY_MS, // Expiry time in miliseconds
+    KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS
 } = require('./config');
 
 jwt.sign = util.promisify(jwt.sign);
 jwt.verify = util.promisify(jwt.verify);
 
+// Bytes of randomness in a one-time token, e.g. for a password reset. Shown as hex, so tokens are twice as many characters.
+const ONE_TIME_TOKEN_BYTES = 32;
+
+// Email verification tokens are signed with a key of their own, so they can't pass for login tokens, or the other way round
+const EMAIL_VERIFICATION_KEY = crypto.createHmac('sha256', KEBAPI_AUTH_SECRET).update('email-verification').digest('hex');
+
 (() => {
 
     async function getHash(value) {
@@ -43,9 +51,10 @@ jwt.verify = util.promisify(jwt.verify);
             throw err;
         }
     }
-    async function getToken(id) {
+    // version is the user's token version. Tokens of an older version are refused, e.g. once the password changes.
+    async function getToken(id, version = 0) {
         try {
-            let token = await jwt.sign({ id: id }, KEBAPI_AUTH_SECRET, { expiresIn: KEBAPI_AUTH_TOKEN_EXPIRY_MS });
+            let token = await jwt.sign({ id: id, ver: version }, KEBAPI_AUTH_SECRET, { expiresIn: KEBAPI_AUTH_TOKEN_EXPIRY_MS });
             return token;
         }
         catch (err) {
@@ -54,12 +63,29 @@ jwt.verify = util.promisify(jwt.verify);
         }
     }
     async function verifyToken(token) {
+        return await verifyWithKey(token, KEBAPI_AUTH_SECRET);
+    }
+    // Signs a user's email address, for the link that verifies it. The link stops working if the email changes.
+    async function getEmailVerificationToken(id, email) {
+        try {
+            let token = await jwt.sign({ id: id, email: email }, EMAIL_VERIFICATION_KEY, { expiresIn: Math.floor(KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS / 1000) });
+            return token;
+        }
+        catch (err) {
+            logger.error(err);
+            throw err;
+        }
+    }
+    async function verifyEmailVerificationToken(token) {
+        return await verifyWithKey(token, EMAIL_VERIFICATION_KEY);
+    }
+    async function verifyWithKey(token, key) {
         let verified = false;
         let payload;
         let rejectReason;
         let rejectErrorType;
         try {
-            payload = await jwt.verify(token, KEBAPI_AUTH_SECRET);
+            payload = await jwt.verify(token, key);
             verified = true;
         } catch (err) {
             // Seems there's no distinction between jwt.verify failing due to an internal error and 
@@ -79,9 +105,20 @@ jwt.verify = util.promisify(jwt.verify);
             ...rejectErrorType ? { rejectErrorType: rejectErrorType } : {}
         };
     }
+    // A random token to be handed out once, e.g. mailed for a password reset, and its hash. Only the hash is stored,
+    // so the tokens can't be read back out of the DB. They're too random to need bcrypt, and a plain hash can be looked up.
+    function getOneTimeToken() {
+        let token = crypto.randomBytes(ONE_TIME_TOKEN_BYTES).toString('hex');
+        return { token: token, hash: getOneTimeTokenHash(token) };
+    }
+    function getOneTimeTokenHash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
     module.exports = {
         getHash, comparePlainTextToHash,
-        getToken, verifyToken
+        getToken, verifyToken,
+        getEmailVerificationToken, verifyEmailVerificationToken,
+        getOneTimeToken, getOneTimeTokenHash
     };
 
 })();
@@ -12,6 +12,43 @@ module.exports = {
     // Server
     KEBAPI_SERVER_PORT: parseInt(process.env.KEBAPI_SERVER_PORT, 10) || 8080,
     KEBAPI_SERVER_POST_MAX_SIZE: parseInt(process.env.KEBAPI_SERVER_POST_MAX_SIZE, 10) || 16 * 1024,
+    KEBAPI_SERVER_SHUTDOWN_TIMEOUT_MS: parseInt(process.env.KEBAPI_SERVER_SHUTDOWN_TIMEOUT_MS, 10) || 10 * 1000, // Max time to wait for in-flight requests on shutdown
+    KEBAPI_SERVER_PUBLIC_URL: process.env.KEBAPI_SERVER_PUBLIC_URL || 'http://localhost:8080', // Where clients reach the server, for links in mail. No trailing slash.
+    // CORS. Lists are comma-separated.
+    KEBAPI_CORS_ALLOWED_ORIGINS: (process.env.KEBAPI_CORS_ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(s => s !== ''), // e.g. 'https://kebapi.example' or '*'. None allowed by default.
+    KEBAPI_CORS_ALLOWED_METHODS: (process.env.KEBAPI_CORS_ALLOWED_METHODS || 'GET,POST,PUT,PATCH,DELETE,OPTIONS').split(',').map(s => s.trim()),
+    KEBAPI_CORS_ALLOWED_HEADERS: (process.env.KEBAPI_CORS_ALLOWED_HEADERS || 'Content-Type,x-access-token,Range,If-None-Match,If-Modified-Since,If-Range').split(',').map(s => s.trim()),
+    KEBAPI_CORS_EXPOSED_HEADERS: (process.env.KEBAPI_CORS_EXPOSED_HEADERS || 'Allow,Content-Range,Accept-Ranges,ETag,Last-Modified,Retry-After').split(',').map(s => s.trim()).filter(s => s !== ''),
+    KEBAPI_CORS_ALLOW_CREDENTIALS: process.env.KEBAPI_CORS_ALLOW_CREDENTIALS === 'true',
+    KEBAPI_CORS_MAX_AGE: parseInt(process.env.KEBAPI_CORS_MAX_AGE, 10) || 600, // Seconds browsers may cache a preflight response
+    // Rate limiting. Each limit allows max requests per window.
+    KEBAPI_RATE_LIMIT_TRUST_PROXY: process.env.KEBAPI_RATE_LIMIT_TRUST_PROXY === 'true', // Take the client IP from X-Forwarded-For. Only enable behind a proxy that sets it.
+    KEBAPI_RATE_LIMIT_LOGIN_IP_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_IP_WINDOW_MS, 10) || 15 * 60 * 1000, // Failed logins per IP. Successful logins don't count.
+    KEBAPI_RATE_LIMIT_LOGIN_IP_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_IP_MAX, 10) || 20,
+    KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_WINDOW_MS, 10) || 15 * 60 * 1000, // Failed logins per account from one IP
+    KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_MAX, 10) || 5,
+    KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MS, 10) || 60 * 60 * 1000, // Failed logins per account from any IP. Looser, since anyone can use it up.
+    KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_MAX, 10) || 30,
+    KEBAPI_RATE_LIMIT_REGISTER_IP_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_REGISTER_IP_WINDOW_MS, 10) || 60 * 60 * 1000,
+    KEBAPI_RATE_LIMIT_REGISTER_IP_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_REGISTER_IP_MAX, 10) || 10,
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_WINDOW_MS, 10) || 60 * 60 * 1000,
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_MAX, 10) || 10,
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_WINDOW_MS, 10) || 60 * 60 * 1000, // Per email, so nobody's inbox can be flooded with reset mail
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_MAX, 10) || 3,
+    KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_WINDOW_MS: parseInt(process.env.KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_WINDOW_MS, 10) || 60 * 60 * 1000,
+    KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_MAX: parseInt(process.env.KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_MAX, 10) || 5,
+    // Venues
+    KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M: parseInt(process.env.KEBAPI_VENUES_NEAR_DEFAULT_RADIUS_M, 10) || 1000, // Radius of venues/near when none is given
+    KEBAPI_VENUES_NEAR_MAX_RADIUS_M: parseInt(process.env.KEBAPI_VENUES_NEAR_MAX_RADIUS_M, 10) || 50 * 1000,
+    // Check-ins
+    KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS: isNaN(parseInt(process.env.KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS, 10)) ? 60 * 60 * 1000 : parseInt(process.env.KEBAPI_CHECKIN_DUPLICATE_WINDOW_MS, 10), // A user's repeat check-in at a venue within this long is refused as a duplicate. 0 turns this off.
+    // Media
+    KEBAPI_MEDIA_ROOT: process.env.KEBAPI_MEDIA_ROOT || 'media', // Directory media paths in the DB are relative to. Relative to the working directory unless absolute.
+    KEBAPI_MEDIA_UPLOAD_MAX_SIZE: parseInt(process.env.KEBAPI_MEDIA_UPLOAD_MAX_SIZE, 10) || 5 * 1024 * 1024, // Separate to KEBAPI_SERVER_POST_MAX_SIZE, since uploads are much larger
+    KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES: (process.env.KEBAPI_MEDIA_UPLOAD_ALLOWED_TYPES || 'image/jpeg,image/png,image/gif,image/webp').split(',').map(s => s.trim().toLowerCase()), // Comma-separated
+    // Mail
+    KEBAPI_MAIL_FROM: process.env.KEBAPI_MAIL_FROM || 'kebapi@localhost',
+    KEBAPI_MAIL_OUTBOX_DIR: process.env.KEBAPI_MAIL_OUTBOX_DIR || 'outbox', // Where the default mail transport writes mail, instead of sending it. Relative to the working directory unless absolute.
     // DB
     KEBAPI_DB_NAME: process.env.KEBAPI_DB_NAME || 'kebabd_db',
     KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS: parseInt(process.env.KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS, 10) || 100,
@@ -22,9 +59,12 @@ module.exports = {
     KEBAPI_DB_CHARSET: process.env.KEBAPI_DB_CHARSET || 'utf8mb4',
     KEBAPI_DB_TIMEZONE: process.env.KEBAPI_DB_TIMEZONE || 'z',
     KEBAPI_DB_MAX_PATH_SIZE: parseInt(process.env.KEBAPI_DB_MAX_PATH_SIZE, 10) || 260, // Max path size for files. Configurable since upper limit can vary by OS and data store.
+    KEBAPI_DB_VERIFY_TTL_MS: parseInt(process.env.KEBAPI_DB_VERIFY_TTL_MS, 10) || 60 * 1000, // How long a successful check of the DB and its tables is cached for
     // Authorisation
     KEBAPI_AUTH_SECRET: process.env.KEBAPI_AUTH_SECRET || 'c0876970129d079ea69c96c30475b557', // a random MD5 hash
-    KEBAPI_AUTH_TOKEN_EXPIRY_MS: process.env.KEBAPI_AUTH_TOKEN_EXPIRY_MS || 86400 // 24 hours
+    KEBAPI_AUTH_TOKEN_EXPIRY_MS: process.env.KEBAPI_AUTH_TOKEN_EXPIRY_MS || 86400, // 24 hours
+    KEBAPI_AUTH_PASSWORD_RESET_EXPIRY_MS: parseInt(process.env.KEBAPI_AUTH_PASSWORD_RESET_EXPIRY_MS, 10) || 60 * 60 * 1000, // How long a password reset token can be used for
+    KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS: parseInt(process.env.KEBAPI_AUTH_EMAIL_VERIFICATION_EXPIRY_MS, 10) || 24 * 60 * 60 * 1000 // How long an email verification link works for
 };
 
 
@@ -0,0 +1,88 @@
+﻿/**
+ * Cross-Origin Resource Sharing (CORS) headers, so browser clients on other origins can use the API.
+ *
+ * Allowed origins, methods and headers all come from config. No origins are allowed by default.
+ *
+ * */
+
+'use strict';
+
+const {
+    KEBAPI_CORS_ALLOWED_ORIGINS, // e.g. ['https://kebapi.example'], or ['*'] for any origin
+    KEBAPI_CORS_ALLOWED_METHODS,
+    KEBAPI_CORS_ALLOWED_HEADERS,
+    KEBAPI_CORS_EXPOSED_HEADERS, // Response headers browser scripts are allowed to read
+    KEBAPI_CORS_ALLOW_CREDENTIALS,
+    KEBAPI_CORS_MAX_AGE // How long in seconds browsers may cache a preflight response
+} = require('./config');
+
+const ANY_ORIGIN = '*';
+
+/**
+ * Checks if a request is a CORS preflight, i.e. OPTIONS with Origin and Access-Control-Request-Method
+ *
+ * @param {any} req request
+ * @returns {boolean} true if req is a preflight request, false otherwise
+ */
+function isPreflight(req) {
+    return req.method === 'OPTIONS' && !!req.headers['origin'] && !!req.headers['access-control-request-method'];
+}
+
+/**
+ * Gets the CORS headers for an ordinary (non-preflight) response
+ *
+ * @param {any} req request
+ * @returns {object} headers. Empty if the request has no Origin, or its Origin isn't allowed.
+ */
+function getCorsHeaders(req) {
+    let origin = req.headers['origin'];
+    if (!isOriginAllowed(origin)) {
+        return {};
+    }
+    return {
+        ...getOriginHeaders(origin),
+        ...KEBAPI_CORS_EXPOSED_HEADERS.length > 0 ? { 'Access-Control-Expose-Headers': KEBAPI_CORS_EXPOSED_HEADERS.join(', ') } : {}
+    };
+}
+
+/**
+ * Gets the headers answering a CORS preflight request
+ *
+ * @param {any} req request
+ * @returns {object} headers. Empty if the request's Origin isn't allowed, which the browser treats as a refusal.
+ */
+function getPreflightHeaders(req) {
+    let origin = req.headers['origin'];
+    if (!isOriginAllowed(origin)) {
+        return {};
+    }
+    return {
+        ...getOriginHeaders(origin),
+        'Access-Control-Allow-Methods': KEBAPI_CORS_ALLOWED_METHODS.join(', '),
+        'Access-Control-Allow-Headers': KEBAPI_CORS_ALLOWED_HEADERS.join(', '),
+        'Access-Control-Max-Age': String(KEBAPI_CORS_MAX_AGE)
+    };
+}
+
+
+/*
+ * Helpers
+ */
+
+function isOriginAllowed(origin) {
+    return !!origin && (KEBAPI_CORS_ALLOWED_ORIGINS.includes(ANY_ORIGIN) || KEBAPI_CORS_ALLOWED_ORIGINS.includes(origin));
+}
+
+function getOriginHeaders(origin) {
+    // Browsers reject a literal '*' when credentials are allowed, so echo the origin back instead.
+    // Vary tells caches the response differs by Origin.
+    let allowOrigin = KEBAPI_CORS_ALLOWED_ORIGINS.includes(ANY_ORIGIN) && !KEBAPI_CORS_ALLOW_CREDENTIALS ? ANY_ORIGIN : origin;
+    return {
+        'Access-Control-Allow-Origin': allowOrigin,
+        ...allowOrigin !== ANY_ORIGIN ? { 'Vary': 'Origin' } : {},
+        ...KEBAPI_CORS_ALLOW_CREDENTIALS ? { 'Access-Control-Allow-Credentials': 'true' } : {}
+    };
+}
+
+
+module.exports = { isPreflight, getCorsHeaders, getPreflightHeaders };
@@ -14,9 +14,11 @@
 
 const mysql = require('mysql');
 const util = require('util');
+const crypto = require('crypto');
 
 const { Role } = require('./roles');
 const logger = require('./logger');
+const { EARTH_RADIUS_M } = require('./geo');
 
 // Configurable constants. Pulled from config file.
 const {
@@ -28,16 +30,40 @@ const {
     KEBAPI_DB_PASSWORD,
     KEBAPI_DB_CHARSET,
     KEBAPI_DB_TIMEZONE,
-    KEBAPI_DB_MAX_PATH_SIZE
+    KEBAPI_DB_MAX_PATH_SIZE,
+    KEBAPI_DB_VERIFY_TTL_MS // How long a successful DB verification is trusted before checking again
 } = require('./config');
 
+// Name a user's default collection, i.e. their favourites, is created with
+const DEFAULT_COLLECTION_NAME = 'Favourites';
+
+// Bytes of randomness in a collection's share token. Shown as hex, so tokens are twice as many characters.
+const SHARE_TOKEN_BYTES = 16;
+
+// How venue recommendations are scored (see getRecommendedVenues). Each similar user who favourited a venue adds
+// the number of favourites they have in common with the user, so at least 1. A venue's rating, and optionally its
+// nearness, add up to these weights, which lets them order venues with no such signal, e.g. for new users. They add
+// up to less than 1 between them, so that co-occurrence always comes first.
+const RECOMMENDATION_RATING_WEIGHT = 0.4;
+const RECOMMENDATION_NEAR_WEIGHT = 0.5;
 
 // Database table names.
 // enum
 const DbTable = Object.freeze({
     VENUES: 'venues',
     USERS: 'users',
-    USER_FAVOURITE_VENUES: 'user_favourite_venues',
+    PASSWORD_RESETS: 'password_resets',
+    COLLECTIONS: 'collections',
+    COLLECTION_VENUES: 'collection_venues',
+    USER_FOLLOWS: 'user_follows',
+    REVIEWS: 'reviews',
+    CHECK_INS: 'check_ins',
+    VENUE_OPENING_HOURS: 'venue_opening_hours',
+    VENUE_OPENING_EXCEPTIONS: 'venue_opening_exceptions',
+    MENU_ITEMS: 'menu_items',
+    TAGS: 'tags',
+    VENUE_TAGS: 'venue_tags',
+    VENUE_MEDIA: 'venue_media',
     LOOKUP_ROLES: 'lookup_roles',
     LOOKUP_USER_ACCOUNT_STATUS: 'lookup_user_account_status',
     MEDIA: 'media'
@@ -53,6 +79,47 @@ const DbErr = Object.freeze({
 });
 
 
+// Columns venues can be sorted by
+// enum
+const VenueSort = Object.freeze({
+    ID: 'id',
+    NAME: 'name',
+    RATING: 'rating' // The rating users see. See VENUE_RATING_SQL.
+});
+
+// The rating users see for a venue: its average review score, or its own rating until it's reviewed
+const VENUE_RATING_SQL = 'COALESCE(v.review_rating, v.rating)';
+
+// enum
+const SortOrder = Object.freeze({
+    ASC: 'asc',
+    DESC: 'desc'
+});
+
+// How a venue filter on more than one tag matches
+// enum
+const TagMode = Object.freeze({
+    ANY: 'any', // Venues with at least one of the tags
+    ALL: 'all' // Venues with every one of the tags
+});
+
+// Kinds of item in a user's feed
+// enum
+const FeedItemType = Object.freeze({
+    FAVOURITE: 'favourite', // A followed user favourited a venue. Only if they share their favourites.
+    REVIEW: 'review' // A followed user reviewed a venue. Reviews are public, so always shown.
+});
+
+// Dietary flags a menu item can have. Stored in a SET column, so adding one means altering menu_items too.
+// enum
+const DietaryFlag = Object.freeze({
+    HALAL: 'halal',
+    VEGETARIAN: 'vegetarian',
+    VEGAN: 'vegan',
+    GLUTEN_FREE: 'gluten_free'
+});
+
+
 // User account status. At present using it to flag a 'deleted' or 'undeleted' account,
 // but can have any number of statuses.
 // enum
@@ -66,6 +133,8 @@ const UserAccountStatus = Object.freeze({
 
 let pool; // Going with a global for use in this module. Requires calling initialisePool to thoroughly mutate it into something useful.
 
+let dbVerification = { result: undefined, verifiedAt: 0 }; // Last successful verifyDB result. See verifyDB().
+
 
 (function initialise() {
     logger.info('> initialise');
@@ -100,6 +169,13 @@ function initialisePool(connectionPool) {
         });
         connectionPool.on('connection', (connection) => {
             logger.info(`Connection id ${connection.threadId} connected`);
+            // USE only applies to the connection it runs on, so target the DB on every new connection.
+            // It's fine for this to fail if the DB doesn't exist yet, e.g. before resetTestDB.
+            connection.query(`USE ??;`, [KEBAPI_DB_NAME], (err) => {
+                if (err) {
+                    logger.warn(`Connection id ${connection.threadId} could not target DB: ${err.message}`);
+                }
+            });
         });
         connectionPool.on('enqueue', () => {
             logger.info(`Waiting for available connection slot`);
@@ -116,6 +192,46 @@ function initialisePool(connectionPool) {
     return connectionPool;
 }
 
+/**
+ * Runs queries in a transaction on a single pooled connection. Commits if work resolves, otherwise
+ * rolls back and rethrows.
+ *
+ * @param {function} work async fn given a promisified query fn, e.g. async (query) => { await query(sql, values); }
+ * @returns {any} whatever work resolves to
+ */
+async function withTransaction(work) {
+    let connection = await util.promisify(pool.getConnection).call(pool);
+    let query = util.promisify(connection.query).bind(connection);
+    try {
+        await query(`START TRANSACTION;`);
+        let result = await work(query);
+        await query(`COMMIT;`);
+        return result;
+    } catch (err) {
+        logger.error(err);
+        try {
+            await query(`ROLLBACK;`);
+        } catch (rollbackErr) {
+            logger.error(rollbackErr);
+        }
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+// Ends all connections in the pool, once any queued queries have run. Used on shutdown.
+async function closePool() {
+    let closed = false;
+    try {
+        await new Promise((resolve, reject) => pool.end(err => err ? reject(err) : resolve()));
+        closed = true;
+    } catch (err) {
+        logger.error(err);
+    }
+    return closed;
+}
+
 /* - - - - - Database utility and maintenance - - - - - */
 
 async function dropDatabase() {
@@ -160,11 +276,25 @@ async function createTables() {
             name VARCHAR(50) NOT NULL,
             surname VARCHAR(50) NOT NULL,
             email VARCHAR(320) NOT NULL UNIQUE,
+            email_verified_at DATETIME,                                                 -- NULL until the user follows the link mailed to them. Unverified users can do less.
             password_hash CHAR(60) NOT NULL,
             role_id TINYINT UNSIGNED, FOREIGN KEY (role_id) REFERENCES ?? (id),
-            account_status_id TINYINT UNSIGNED, FOREIGN KEY (account_status_id) REFERENCES ?? (id)
+            account_status_id TINYINT UNSIGNED, FOREIGN KEY (account_status_id) REFERENCES ?? (id),
+            share_favourites BOOLEAN NOT NULL DEFAULT FALSE,                            -- Whether followers see the user's new favourites in their feeds
+            token_version INT UNSIGNED NOT NULL DEFAULT 0                               -- Goes up when the password changes. Tokens of an older version are refused.
         );`, [DbTable.USERS, DbTable.LOOKUP_ROLES, DbTable.LOOKUP_USER_ACCOUNT_STATUS]);
 
+        // password_resets
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            user_id INT UNSIGNED NOT NULL, FOREIGN KEY (user_id) REFERENCES ?? (id),
+            token_hash CHAR(64) NOT NULL UNIQUE,                                        -- SHA-256 of the mailed token, in hex. The token itself isn't kept.
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,                                                           -- NULL until used. Each token can be used once.
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX (user_id)
+        );`, [DbTable.PASSWORD_RESETS, DbTable.USERS]);
+
         // media
         result = await pool.query(`CREATE TABLE ?? (
             id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),                  -- PK
@@ -180,11 +310,114 @@ async function createTables() {
             geo_lng DECIMAL(9,6),
             address VARCHAR(255),
             rating TINYINT,
-            main_media_id INT UNSIGNED NOT NULL, FOREIGN KEY (main_media_id) REFERENCES ?? (id)
+            review_rating DECIMAL(3,2),                                                 -- Average review score, or NULL if unreviewed. Kept in sync by the review fns.
+            review_count INT UNSIGNED NOT NULL DEFAULT 0,
+            visit_count INT UNSIGNED NOT NULL DEFAULT 0,                                -- Number of check-ins. Kept in sync by the check-in fns.
+            timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',                                -- IANA timezone opening hours are local to, e.g. Europe/Madrid
+            main_media_id INT UNSIGNED NOT NULL, FOREIGN KEY (main_media_id) REFERENCES ?? (id),
+            INDEX (geo_lat, geo_lng) -- Bounding box searches, see getVenuesNear
         );`, [DbTable.VENUES, DbTable.MEDIA]);
 
-        // user_favourite_venues
-        result = await pool.query(`CREATE TABLE ?? (id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id), user_id INT UNSIGNED NOT NULL, venue_id INT UNSIGNED NOT NULL, UNIQUE(user_id, venue_id), FOREIGN KEY (user_id) REFERENCES ?? (id), FOREIGN KEY (venue_id) REFERENCES ?? (id));`, [DbTable.USER_FAVOURITE_VENUES, DbTable.USERS, DbTable.VENUES]);
+        // collections
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            user_id INT UNSIGNED NOT NULL, FOREIGN KEY (user_id) REFERENCES ?? (id),
+            name VARCHAR(100) NOT NULL,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,                                  -- The user's favourites. One per user, made when first needed.
+            is_public BOOLEAN NOT NULL DEFAULT FALSE,                                   -- Readable by anyone with the share token
+            share_token CHAR(?) NOT NULL UNIQUE,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX (user_id, is_default)
+        );`, [DbTable.COLLECTIONS, DbTable.USERS, SHARE_TOKEN_BYTES * 2]);
+
+        // collection_venues
+        result = await pool.query(`CREATE TABLE ?? (id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id), collection_id INT UNSIGNED NOT NULL, venue_id INT UNSIGNED NOT NULL, added_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP, UNIQUE(collection_id, venue_id), INDEX (venue_id), FOREIGN KEY (collection_id) REFERENCES ?? (id), FOREIGN KEY (venue_id) REFERENCES ?? (id));`, [DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, DbTable.VENUES]);
+
+        // user_follows
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            follower_id INT UNSIGNED NOT NULL, FOREIGN KEY (follower_id) REFERENCES ?? (id),
+            followee_id INT UNSIGNED NOT NULL, FOREIGN KEY (followee_id) REFERENCES ?? (id),
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (follower_id, followee_id),                                          -- A user can follow another once
+            INDEX (followee_id)                                                         -- Listing a user's followers
+        );`, [DbTable.USER_FOLLOWS, DbTable.USERS, DbTable.USERS]);
+
+        // reviews
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            user_id INT UNSIGNED NOT NULL, FOREIGN KEY (user_id) REFERENCES ?? (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            score TINYINT UNSIGNED NOT NULL,
+            text VARCHAR(2000) NOT NULL DEFAULT '',
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE (user_id, venue_id),                                                 -- One review per user per venue
+            INDEX (venue_id, created_at)                                                -- Listing a venue's reviews, newest first
+        );`, [DbTable.REVIEWS, DbTable.USERS, DbTable.VENUES]);
+
+        // check_ins
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            user_id INT UNSIGNED NOT NULL, FOREIGN KEY (user_id) REFERENCES ?? (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            note VARCHAR(500) NOT NULL DEFAULT '',
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX (user_id, created_at),                                                -- Listing a user's visits, newest first
+            INDEX (venue_id, user_id, created_at)                                       -- Finding a user's last check-in at a venue
+        );`, [DbTable.CHECK_INS, DbTable.USERS, DbTable.VENUES]);
+
+        // venue_opening_hours
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            day TINYINT UNSIGNED NOT NULL,                                              -- ISO day of the week, 1 (Monday) to 7 (Sunday)
+            opens TIME NOT NULL,
+            closes TIME NOT NULL,                                                       -- At or before opens means closing the next day
+            INDEX (venue_id, day)
+        );`, [DbTable.VENUE_OPENING_HOURS, DbTable.VENUES]);
+
+        // venue_opening_exceptions
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            date DATE NOT NULL,                                                         -- Replaces the weekly hours for this date
+            opens TIME,                                                                 -- NULL opens and closes means closed all day
+            closes TIME,
+            INDEX (venue_id, date)
+        );`, [DbTable.VENUE_OPENING_EXCEPTIONS, DbTable.VENUES]);
+
+        // menu_items
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            name VARCHAR(100) NOT NULL,
+            description VARCHAR(500) NOT NULL DEFAULT '',
+            price DECIMAL(8,2) NOT NULL,
+            currency CHAR(3) NOT NULL,                                                  -- ISO 4217 code, e.g. EUR
+            dietary SET(?) NOT NULL DEFAULT '',                                         -- Any of DietaryFlag
+            INDEX (venue_id)
+        );`, [DbTable.MENU_ITEMS, DbTable.VENUES, Object.values(DietaryFlag)]);
+
+        // tags
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            name VARCHAR(40) NOT NULL UNIQUE                                            -- Lowercase, hyphenated, e.g. late-night
+        );`, [DbTable.TAGS]);
+
+        // venue_tags
+        result = await pool.query(`CREATE TABLE ?? (id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id), venue_id INT UNSIGNED NOT NULL, tag_id INT UNSIGNED NOT NULL, UNIQUE(venue_id, tag_id), INDEX (tag_id), FOREIGN KEY (venue_id) REFERENCES ?? (id), FOREIGN KEY (tag_id) REFERENCES ?? (id));`, [DbTable.VENUE_TAGS, DbTable.VENUES, DbTable.TAGS]);
+
+        // venue_media
+        result = await pool.query(`CREATE TABLE ?? (
+            id INT UNSIGNED NOT NULL AUTO_INCREMENT, PRIMARY KEY (id),
+            venue_id INT UNSIGNED NOT NULL, FOREIGN KEY (venue_id) REFERENCES ?? (id),
+            media_id INT UNSIGNED NOT NULL, FOREIGN KEY (media_id) REFERENCES ?? (id),
+            position INT UNSIGNED NOT NULL,                                             -- Gallery order, from 1. Kept gapless by the venue media fns.
+            caption VARCHAR(255) NOT NULL DEFAULT '',
+            UNIQUE (venue_id, media_id),                                                -- Media can be in a venue's gallery once
+            INDEX (venue_id, position)
+        );`, [DbTable.VENUE_MEDIA, DbTable.VENUES, DbTable.MEDIA]);
 
         created = true;
     } catch (err) {
@@ -217,18 +450,18 @@ async function insertTestData() {
 
         // users
         result = await pool.query(`
-            INSERT INTO ?? (id, username, name, surname, email, password_hash, role_id, account_status_id) VALUES
+            INSERT INTO ?? (id, username, name, surname, email, email_verified_at, password_hash, role_id, account_status_id, share_favourites) VALUES
             -- test hashes generated at: https://bcrypt-generator.com/
             -- plain pwd: bob1      rounds: 8   hash: $2y$08$9V7mg7B1O.m7vUTIizdTH.DjyiFOjPEa4tN/cQv9vwTv7.qbs7nu.
-            (1, 'aard', 'Bob', 'Smithers', 'aard@smithers.com', '$2y$08$9V7mg7B1O.m7vUTIizdTH.DjyiFOjPEa4tN/cQv9vwTv7.qbs7nu.', ?, ?),
+            (1, 'aard', 'Bob', 'Smithers', 'aard@smithers.com', '2019-08-10 09:00:00', '$2y$08$9V7mg7B1O.m7vUTIizdTH.DjyiFOjPEa4tN/cQv9vwTv7.qbs7nu.', ?, ?, FALSE),
             -- plain pwd: lucy1     rounds: 8   hash: $2y$08$NrLM7FPM9K/iYhCnnAL26.QWBkUTdr4aN9m0DVelbZvRMz/A3Qf5q
-            (2, 'Babs', 'Lucy', 'Matthews', 'babs@matthews.co.uk', '$2y$08$NrLM7FPM9K/iYhCnnAL26.QWBkUTdr4aN9m0DVelbZvRMz/A3Qf5q', ?, ?),
+            (2, 'Babs', 'Lucy', 'Matthews', 'babs@matthews.co.uk', '2019-08-10 09:00:00', '$2y$08$NrLM7FPM9K/iYhCnnAL26.QWBkUTdr4aN9m0DVelbZvRMz/A3Qf5q', ?, ?, TRUE),
             -- plain pwd: percy1    rounds: 8   hash: $2y$08$wCDuc5ZmfwMp28GPmxP5uOejOvz3mkogp5KF3nkTwez3K8L8q.yFC
-            (3, 'MeatyMan', 'Percy', 'Archibald-Hyde', 'meatyman@archibald-hyde.eu', '$2y$08$wCDuc5ZmfwMp28GPmxP5uOejOvz3mkogp5KF3nkTwez3K8L8q.yFC', ?, ?),
+            (3, 'MeatyMan', 'Percy', 'Archibald-Hyde', 'meatyman@archibald-hyde.eu', '2019-08-10 09:00:00', '$2y$08$wCDuc5ZmfwMp28GPmxP5uOejOvz3mkogp5KF3nkTwez3K8L8q.yFC', ?, ?, FALSE),
             -- plain pwd: farquhar1 rounds: 8   hash: $2y$08$Zz23B5j431OdTEP2oW0jDuc7krZkdNIXgK.cIILnQuZDTD2RKq2q6
-            (4, 'kAb0000B', 'Farquhar', 'Rogers', 'kAb0000B@rogers.me', '$2y$08$Zz23B5j431OdTEP2oW0jDuc7krZkdNIXgK.cIILnQuZDTD2RKq2q6', ?, ?),
+            (4, 'kAb0000B', 'Farquhar', 'Rogers', 'kAb0000B@rogers.me', '2019-08-10 09:00:00', '$2y$08$Zz23B5j431OdTEP2oW0jDuc7krZkdNIXgK.cIILnQuZDTD2RKq2q6', ?, ?, FALSE),
             -- plain pwd: gigi1 rounds: 8   hash: $2y$08$jjz84rVjTkq0TrGQkxYKdejiCLLSzUdPLQTdsrDLDl.PeB/b0xv5y
-            (5, 'ItsGigi', 'Gigi', 'McInactive-User', 'gigi@gmail.com', '$2y$08$jjz84rVjTkq0TrGQkxYKdejiCLLSzUdPLQTdsrDLDl.PeB/b0xv5y', ?, ?)
+            (5, 'ItsGigi', 'Gigi', 'McInactive-User', 'gigi@gmail.com', '2019-08-10 09:00:00', '$2y$08$jjz84rVjTkq0TrGQkxYKdejiCLLSzUdPLQTdsrDLDl.PeB/b0xv5y', ?, ?, FALSE)
             ;
         `, [
                 DbTable.USERS,
@@ -258,31 +491,131 @@ async function insertTestData() {
 
         // venues
         result = await pool.query(`
-            INSERT INTO ?? (id, name, geo_lat, geo_lng, address, rating, main_media_id) VALUES
-            (1, 'Splendid Kebabs', 2, 1, '42 Bla Avenue, Madrid', 4, 1),
-            (2, 'The Kebaberie', 5, 2, '101 Santa Monica Way, Madrid', 3, 2),
-            (3, 'Meats Peeps', 7, 8, '276 Rita St, Madrid', 4, 3),
-            (4, 'The Rotisserie', 1, 9, '7 Rick Road, Madrid', 3, 4),
-            (5, 'The Dirty One', 4, 1, '10 Banana Place, Madrid', 5, 5),
-            (6, 'Bodrum Conundrum', 5, 5, '55 High Five Drive, Madrid', 2, 6),
-            (7, 'Korner Kebab', 3, 1, '11b Indy Place, Madrid', 1, 7),
-            (8, 'Star Kebab', 3, 6, '222 Crispy Crescent, Madrid', 4, 8),
-            (9, 'Kebab Slab', 5, 7, '5 Five Drive, Madrid', 3, 9),
-            (10, 'Turku Kebabi', 5, 7, '21B Baker Street, Madrid', 5, 10)
+            INSERT INTO ?? (id, name, geo_lat, geo_lng, address, rating, main_media_id, timezone) VALUES
+            (1, 'Splendid Kebabs', 2, 1, '42 Bla Avenue, Madrid', 4, 1, 'Europe/Madrid'),
+            (2, 'The Kebaberie', 5, 2, '101 Santa Monica Way, Madrid', 3, 2, 'Europe/Madrid'),
+            (3, 'Meats Peeps', 7, 8, '276 Rita St, Madrid', 4, 3, 'Europe/Madrid'),
+            (4, 'The Rotisserie', 1, 9, '7 Rick Road, Madrid', 3, 4, 'Europe/Madrid'),
+            (5, 'The Dirty One', 4, 1, '10 Banana Place, Madrid', 5, 5, 'Europe/Madrid'),
+            (6, 'Bodrum Conundrum', 5, 5, '55 High Five Drive, Madrid', 2, 6, 'Europe/Madrid'),
+            (7, 'Korner Kebab', 3, 1, '11b Indy Place, Madrid', 1, 7, 'Europe/Madrid'),
+            (8, 'Star Kebab', 3, 6, '222 Crispy Crescent, Madrid', 4, 8, 'Europe/Madrid'),
+            (9, 'Kebab Slab', 5, 7, '5 Five Drive, Madrid', 3, 9, 'Europe/Madrid'),
+            (10, 'Turku Kebabi', 5, 7, '21B Baker Street, Madrid', 5, 10, 'Europe/Madrid')
             ;
         `, [DbTable.VENUES]);
 
-        // user_favourite_venues
+        // collections
+        result = await pool.query(`
+            INSERT INTO ?? (id, user_id, name, is_default, is_public, share_token) VALUES
+            (1, 1, ?, TRUE, FALSE, '0c2d3e8bd2a14cd4a1ba5ab1e6e1d8f1'),
+            (2, 2, ?, TRUE, FALSE, '7f4e21a9b3c84d0f9e6a2c5b8d1f3e07'),
+            (3, 4, ?, TRUE, FALSE, 'c1a5e9d7f3b24e68a0d4c2b6e8f1a3d5'),
+            (4, 2, 'Date spots', FALSE, TRUE, '6b656261622d646174652d73706f7473') -- Babs has shared this one
+            ;
+        `, [DbTable.COLLECTIONS, DEFAULT_COLLECTION_NAME, DEFAULT_COLLECTION_NAME, DEFAULT_COLLECTION_NAME]);
+
+        // collection_venues
         result = await pool.query(`
-            INSERT INTO ?? (id, user_id, venue_id) VALUES
+            INSERT INTO ?? (id, collection_id, venue_id) VALUES
             (1, 1, 5), -- aard has favourited The Dirty One
             (2, 1, 4), -- aard has favourited The Rotisserie
             (3, 2, 3), -- Babs has favourited Meats Peeps
             (4, 2, 4), -- Babs has favourited The Rotisserie
             (5, 2, 2), -- Babs has favourited The Kebaberie
-            (6, 4, 6)  -- kAb0000B has Bodrum Conundrum
+            (6, 3, 6)  -- kAb0000B has Bodrum Conundrum
+            ;
+        `, [DbTable.COLLECTION_VENUES]);
+
+        // user_follows
+        result = await pool.query(`
+            INSERT INTO ?? (follower_id, followee_id) VALUES
+            (2, 1), -- Babs follows aard
+            (2, 3), -- Babs follows MeatyMan
+            (3, 2), -- MeatyMan follows Babs, who shares their favourites
+            (4, 2)  -- kAb0000B follows Babs
+            ;
+        `, [DbTable.USER_FOLLOWS]);
+
+        // check_ins
+        result = await pool.query(`
+            INSERT INTO ?? (id, user_id, venue_id, note, created_at) VALUES
+            (1, 2, 3, 'First visit. Great chilli sauce.', '2024-05-03 21:15:00'),
+            (2, 2, 3, '', '2024-06-14 22:40:00'),
+            (3, 2, 4, 'Late one.', '2024-06-20 01:05:00'),
+            (4, 3, 3, '', '2024-06-01 20:00:00')
+            ;
+        `, [DbTable.CHECK_INS]);
+        result = await pool.query(`UPDATE ?? AS v SET visit_count = (SELECT COUNT(*) FROM ?? AS ci WHERE ci.venue_id = v.id);`, [DbTable.VENUES, DbTable.CHECK_INS]);
+
+        // venue_opening_hours
+        result = await pool.query(`
+            INSERT INTO ?? (venue_id, day, opens, closes) VALUES
+            (1, 1, '12:00', '23:00'), (1, 2, '12:00', '23:00'), (1, 3, '12:00', '23:00'), (1, 4, '12:00', '23:00'),
+            (1, 5, '12:00', '23:00'), (1, 6, '12:00', '23:00'), (1, 7, '12:00', '23:00'), -- Splendid Kebabs, every day
+            (5, 1, '18:00', '04:00'), (5, 2, '18:00', '04:00'), (5, 3, '18:00', '04:00'), (5, 4, '18:00', '04:00'),
+            (5, 5, '18:00', '04:00'), (5, 6, '18:00', '04:00'), (5, 7, '18:00', '04:00'), -- The Dirty One, every night until 4am
+            (7, 1, '11:00', '15:00'), (7, 2, '11:00', '15:00'), (7, 3, '11:00', '15:00'), (7, 4, '11:00', '15:00'),
+            (7, 5, '11:00', '15:00') -- Korner Kebab, weekday lunchtimes
+            ;
+        `, [DbTable.VENUE_OPENING_HOURS]);
+
+        // venue_opening_exceptions
+        result = await pool.query(`
+            INSERT INTO ?? (venue_id, date, opens, closes) VALUES
+            (7, '2024-12-25', NULL, NULL) -- Korner Kebab, closed Christmas Day
+            ;
+        `, [DbTable.VENUE_OPENING_EXCEPTIONS]);
+
+        // menu_items
+        result = await pool.query(`
+            INSERT INTO ?? (id, venue_id, name, description, price, currency, dietary) VALUES
+            (1, 1, 'Doner Kebab', 'Lamb doner in pitta, with salad and garlic sauce', 6.50, 'EUR', 'halal'),
+            (2, 1, 'Falafel Wrap', 'Falafel, hummus and salad in a flatbread', 5.50, 'EUR', 'halal,vegetarian,vegan'),
+            (3, 5, 'Mixed Kebab Box', 'Chicken and lamb doner over chips', 9.00, 'EUR', ''),
+            (4, 5, 'Halloumi Wrap', 'Grilled halloumi, salad and chilli sauce', 7.00, 'EUR', 'vegetarian'),
+            (5, 7, 'Chicken Shish', 'Marinated chicken skewers with rice', 8.50, 'EUR', 'halal,gluten_free')
+            ;
+        `, [DbTable.MENU_ITEMS]);
+
+        // tags
+        result = await pool.query(`
+            INSERT INTO ?? (id, name) VALUES
+            (1, 'late-night'),
+            (2, 'delivery'),
+            (3, 'durum'),
+            (4, 'doner'),
+            (5, 'halal-certified')
+            ;
+        `, [DbTable.TAGS]);
+
+        // venue_tags
+        result = await pool.query(`
+            INSERT INTO ?? (venue_id, tag_id) VALUES
+            (1, 2), (1, 4), (1, 5), -- Splendid Kebabs: delivery, doner, halal-certified
+            (5, 1), (5, 4),         -- The Dirty One: late-night, doner
+            (7, 3), (7, 5),         -- Korner Kebab: durum, halal-certified
+            (8, 4),                 -- Star Kebab: doner
+            (10, 1), (10, 2), (10, 3) -- Turku Kebabi: late-night, delivery, durum
+            ;
+        `, [DbTable.VENUE_TAGS]);
+
+        // venue_media
+        result = await pool.query(`
+            -- NOTE: Every venue's main media is in its gallery
+            INSERT INTO ?? (venue_id, media_id, position, caption) VALUES
+            (1, 1, 1, 'Outside'), (1, 2, 2, 'The counter'), (1, 3, 3, 'Doner kebab'),
+            (2, 2, 1, ''),
+            (3, 3, 1, ''),
+            (4, 4, 1, ''),
+            (5, 5, 1, ''),
+            (6, 6, 1, ''),
+            (7, 7, 1, ''),
+            (8, 8, 1, ''),
+            (9, 9, 1, ''),
+            (10, 10, 1, '')
             ;
-        `, [DbTable.USER_FAVOURITE_VENUES]);
+        `, [DbTable.VENUE_MEDIA]);
 
         inserted = true;
     } catch (err) {
@@ -297,6 +630,7 @@ async function resetTestDB() {
 
     try {
         let result;
+        invalidateDBVerification();
         result = await dropDatabase();
         result = await createDatabase();
         result = await setTargetDB();
@@ -337,31 +671,14 @@ async function setTargetDB() {
 
     return set;
 }
-async function checkTableExists(tableName) {
-    let exists = false;
-    try {
-        const result = await pool.query(`SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? LIMIT 1;`, [KEBAPI_DB_NAME, tableName]);
-        if (result[0] && result[0].TABLE_NAME && result[0].TABLE_NAME === tableName) {
-            exists = true;
-        }
-    } catch {
-        logger.error(err);
-        throw err;
-    }
-
-    return exists;
-}
 async function checkTablesExist() {
     let allExist = false;
     let notFound = [];
     try {
-        // NOTE: forEach doesn't work well with async but for..of does.
-        for (const tableName of DB_TABLES) {
-            let exists = await checkTableExists(tableName);
-            if (!exists) {
-                notFound.push(tableName);
-            }
-        }
+        // One query for all tables, rather than one per table
+        const result = await pool.query(`SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME IN (?);`, [KEBAPI_DB_NAME, DB_TABLES]);
+        let found = result.map(row => row.TABLE_NAME);
+        notFound = DB_TABLES.filter(tableName => !found.includes(tableName));
     } catch (err) {
         logger.error(err);
         throw err;
@@ -374,6 +691,58 @@ async function checkTablesExist() {
         notFound: notFound
     };
 }
+async function pingDB() {
+    let reachable = false;
+    try {
+        await pool.query(`SELECT 1;`);
+        reachable = true;
+    } catch (err) {
+        // Unreachable is an answer, not an error
+        logger.error(err);
+    }
+    return reachable;
+}
+
+/**
+ * Verifies the DB exists, is targeted, and has all its tables. A successful verification is cached for
+ * KEBAPI_DB_VERIFY_TTL_MS, so this is cheap to call on every request. Failures are never cached.
+ *
+ * @param {object} options { useCache } set useCache false to force a fresh check
+ * @returns {object} { ready, dbExists, allExist, notFound, verifiedAt }
+ */
+async function verifyDB({ useCache = true } = {}) {
+    if (useCache && dbVerification.result && Date.now() - dbVerification.verifiedAt < KEBAPI_DB_VERIFY_TTL_MS) {
+        return dbVerification.result;
+    }
+    let result;
+    try {
+        let dbExists = await checkDBExists();
+        let tables = { allExist: false, notFound: [...DB_TABLES] };
+        if (dbExists) {
+            await setTargetDB();
+            tables = await checkTablesExist();
+        }
+        result = {
+            ready: dbExists && tables.allExist,
+            dbExists: dbExists,
+            allExist: tables.allExist,
+            notFound: tables.notFound,
+            verifiedAt: new Date().toISOString()
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    if (result.ready) {
+        dbVerification = { result: result, verifiedAt: Date.now() };
+    } else {
+        invalidateDBVerification();
+    }
+    return result;
+}
+function invalidateDBVerification() {
+    dbVerification = { result: undefined, verifiedAt: 0 };
+}
 
 
 
@@ -391,6 +760,10 @@ async function getVenue(id) {
                 v.geo_lng,
                 v.address,
                 v.rating,
+                v.review_rating,
+                v.review_count,
+                v.visit_count,
+                v.timezone,
                 m.media_path AS main_media_path
             FROM ?? AS v
             INNER JOIN ?? AS m
@@ -404,191 +777,1361 @@ async function getVenue(id) {
     }
     return result;
 }
-async function getVenues(startRow, maxRows) {
+/**
+ * Gets a page of venues, optionally filtered and sorted
+ *
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @param {object} filters (optional) { q, minRating, maxRating, hasItem, tags, tagMode, ids } q matches name or address.
+ * hasItem is a DietaryFlag some menu item must have. tags is an Array of tag names, matched by tagMode (a TagMode,
+ * any by default). ids, if given, restricts venues to those ids, e.g. the ones that are open.
+ * @param {object} sorting (optional) { sort, order } sort is a VenueSort, order a SortOrder. Defaults to id ascending.
+ * @returns {Array} venues
+ */
+async function getVenues(startRow, maxRows, filters = {}, { sort, order } = {}) {
     let result = new Array();
     try {
         let offset = parseStartRow(startRow);
         let limit = parseMaxRows(maxRows);
+        let where = getVenueFilterClause(filters);
+        let column = parseVenueSort(sort);
+        let direction = parseSortOrder(order);
+        // Sort expression and direction come from whitelists, so are safe to build into the query. id breaks any ties so pages are stable.
         result = await pool.query(`
             SELECT
                 v.id,
                 v.name,
+                v.review_rating,
+                v.review_count,
                 m.media_path AS main_media_path
             FROM ?? AS v
             INNER JOIN ?? AS m
             ON v.main_media_id = m.id
-            LIMIT ?, ?;`, [DbTable.VENUES, DbTable.MEDIA, offset, limit]);
+            ${where.sql}
+            ORDER BY ${column} ${direction}, v.id ASC
+            LIMIT ?, ?;`, [DbTable.VENUES, DbTable.MEDIA, ...where.values, offset, limit]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return result;
 }
-
-/* - - - - - Users - - - - - */
-
-async function addUser(username, name, surname, email, passwordHash, roleId) {
-    // insertId Will remain undefined if no insert occurs, or be newly inserted row number, or be
-    // 0 if insert is duplicate (so 0 can indicate to a calling fn that no action is needed)
+/**
+ * Adds a venue. Its main media starts its gallery.
+ *
+ * @param {object} venue { name, address, geo_lat, geo_lng, rating, main_media_id, timezone }
+ * @returns {number} id of the new venue
+ */
+async function addVenue({ name, address, geo_lat, geo_lng, rating, main_media_id, timezone } = {}) {
     let insertId;
     try {
-        // Account status id will default to UserAccountStatus.ACTIVE
-        const result = await pool.query(`INSERT IGNORE INTO ?? (username, name, surname, email, password_hash, role_id, account_status_id) VALUES (?, ?, ?, ?, ?, ?, ?);`, [DbTable.USERS, username, name, surname, email, passwordHash, roleId, UserAccountStatus.ACTIVE]);
-        if (result.insertId > 0) {
-            insertId = result.insertId;
-        } else if (result.insertId === 0 && result.warningCount > 0) {
-            // Detecting a duplicate insert in MySQL seems very convoluted.
-            // We need to check the warnings with another query.
-            const warningResult = await pool.query(`SHOW WARNINGS;`);
-            logger.warn(JSON.stringify(warningResult));
-            if (warningResult && warningResult[0] && warningResult[0].Code === DbErr.ER_DUP_ENTRY) {
-                // Row was ignored duplicate, insertId will be 0.
-                insertId = result.insertId;
-            }
-        }
+        let columns = getVenueColumns({ name, address, geo_lat, geo_lng, rating, main_media_id, timezone });
+        insertId = await withTransaction(async (query) => {
+            const result = await query(`INSERT INTO ?? SET ?;`, [DbTable.VENUES, columns]);
+            await appendVenueMedia(query, result.insertId, columns.main_media_id);
+            return result.insertId;
+        });
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return insertId;
 }
-async function activateUser(id) {
+async function updateVenue(id, { name, address, geo_lat, geo_lng, rating, main_media_id, timezone } = {}) {
     let result = new Array();
-    let userId = parseId(id);
+    let venueId = parseId(id);
     try {
-        result = await pool.query(`UPDATE ?? SET account_status_id = ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, UserAccountStatus.ACTIVE, userId]);
-        return updateOK(result);
+        // Only columns that were supplied are changed
+        let columns = getVenueColumns({ name, address, geo_lat, geo_lng, rating, main_media_id, timezone });
+        if (Object.keys(columns).length === 0) {
+            return false;
+        }
+        return await withTransaction(async (query) => {
+            result = await query(`UPDATE ?? SET ? WHERE id = ? LIMIT 1;`, [DbTable.VENUES, columns, venueId]);
+            // A new main media joins the end of the gallery, if it isn't in it already
+            if (columns.main_media_id !== undefined && result.affectedRows > 0) {
+                await appendVenueMedia(query, venueId, columns.main_media_id);
+            }
+            return updateOK(result);
+        });
     } catch (err) {
         logger.error(err);
         throw err;
     }
 }
-async function deactivateUser(id) {
-    let result = new Array();
-    let userId = parseId(id);
+/**
+ * Deletes a venue. Anything that only exists for the venue, i.e. its opening hours, menu, tagging and
+ * gallery, and users' reviews of it, check-ins at it and places in collections (favourites included), goes with it. The media
+ * in its gallery stays, since other venues may use it.
+ *
+ * @param {any} id venue id
+ * @returns {object} { deleted, favouritesRemoved, reviewsRemoved } deleted is false if there was no such venue.
+ * favouritesRemoved counts every collection the venue was taken out of.
+ */
+async function deleteVenue(id) {
+    let venueId = parseId(id);
     try {
-        result = await pool.query(`UPDATE ?? SET account_status_id = ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, UserAccountStatus.INACTIVE, userId]);
-        return updateOK(result);
+        return await withTransaction(async (query) => {
+            let favourites = await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.COLLECTION_VENUES, venueId]);
+            let reviews = await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.REVIEWS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.CHECK_INS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_OPENING_HOURS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_OPENING_EXCEPTIONS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.MENU_ITEMS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_TAGS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_MEDIA, venueId]);
+            let venues = await query(`DELETE FROM ?? WHERE id = ? LIMIT 1;`, [DbTable.VENUES, venueId]);
+            return { deleted: venues.affectedRows > 0, favouritesRemoved: favourites.affectedRows, reviewsRemoved: reviews.affectedRows };
+        });
     } catch (err) {
         logger.error(err);
         throw err;
     }
 }
-async function getUser(id) {
+/**
+ * Keyset alternative to getVenues. Seeks past afterId rather than skipping rows with an offset, so
+ * any page is as quick to get as the first. Always in id order.
+ *
+ * @param {any} afterId id of the last venue already seen, or 0 to start at the beginning
+ * @param {any} maxRows max rows to return
+ * @param {object} filters (optional) as for getVenues
+ * @returns {Array} venues, in id order
+ */
+async function getVenuesAfter(afterId, maxRows, filters = {}) {
     let result = new Array();
-    let userId = parseId(id);
     try {
-        result = await pool.query(`SELECT id, username, name, surname, email, password_hash, role_id, account_status_id FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+        let id = Number(afterId) || 0;
+        let limit = parseMaxRows(maxRows);
+        let where = getVenueFilterClause(filters, ['v.id > ?'], [id]);
+        result = await pool.query(`
+            SELECT
+                v.id,
+                v.name,
+                v.review_rating,
+                v.review_count,
+                m.media_path AS main_media_path
+            FROM ?? AS v
+            INNER JOIN ?? AS m
+            ON v.main_media_id = m.id
+            ${where.sql}
+            ORDER BY v.id
+            LIMIT ?;`, [DbTable.VENUES, DbTable.MEDIA, ...where.values, limit]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return result;
 }
-async function getUserByEmail(email) {
+/**
+ * Gets a page of the venues within radius metres of a position, nearest first, each with its distance
+ * in metres. Only venues inside box are considered, which lets the index on geo_lat/geo_lng do most of
+ * the work before any distances are calculated.
+ *
+ * @param {number} lat latitude in degrees
+ * @param {number} lng longitude in degrees
+ * @param {number} radius radius in metres
+ * @param {object} box { minLat, maxLat, minLng, maxLng } bounding box of the radius (see geo.getBoundingBox)
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} venues, with distance
+ */
+async function getVenuesNear(lat, lng, radius, box, startRow, maxRows) {
     let result = new Array();
-    let userEmail = parseEmail(email);
     try {
-        result = await pool.query(`SELECT id, username, name, surname, email, password_hash, role_id, account_status_id FROM ?? WHERE email = ?;`, [DbTable.USERS, userEmail]);
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        let near = getVenueNearQuery(lat, lng, radius, box);
+        result = await pool.query(`
+            SELECT
+                v.id,
+                v.name,
+                v.geo_lat,
+                v.geo_lng,
+                v.review_rating,
+                v.review_count,
+                m.media_path AS main_media_path,
+                ${near.distanceSql} AS distance
+            FROM ?? AS v
+            INNER JOIN ?? AS m
+            ON v.main_media_id = m.id
+            ${near.whereSql}
+            HAVING distance <= ?
+            ORDER BY distance, v.id
+            LIMIT ?, ?;`, [...near.distanceValues, DbTable.VENUES, DbTable.MEDIA, ...near.whereValues, near.radius, offset, limit]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return result;
 }
-async function getUserByUserName(userName) {
+/**
+ * @param {number} lat latitude in degrees
+ * @param {number} lng longitude in degrees
+ * @param {number} radius radius in metres
+ * @param {object} box bounding box of the radius, as for getVenuesNear
+ * @returns {number} number of venues within radius
+ */
+async function countVenuesNear(lat, lng, radius, box) {
     let result = new Array();
-    let uname = parseString(userName);
     try {
-        result = await pool.query(`SELECT id, username, name, surname, email, password_hash, role_id, account_status_id FROM ?? WHERE username = ?;`, [DbTable.USERS, uname]);
+        let near = getVenueNearQuery(lat, lng, radius, box);
+        result = await pool.query(`
+            SELECT COUNT(*) AS total FROM (
+                SELECT ${near.distanceSql} AS distance
+                FROM ?? AS v
+                INNER JOIN ?? AS m
+                ON v.main_media_id = m.id
+                ${near.whereSql}
+            ) AS near_venues
+            WHERE distance <= ?;`, [...near.distanceValues, DbTable.VENUES, DbTable.MEDIA, ...near.whereValues, near.radius]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return result;
+    return result[0].total;
 }
-async function getUserRole(id) {
+/**
+ * @param {object} filters (optional) as for getVenues
+ * @returns {number} number of venues matching the filters
+ */
+async function countVenues(filters = {}) {
     let result = new Array();
-    let userId = parseId(id);
     try {
-        result = await pool.query(`SELECT r.id, role FROM ?? AS r INNER JOIN ?? AS u ON r.id = u.role_id WHERE u.id = ?;`, [DbTable.LOOKUP_ROLES, DbTable.USERS, userId]);
+        let where = getVenueFilterClause(filters);
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? AS v INNER JOIN ?? AS m ON v.main_media_id = m.id ${where.sql};`, [DbTable.VENUES, DbTable.MEDIA, ...where.values]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return result;
+    return result[0].total;
 }
-async function getUserAccountStatus(id) {
-    let result = new Array();
-    let userId = parseId(id);
+
+/* - - - - - Opening hours - - - - - */
+
+/**
+ * Gets venues' opening schedules (see opening-hours.js)
+ *
+ * @param {Array} venueIds ids of the venues to get
+ * @param {string} fromDate 'YYYY-MM-DD' earliest date of exceptions to get
+ * @param {string} toDate (optional) 'YYYY-MM-DD' latest date of exceptions to get
+ * @returns {object} { timezone, weekly, exceptions } schedules, keyed by venue id
+ */
+async function getOpeningSchedules(venueIds = [], fromDate, toDate) {
+    let schedules = {};
     try {
-        result = await pool.query(`SELECT uas.id, status FROM ?? AS uas INNER JOIN ?? AS u ON uas.id = u.account_status_id WHERE u.id = ?;`, [DbTable.LOOKUP_USER_ACCOUNT_STATUS, DbTable.USERS, userId]);
+        let venues = venueIds.length === 0 ? [] : await pool.query(`SELECT id, timezone FROM ?? WHERE id IN (?);`, [DbTable.VENUES, venueIds.map(parseId)]);
+        schedules = await getSchedulesOf(venues, fromDate, toDate);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return schedules;
+}
+/**
+ * Gets the opening schedules of only those venues that could be open sometime between two dates, i.e. that
+ * have weekly hours on one of the days of the week between them, or an exception dated between them. Each
+ * schedule only has those hours. Venues can be narrowed down further by filters, so that a list only loads
+ * the schedules of venues it could show.
+ *
+ * @param {string} fromDate 'YYYY-MM-DD'
+ * @param {string} toDate 'YYYY-MM-DD'
+ * @param {object} filters (optional) as for getVenues
+ * @returns {object} { timezone, weekly, exceptions } schedules, keyed by venue id
+ */
+async function getOpeningSchedulesBetween(fromDate, toDate, filters = {}) {
+    let schedules = {};
+    try {
+        let days = getDaysOfWeekBetween(fromDate, toDate);
+        let where = getVenueFilterClause(filters,
+            ['(EXISTS (SELECT 1 FROM ?? WHERE venue_id = v.id AND day IN (?)) OR EXISTS (SELECT 1 FROM ?? WHERE venue_id = v.id AND date BETWEEN ? AND ?))'],
+            [DbTable.VENUE_OPENING_HOURS, days, DbTable.VENUE_OPENING_EXCEPTIONS, fromDate, toDate]);
+        let venues = await pool.query(`SELECT v.id, v.timezone FROM ?? AS v ${where.sql};`, [DbTable.VENUES, ...where.values]);
+        schedules = await getSchedulesOf(venues, fromDate, toDate, days);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return schedules;
+}
+/**
+ * Replaces a venue's opening hours
+ *
+ * @param {any} id venue id
+ * @param {object} schedule { weekly, exceptions } as for getOpeningSchedules. Either may be empty.
+ * @returns {boolean} true if replaced, false if there's no such venue
+ */
+async function setVenueOpeningHours(id, { weekly = [], exceptions = [] } = {}) {
+    let venueId = parseId(id);
+    try {
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return false;
+            }
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_OPENING_HOURS, venueId]);
+            await query(`DELETE FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_OPENING_EXCEPTIONS, venueId]);
+            if (weekly.length > 0) {
+                await query(`INSERT INTO ?? (venue_id, day, opens, closes) VALUES ?;`,
+                    [DbTable.VENUE_OPENING_HOURS, weekly.map(w => [venueId, Number(w.day), w.opens, w.closes])]);
+            }
+            if (exceptions.length > 0) {
+                await query(`INSERT INTO ?? (venue_id, date, opens, closes) VALUES ?;`,
+                    [DbTable.VENUE_OPENING_EXCEPTIONS, exceptions.map(e => [venueId, e.date, e.opens || null, e.closes || null])]);
+            }
+            return true;
+        });
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return result;
 }
 
-async function getUsers(startRow, maxRows) {
+/* - - - - - Menus - - - - - */
+
+/**
+ * Gets a page of a venue's menu items, in the order they were added
+ *
+ * @param {any} id venue id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} menu items, with dietary as an Array of DietaryFlag
+ */
+async function getMenuItems(id, startRow, maxRows) {
     let result = new Array();
+    let venueId = parseId(id);
     try {
         let offset = parseStartRow(startRow);
         let limit = parseMaxRows(maxRows);
-        result = await pool.query(`SELECT id, username FROM ?? LIMIT ?, ?;`, [DbTable.USERS, offset, limit]);
+        result = await pool.query(`SELECT id, name, description, price, currency, dietary FROM ?? WHERE venue_id = ? ORDER BY id LIMIT ?, ?;`, [DbTable.MENU_ITEMS, venueId, offset, limit]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return result;
+    return result.map(item => ({ ...item, dietary: parseDietary(item.dietary) }));
 }
-
-async function getUserFavourites(id, startRow, maxRows) {
+async function countMenuItems(id) {
     let result = new Array();
+    let venueId = parseId(id);
     try {
-        let userId = parseId(id);
-        let offset = parseStartRow(startRow);
-        let limit = parseMaxRows(maxRows);
-        result = await pool.query(`SELECT venues.id, venues.name FROM ?? AS venues INNER JOIN ?? AS favourites ON venues.id = favourites.venue_id WHERE favourites.user_id = ? ORDER BY venues.name LIMIT ?, ?;`, [DbTable.VENUES, DbTable.USER_FAVOURITE_VENUES, userId, offset, limit]);
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? WHERE venue_id = ?;`, [DbTable.MENU_ITEMS, venueId]);
     } catch (err) {
         logger.error(err);
         throw err;
     }
-    return result;
+    return result[0].total;
 }
-async function addUserFavourite(id, venueID) {
-    // insertId Will remain undefined if no insert occurs, or be newly inserted row number, or be
-    // 0 if insert is duplicate (so 0 can indicate to a calling fn that no action is needed)
+/**
+ * Adds an item to a venue's menu
+ *
+ * @param {any} id venue id
+ * @param {object} item { name, description, price, currency, dietary } dietary is an Array of DietaryFlag,
+ * or a comma-separated string of them
+ * @returns {number} id of the new menu item
+ */
+async function addMenuItem(id, { name, description, price, currency, dietary } = {}) {
     let insertId;
     try {
-        const result = await pool.query(`INSERT IGNORE INTO ?? (user_id, venue_id) VALUES (?, ?);`, [DbTable.USER_FAVOURITE_VENUES, id, venueID]);
-        if (result.insertId > 0) {
-            // Row was inserted, insertId will be id of newly inserted row
-            insertId = result.insertId;
-        } else if (result.insertId === 0 && result.warningCount > 0) {
-            // Detecting a duplicate insert in MySQL seems very convoluted.
-            // We need to check the warnings with another query.
-            const warningResult = await pool.query(`SHOW WARNINGS;`);
-            logger.warn(JSON.stringify(warningResult));
-            if (warningResult && warningResult[0] && warningResult[0].Code === DbErr.ER_DUP_ENTRY) {
-                // Row was ignored duplicate, insertId will be 0.
-                insertId = result.insertId;
-            }
-        }
+        let columns = { venue_id: parseId(id), ...getMenuItemColumns({ name, description, price, currency, dietary }) };
+        const result = await pool.query(`INSERT INTO ?? SET ?;`, [DbTable.MENU_ITEMS, columns]);
+        insertId = result.insertId;
     } catch (err) {
         logger.error(err);
         throw err;
     }
     return insertId;
 }
-async function removeUserFavourite(id, venueID) {
-    let removed = false;
+async function updateMenuItem(id, itemId, { name, description, price, currency, dietary } = {}) {
+    let result = new Array();
     try {
-        const result = await pool.query(`DELETE FROM ?? WHERE user_id = ? AND venue_id = ?;`, [DbTable.USER_FAVOURITE_VENUES, id, venueID]);
-        if (result.affectedRows) {
-            removed = true;
+        // Only columns that were supplied are changed
+        let columns = getMenuItemColumns({ name, description, price, currency, dietary });
+        if (Object.keys(columns).length === 0) {
+            return false;
         }
-        if (result.warningCount > 0) {
+        result = await pool.query(`UPDATE ?? SET ? WHERE id = ? AND venue_id = ? LIMIT 1;`, [DbTable.MENU_ITEMS, columns, parseId(itemId), parseId(id)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function deleteMenuItem(id, itemId) {
+    let removed = false;
+    try {
+        const result = await pool.query(`DELETE FROM ?? WHERE id = ? AND venue_id = ? LIMIT 1;`, [DbTable.MENU_ITEMS, parseId(itemId), parseId(id)]);
+        removed = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return removed;
+}
+
+/* - - - - - Tags - - - - - */
+
+/**
+ * Gets a page of tags, by name, each with the number of venues that have it
+ *
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} tags, with venue_count
+ */
+async function getTags(startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT t.id, t.name, COUNT(vt.id) AS venue_count
+            FROM ?? AS t
+            LEFT JOIN ?? AS vt
+            ON t.id = vt.tag_id
+            GROUP BY t.id, t.name
+            ORDER BY t.name
+            LIMIT ?, ?;`, [DbTable.TAGS, DbTable.VENUE_TAGS, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countTags() {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ??;`, [DbTable.TAGS]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+async function getTag(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT id, name FROM ?? WHERE id = ? LIMIT 1;`, [DbTable.TAGS, parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function getTagByName(name) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT id, name FROM ?? WHERE name = ? LIMIT 1;`, [DbTable.TAGS, parseTagName(name)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function addTag(name) {
+    let insertId;
+    try {
+        const result = await pool.query(`INSERT INTO ?? (name) VALUES (?);`, [DbTable.TAGS, parseTagName(name)]);
+        insertId = result.insertId;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return insertId;
+}
+async function updateTag(id, name) {
+    let result = new Array();
+    try {
+        result = await pool.query(`UPDATE ?? SET name = ? WHERE id = ? LIMIT 1;`, [DbTable.TAGS, parseTagName(name), parseId(id)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Deletes a tag, and untags any venues that had it
+ *
+ * @param {any} id tag id
+ * @returns {object} { deleted, venuesUntagged } deleted is false if there was no such tag
+ */
+async function deleteTag(id) {
+    let tagId = parseId(id);
+    try {
+        return await withTransaction(async (query) => {
+            let venueTags = await query(`DELETE FROM ?? WHERE tag_id = ?;`, [DbTable.VENUE_TAGS, tagId]);
+            let tags = await query(`DELETE FROM ?? WHERE id = ? LIMIT 1;`, [DbTable.TAGS, tagId]);
+            return { deleted: tags.affectedRows > 0, venuesUntagged: venueTags.affectedRows };
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * @param {any} id venue id
+ * @returns {Array} names of the venue's tags, in order
+ */
+async function getVenueTags(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT t.name FROM ?? AS t INNER JOIN ?? AS vt ON t.id = vt.tag_id WHERE vt.venue_id = ? ORDER BY t.name;`, [DbTable.TAGS, DbTable.VENUE_TAGS, parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.map(row => row.name);
+}
+async function addVenueTag(id, tagID) {
+    let added = false;
+    try {
+        // IGNORE, so tagging a venue again is harmless
+        await pool.query(`INSERT IGNORE INTO ?? (venue_id, tag_id) VALUES (?, ?);`, [DbTable.VENUE_TAGS, parseId(id), parseId(tagID)]);
+        added = true;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return added;
+}
+async function removeVenueTag(id, tagID) {
+    let removed = false;
+    try {
+        const result = await pool.query(`DELETE FROM ?? WHERE venue_id = ? AND tag_id = ?;`, [DbTable.VENUE_TAGS, parseId(id), parseId(tagID)]);
+        removed = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return removed;
+}
+
+/* - - - - - Reviews - - - - - */
+
+/**
+ * Gets a page of a venue's reviews, newest first, each with the reviewer's username
+ *
+ * @param {any} id venue id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} reviews
+ */
+async function getVenueReviews(id, startRow, maxRows) {
+    let result = new Array();
+    let venueId = parseId(id);
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT
+                r.id,
+                r.user_id,
+                u.username,
+                r.score,
+                r.text,
+                r.created_at,
+                r.updated_at
+            FROM ?? AS r
+            INNER JOIN ?? AS u
+            ON r.user_id = u.id
+            WHERE r.venue_id = ?
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT ?, ?;`, [DbTable.REVIEWS, DbTable.USERS, venueId, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countVenueReviews(id) {
+    let result = new Array();
+    let venueId = parseId(id);
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? WHERE venue_id = ?;`, [DbTable.REVIEWS, venueId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+async function getReview(id, venueID) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT id, user_id, venue_id, score, text, created_at, updated_at FROM ?? WHERE user_id = ? AND venue_id = ? LIMIT 1;`, [DbTable.REVIEWS, parseId(id), parseId(venueID)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+/**
+ * Adds a user's review of a venue, and updates the venue's review_rating and review_count to match
+ *
+ * @param {any} id user id
+ * @param {any} venueID venue id
+ * @param {object} review { score, text }
+ * @returns {number} id of the new review, 0 if the user has already reviewed the venue, or undefined
+ * if there's no such venue
+ */
+async function addReview(id, venueID, { score, text } = {}) {
+    let userId = parseId(id);
+    let venueId = parseId(venueID);
+    try {
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return undefined;
+            }
+            let columns = { user_id: userId, venue_id: venueId, ...getReviewColumns({ score, text }) };
+            // IGNORE, so a duplicate comes back as no insert rather than an error (see UNIQUE (user_id, venue_id))
+            let result = await query(`INSERT IGNORE INTO ?? SET ?;`, [DbTable.REVIEWS, columns]);
+            if (result.affectedRows === 0) {
+                return 0;
+            }
+            await updateVenueReviewStats(query, venueId);
+            return result.insertId;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Updates a user's review of a venue, and the venue's review_rating to match
+ *
+ * @param {any} id user id
+ * @param {any} venueID venue id
+ * @param {object} review { score, text } Only fields supplied are changed.
+ * @returns {boolean} true if updated, false if there's no such review
+ */
+async function updateReview(id, venueID, { score, text } = {}) {
+    let userId = parseId(id);
+    let venueId = parseId(venueID);
+    try {
+        let columns = getReviewColumns({ score, text });
+        if (Object.keys(columns).length === 0) {
+            return false;
+        }
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return false;
+            }
+            let result = await query(`UPDATE ?? SET ? WHERE user_id = ? AND venue_id = ? LIMIT 1;`, [DbTable.REVIEWS, columns, userId, venueId]);
+            if (!updateOK(result)) {
+                return false;
+            }
+            await updateVenueReviewStats(query, venueId);
+            return true;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Deletes a user's review of a venue, and updates the venue's review_rating and review_count to match
+ *
+ * @param {any} id user id
+ * @param {any} venueID venue id
+ * @returns {boolean} true if deleted, false if there's no such review
+ */
+async function deleteReview(id, venueID) {
+    let userId = parseId(id);
+    let venueId = parseId(venueID);
+    try {
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return false;
+            }
+            let result = await query(`DELETE FROM ?? WHERE user_id = ? AND venue_id = ? LIMIT 1;`, [DbTable.REVIEWS, userId, venueId]);
+            if (result.affectedRows === 0) {
+                return false;
+            }
+            await updateVenueReviewStats(query, venueId);
+            return true;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/* - - - - - Check-ins - - - - - */
+
+/**
+ * Gets a page of a user's check-ins, newest first, each with the venue's name
+ *
+ * @param {any} id user id
+ * @param {object} range (optional) { from, to } Dates. Check-ins from from (inclusive) until to (exclusive).
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, venue_id, venue_name, note, created_at }] check-ins
+ */
+async function getUserCheckIns(id, range, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        let where = getCheckInRangeClause(id, range);
+        result = await pool.query(`
+            SELECT
+                ci.id,
+                ci.venue_id,
+                v.name AS venue_name,
+                ci.note,
+                ci.created_at
+            FROM ?? AS ci
+            INNER JOIN ?? AS v
+            ON ci.venue_id = v.id
+            ${where.sql}
+            ORDER BY ci.created_at DESC, ci.id DESC
+            LIMIT ?, ?;`, [DbTable.CHECK_INS, DbTable.VENUES, ...where.values, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countUserCheckIns(id, range) {
+    let result = new Array();
+    try {
+        let where = getCheckInRangeClause(id, range);
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? AS ci ${where.sql};`, [DbTable.CHECK_INS, ...where.values]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Gets a page of the venues a user has checked in at, most visited first, each with the user's number of visits
+ *
+ * @param {any} id user id
+ * @param {object} range (optional) { from, to } as for getUserCheckIns. Only visits in the range are counted.
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ venue_id, venue_name, visits, last_visited_at }] venues
+ */
+async function getUserCheckInVenues(id, range, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        let where = getCheckInRangeClause(id, range);
+        result = await pool.query(`
+            SELECT
+                ci.venue_id,
+                v.name AS venue_name,
+                COUNT(*) AS visits,
+                MAX(ci.created_at) AS last_visited_at
+            FROM ?? AS ci
+            INNER JOIN ?? AS v
+            ON ci.venue_id = v.id
+            ${where.sql}
+            GROUP BY ci.venue_id, v.name
+            ORDER BY visits DESC, last_visited_at DESC, ci.venue_id
+            LIMIT ?, ?;`, [DbTable.CHECK_INS, DbTable.VENUES, ...where.values, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countUserCheckInVenues(id, range) {
+    let result = new Array();
+    try {
+        let where = getCheckInRangeClause(id, range);
+        result = await pool.query(`SELECT COUNT(DISTINCT ci.venue_id) AS total FROM ?? AS ci ${where.sql};`, [DbTable.CHECK_INS, ...where.values]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Checks a user in at a venue, and adds one to the venue's visit_count. A check-in too soon after the user's
+ * last one at the venue is refused as a duplicate.
+ *
+ * @param {any} id user id
+ * @param {any} venueID venue id
+ * @param {object} checkIn { note }
+ * @param {number} duplicateWindowMs how long after a check-in another at the same venue is a duplicate
+ * @returns {number} id of the new check-in, 0 if it's a duplicate, or undefined if there's no such venue
+ */
+async function addCheckIn(id, venueID, { note } = {}, duplicateWindowMs = 0) {
+    let userId = parseId(id);
+    let venueId = parseId(venueID);
+    try {
+        return await withTransaction(async (query) => {
+            // The lock also stops two check-ins at once both passing the duplicate check
+            if (!await lockVenue(query, venueId)) {
+                return undefined;
+            }
+            let recent = await query(`
+                SELECT id FROM ??
+                WHERE venue_id = ? AND user_id = ? AND created_at > NOW() - INTERVAL ? SECOND
+                LIMIT 1;`, [DbTable.CHECK_INS, venueId, userId, Math.ceil(duplicateWindowMs / 1000)]);
+            if (recent.length > 0) {
+                return 0;
+            }
+            let result = await query(`INSERT INTO ?? SET ?;`, [DbTable.CHECK_INS, { user_id: userId, venue_id: venueId, note: parseNote(note) }]);
+            await query(`UPDATE ?? SET visit_count = visit_count + 1 WHERE id = ? LIMIT 1;`, [DbTable.VENUES, venueId]);
+            return result.insertId;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/* - - - - - Media - - - - - */
+
+async function getMedia(id) {
+    let result = new Array();
+    let mediaId = parseId(id);
+    try {
+        result = await pool.query(`SELECT id, user_id, media_path FROM ?? WHERE id = ? LIMIT 1;`, [DbTable.MEDIA, mediaId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function addMedia(userId, mediaPath) {
+    // insertId Will remain undefined if no insert occurs, or be newly inserted row number
+    let insertId;
+    try {
+        const result = await pool.query(`INSERT INTO ?? (user_id, media_path) VALUES (?, ?);`, [DbTable.MEDIA, parseId(userId), parseString(mediaPath)]);
+        if (result.insertId > 0) {
+            insertId = result.insertId;
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return insertId;
+}
+
+/* - - - - - Venue galleries - - - - - */
+
+/**
+ * Gets a page of a venue's gallery, in order. Without startRow and maxRows, gets the first
+ * KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS, which is all of any real gallery.
+ *
+ * @param {any} id venue id
+ * @param {any} startRow (optional) row to start from
+ * @param {any} maxRows (optional) max rows to return
+ * @returns {Array} [{ media_id, media_path, caption, position, is_main }] is_main is true for the venue's main media
+ */
+async function getVenueMedia(id, startRow, maxRows) {
+    let result = new Array();
+    let venueId = parseId(id);
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT
+                vm.media_id,
+                m.media_path,
+                vm.caption,
+                vm.position,
+                vm.media_id = v.main_media_id AS is_main
+            FROM ?? AS vm
+            INNER JOIN ?? AS m
+            ON vm.media_id = m.id
+            INNER JOIN ?? AS v
+            ON vm.venue_id = v.id
+            WHERE vm.venue_id = ?
+            ORDER BY vm.position
+            LIMIT ?, ?;`, [DbTable.VENUE_MEDIA, DbTable.MEDIA, DbTable.VENUES, venueId, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.map(row => ({ ...row, is_main: Boolean(row.is_main) }));
+}
+async function countVenueMedia(id) {
+    let result = new Array();
+    let venueId = parseId(id);
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_MEDIA, venueId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Adds existing media to the end of a venue's gallery
+ *
+ * @param {any} id venue id
+ * @param {any} mediaID media id
+ * @param {object} fields { caption } (optional)
+ * @returns {boolean} true if added, false if it was in the gallery already, or undefined if there's no such venue
+ */
+async function attachVenueMedia(id, mediaID, { caption } = {}) {
+    let venueId = parseId(id);
+    try {
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return undefined;
+            }
+            let result = await appendVenueMedia(query, venueId, parseId(mediaID), caption);
+            return result.affectedRows > 0;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function updateVenueMedia(id, mediaID, { caption } = {}) {
+    let result = new Array();
+    try {
+        result = await pool.query(`UPDATE ?? SET caption = ? WHERE venue_id = ? AND media_id = ? LIMIT 1;`, [DbTable.VENUE_MEDIA, parseCaption(caption), parseId(id), parseId(mediaID)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Removes media from a venue's gallery, closing the gap it leaves. The venue's main media can't be removed.
+ * The media itself stays, since other venues may use it.
+ *
+ * @param {any} id venue id
+ * @param {any} mediaID media id
+ * @returns {boolean} true if removed, false if it's the venue's main media, or undefined if it isn't in the gallery
+ */
+async function detachVenueMedia(id, mediaID) {
+    let venueId = parseId(id);
+    let mediaId = parseId(mediaID);
+    try {
+        return await withTransaction(async (query) => {
+            await lockVenue(query, venueId);
+            let rows = await query(`
+                SELECT vm.position, vm.media_id = v.main_media_id AS is_main
+                FROM ?? AS vm
+                INNER JOIN ?? AS v
+                ON vm.venue_id = v.id
+                WHERE vm.venue_id = ? AND vm.media_id = ?;`, [DbTable.VENUE_MEDIA, DbTable.VENUES, venueId, mediaId]);
+            if (rows.length === 0) {
+                return undefined;
+            }
+            if (rows[0].is_main) {
+                return false;
+            }
+            await query(`DELETE FROM ?? WHERE venue_id = ? AND media_id = ? LIMIT 1;`, [DbTable.VENUE_MEDIA, venueId, mediaId]);
+            await query(`UPDATE ?? SET position = position - 1 WHERE venue_id = ? AND position > ?;`, [DbTable.VENUE_MEDIA, venueId, rows[0].position]);
+            return true;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Puts a venue's gallery in a new order
+ *
+ * @param {any} id venue id
+ * @param {Array} mediaIDs ids of all the media in the gallery, each once, in their new order
+ * @returns {boolean} true if reordered, false if mediaIDs aren't exactly the gallery's media, or undefined if there's no such venue
+ */
+async function reorderVenueMedia(id, mediaIDs = []) {
+    let venueId = parseId(id);
+    let mediaIds = mediaIDs.map(parseId);
+    try {
+        return await withTransaction(async (query) => {
+            if (!await lockVenue(query, venueId)) {
+                return undefined;
+            }
+            let current = (await query(`SELECT media_id FROM ?? WHERE venue_id = ?;`, [DbTable.VENUE_MEDIA, venueId])).map(row => row.media_id);
+            if (mediaIds.length !== current.length || new Set(mediaIds).size !== mediaIds.length || !mediaIds.every(mediaId => current.includes(mediaId))) {
+                return false;
+            }
+            for (const [index, mediaId] of mediaIds.entries()) {
+                await query(`UPDATE ?? SET position = ? WHERE venue_id = ? AND media_id = ? LIMIT 1;`, [DbTable.VENUE_MEDIA, index + 1, venueId, mediaId]);
+            }
+            return true;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Makes media already in a venue's gallery its main media
+ *
+ * @param {any} id venue id
+ * @param {any} mediaID media id
+ * @returns {boolean} true if set, false if the media isn't in the venue's gallery
+ */
+async function setVenueMainMedia(id, mediaID) {
+    let result = new Array();
+    try {
+        result = await pool.query(`
+            UPDATE ?? AS v
+            INNER JOIN ?? AS vm
+            ON vm.venue_id = v.id AND vm.media_id = ?
+            SET v.main_media_id = vm.media_id
+            WHERE v.id = ?;`, [DbTable.VENUES, DbTable.VENUE_MEDIA, parseId(mediaID), parseId(id)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/* - - - - - Users - - - - - */
+
+async function addUser(username, name, surname, email, passwordHash, roleId) {
+    // insertId Will remain undefined if no insert occurs, or be newly inserted row number, or be
+    // 0 if insert is duplicate (so 0 can indicate to a calling fn that no action is needed)
+    let insertId;
+    try {
+        // Account status id will default to UserAccountStatus.ACTIVE. The email starts unverified.
+        const result = await pool.query(`INSERT IGNORE INTO ?? (username, name, surname, email, password_hash, role_id, account_status_id) VALUES (?, ?, ?, ?, ?, ?, ?);`, [DbTable.USERS, parseString(username), parseString(name), parseString(surname), parseEmail(email), passwordHash, roleId, UserAccountStatus.ACTIVE]);
+        if (result.insertId > 0) {
+            insertId = result.insertId;
+        } else if (result.insertId === 0 && result.warningCount > 0) {
+            // Detecting a duplicate insert in MySQL seems very convoluted.
+            // We need to check the warnings with another query.
+            const warningResult = await pool.query(`SHOW WARNINGS;`);
+            logger.warn(JSON.stringify(warningResult));
+            if (warningResult && warningResult[0] && warningResult[0].Code === DbErr.ER_DUP_ENTRY) {
+                // Row was ignored duplicate, insertId will be 0.
+                insertId = result.insertId;
+            }
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return insertId;
+}
+async function activateUser(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`UPDATE ?? SET account_status_id = ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, UserAccountStatus.ACTIVE, userId]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function deactivateUser(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`UPDATE ?? SET account_status_id = ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, UserAccountStatus.INACTIVE, userId]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function updateUser(id, { username, name, surname, email } = {}) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        // Only columns that were supplied are changed
+        let columns = {};
+        if (username !== undefined) columns.username = parseString(username);
+        if (name !== undefined) columns.name = parseString(name);
+        if (surname !== undefined) columns.surname = parseString(surname);
+        if (email !== undefined) columns.email = parseEmail(email);
+        if (Object.keys(columns).length === 0) {
+            return false;
+        }
+        if (columns.email !== undefined) {
+            // A different email needs verifying again. Assignments are made left to right, so the IF sees the old email.
+            result = await pool.query(`UPDATE ?? SET email_verified_at = IF(email = ?, email_verified_at, NULL), ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, columns.email, columns, userId]);
+        } else {
+            result = await pool.query(`UPDATE ?? SET ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, columns, userId]);
+        }
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function getUser(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT id, username, name, surname, email, email_verified_at, password_hash, role_id, account_status_id FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function getUserByEmail(email) {
+    let result = new Array();
+    let userEmail = parseEmail(email);
+    try {
+        result = await pool.query(`SELECT id, username, name, surname, email, email_verified_at, password_hash, role_id, account_status_id FROM ?? WHERE email = ?;`, [DbTable.USERS, userEmail]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function getUserByUserName(userName) {
+    let result = new Array();
+    let uname = parseString(userName);
+    try {
+        result = await pool.query(`SELECT id, username, name, surname, email, email_verified_at, password_hash, role_id, account_status_id FROM ?? WHERE username = ?;`, [DbTable.USERS, uname]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function getUserRole(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT r.id, role FROM ?? AS r INNER JOIN ?? AS u ON r.id = u.role_id WHERE u.id = ?;`, [DbTable.LOOKUP_ROLES, DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+/**
+ * Checks a user's account is active. i.e. the user exists and hasn't been deactivated.
+ *
+ * @param {any} id user id
+ * @returns {boolean} true if active, false otherwise
+ */
+async function isUserActive(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT account_status_id FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.length > 0 && result[0].account_status_id === UserAccountStatus.ACTIVE;
+}
+/**
+ * Checks a user has verified their email
+ *
+ * @param {any} id user id
+ * @returns {boolean} true if verified, false otherwise, including if there's no such user
+ */
+async function isUserEmailVerified(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT email_verified_at FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.length > 0 && result[0].email_verified_at !== null;
+}
+/**
+ * Marks a user's email as verified, if it's still the email that was verified. Verifying again keeps the original time.
+ *
+ * @param {any} id user id
+ * @param {string} email the email that was verified
+ * @returns {boolean} true if the user has that email, and it's now verified, false otherwise
+ */
+async function verifyUserEmail(id, email) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`UPDATE ?? SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ? AND email = ? LIMIT 1;`, [DbTable.USERS, userId, parseEmail(email)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+async function getUserAccountStatus(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT uas.id, status FROM ?? AS uas INNER JOIN ?? AS u ON uas.id = u.account_status_id WHERE u.id = ?;`, [DbTable.LOOKUP_USER_ACCOUNT_STATUS, DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+/**
+ * Gets a user's token version. Tokens carrying an older version are no longer valid.
+ *
+ * @param {any} id user id
+ * @returns {number} version, or undefined if there's no such user
+ */
+async function getUserTokenVersion(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT token_version FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.length > 0 ? result[0].token_version : undefined;
+}
+/**
+ * Gets what the server checks about a user on every request with a token, in one query
+ *
+ * @param {any} id user id
+ * @returns {object} { token_version, account_status_id, email_verified_at }, or undefined if there's no such user
+ */
+async function getUserAuthState(id) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`SELECT token_version, account_status_id, email_verified_at FROM ?? WHERE id = ?;`, [DbTable.USERS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0];
+}
+/**
+ * Sets a user's password, and bumps their token version so any tokens already issued to them are refused
+ *
+ * @param {any} id user id
+ * @param {string} passwordHash hash of the new password
+ * @returns {boolean} true if updated, false otherwise
+ */
+async function updateUserPassword(id, passwordHash) {
+    let result = new Array();
+    let userId = parseId(id);
+    try {
+        result = await pool.query(`UPDATE ?? SET password_hash = ?, token_version = token_version + 1 WHERE id = ? LIMIT 1;`, [DbTable.USERS, passwordHash, userId]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+async function getUsers(startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`SELECT id, username FROM ?? LIMIT ?, ?;`, [DbTable.USERS, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countUsers() {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ??;`, [DbTable.USERS]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+
+/**
+ * Gets a page of a user's favourites, i.e. the venues in their default collection, by name
+ *
+ * @param {any} id user id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, name }] venues
+ */
+async function getUserFavourites(id, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let userId = parseId(id);
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT venues.id, venues.name
+            FROM ?? AS venues
+            INNER JOIN ?? AS favourites
+            ON venues.id = favourites.venue_id
+            INNER JOIN ?? AS c
+            ON favourites.collection_id = c.id
+            WHERE c.user_id = ? AND c.is_default
+            ORDER BY venues.name
+            LIMIT ?, ?;`, [DbTable.VENUES, DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, userId, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countUserFavourites(id) {
+    let result = new Array();
+    try {
+        let userId = parseId(id);
+        result = await pool.query(`
+            SELECT COUNT(*) AS total
+            FROM ?? AS favourites
+            INNER JOIN ?? AS c
+            ON favourites.collection_id = c.id
+            WHERE c.user_id = ? AND c.is_default;`, [DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, userId]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Adds a venue to a user's favourites, i.e. their default collection, making the collection if they don't have one yet
+ *
+ * @param {any} id user id
+ * @param {any} venueID venue id
+ * @returns {number} id of the new collection venue row, 0 if the venue was a favourite already, or undefined if
+ * there's no such user or venue
+ */
+async function addUserFavourite(id, venueID) {
+    // insertId Will remain undefined if no insert occurs, or be newly inserted row number, or be
+    // 0 if insert is duplicate (so 0 can indicate to a calling fn that no action is needed)
+    let insertId;
+    try {
+        insertId = await withTransaction(async (query) => {
+            let collectionId = await getDefaultCollectionId(query, parseId(id));
+            if (collectionId === undefined) {
+                return undefined;
+            }
+            const result = await query(`INSERT IGNORE INTO ?? (collection_id, venue_id) VALUES (?, ?);`, [DbTable.COLLECTION_VENUES, collectionId, parseId(venueID)]);
+            if (result.insertId > 0) {
+                // Row was inserted, insertId will be id of newly inserted row
+                return result.insertId;
+            } else if (result.insertId === 0 && result.warningCount > 0) {
+                // Detecting a duplicate insert in MySQL seems very convoluted.
+                // We need to check the warnings with another query.
+                const warningResult = await query(`SHOW WARNINGS;`);
+                logger.warn(JSON.stringify(warningResult));
+                if (warningResult && warningResult[0] && warningResult[0].Code === DbErr.ER_DUP_ENTRY) {
+                    // Row was ignored duplicate, insertId will be 0.
+                    return result.insertId;
+                }
+            }
+            return undefined;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return insertId;
+}
+async function removeUserFavourite(id, venueID) {
+    let removed = false;
+    try {
+        const result = await pool.query(`
+            DELETE favourites
+            FROM ?? AS favourites
+            INNER JOIN ?? AS c
+            ON favourites.collection_id = c.id
+            WHERE c.user_id = ? AND c.is_default AND favourites.venue_id = ?;`, [DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, parseId(id), parseId(venueID)]);
+        if (result.affectedRows) {
+            removed = true;
+        }
+        if (result.warningCount > 0) {
             const warningResult = await pool.query(`SHOW WARNINGS;`);
             logger.warn(JSON.stringify(warningResult));
         }
@@ -599,6 +2142,581 @@ async function removeUserFavourite(id, venueID) {
     return removed;
 }
 
+/* - - - - - Password resets - - - - - */
+
+/**
+ * Stores a password reset for a user
+ *
+ * @param {any} id user id
+ * @param {string} tokenHash hash of the token mailed to the user
+ * @param {number} expiryMs how long the token can be used for
+ * @returns {number} id of the new password reset
+ */
+async function addPasswordReset(id, tokenHash, expiryMs) {
+    try {
+        const result = await pool.query(`INSERT INTO ?? (user_id, token_hash, expires_at) VALUES (?, ?, NOW() + INTERVAL ? SECOND);`, [DbTable.PASSWORD_RESETS, parseId(id), parseString(tokenHash), Math.ceil(expiryMs / 1000)]);
+        return result.insertId;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Uses a password reset to set its user's password. The reset must be unused and unexpired. Using it also uses up
+ * any others the user has outstanding, and bumps their token version so any tokens already issued to them are refused.
+ *
+ * @param {string} tokenHash hash of the token mailed to the user
+ * @param {string} passwordHash hash of the new password
+ * @returns {number} id of the user whose password was reset, or undefined if there's no such usable reset
+ */
+async function usePasswordReset(tokenHash, passwordHash) {
+    try {
+        return await withTransaction(async (query) => {
+            // Locked, so a token used twice at once only resets the password once
+            let resets = await query(`
+                SELECT user_id FROM ??
+                WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+                FOR UPDATE;`, [DbTable.PASSWORD_RESETS, parseString(tokenHash)]);
+            if (resets.length === 0) {
+                return undefined;
+            }
+            let userId = resets[0].user_id;
+            await query(`UPDATE ?? SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL;`, [DbTable.PASSWORD_RESETS, userId]);
+            await query(`UPDATE ?? SET password_hash = ?, token_version = token_version + 1 WHERE id = ? LIMIT 1;`, [DbTable.USERS, passwordHash, userId]);
+            return userId;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/* - - - - - Collections - - - - - */
+
+/**
+ * Gets a page of a user's collections, their default collection (favourites) first, then by name
+ *
+ * @param {any} id user id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, name, is_default, is_public, share_token, created_at, venue_count }]
+ */
+async function getUserCollections(id, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT c.id, c.name, c.is_default, c.is_public, c.share_token, c.created_at, COUNT(cv.id) AS venue_count
+            FROM ?? AS c
+            LEFT JOIN ?? AS cv
+            ON c.id = cv.collection_id
+            WHERE c.user_id = ?
+            GROUP BY c.id
+            ORDER BY c.is_default DESC, c.name, c.id
+            LIMIT ?, ?;`, [DbTable.COLLECTIONS, DbTable.COLLECTION_VENUES, parseId(id), offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.map(parseCollection);
+}
+async function countUserCollections(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? WHERE user_id = ?;`, [DbTable.COLLECTIONS, parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * @param {any} id user id
+ * @param {any} collectionID collection id
+ * @returns {Array} the user's collection, as for getUserCollections, or empty if they have no such collection
+ */
+async function getCollection(id, collectionID) {
+    let result = new Array();
+    try {
+        result = await pool.query(`
+            SELECT c.id, c.name, c.is_default, c.is_public, c.share_token, c.created_at, COUNT(cv.id) AS venue_count
+            FROM ?? AS c
+            LEFT JOIN ?? AS cv
+            ON c.id = cv.collection_id
+            WHERE c.id = ? AND c.user_id = ?
+            GROUP BY c.id;`, [DbTable.COLLECTIONS, DbTable.COLLECTION_VENUES, parseId(collectionID), parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.map(parseCollection);
+}
+/**
+ * Gets a collection by its share token, if it's public. Only what's fit for anyone to see is returned.
+ *
+ * @param {any} shareToken
+ * @returns {Array} [{ id, name, owner, created_at, venue_count }] owner is the owner's username. Empty if
+ * there's no such collection, or it's private.
+ */
+async function getSharedCollection(shareToken) {
+    let result = new Array();
+    try {
+        result = await pool.query(`
+            SELECT c.id, c.name, u.username AS owner, c.created_at, COUNT(cv.id) AS venue_count
+            FROM ?? AS c
+            INNER JOIN ?? AS u
+            ON c.user_id = u.id
+            LEFT JOIN ?? AS cv
+            ON c.id = cv.collection_id
+            WHERE c.share_token = ? AND c.is_public
+            GROUP BY c.id, u.username;`, [DbTable.COLLECTIONS, DbTable.USERS, DbTable.COLLECTION_VENUES, parseString(shareToken)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+/**
+ * Gets a page of the venues in a collection, by name. Check who can see the collection first.
+ *
+ * @param {any} collectionID collection id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, name, main_media_path }] venues
+ */
+async function getCollectionVenues(collectionID, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT v.id, v.name, m.media_path AS main_media_path
+            FROM ?? AS v
+            INNER JOIN ?? AS cv
+            ON v.id = cv.venue_id
+            INNER JOIN ?? AS m
+            ON v.main_media_id = m.id
+            WHERE cv.collection_id = ?
+            ORDER BY v.name
+            LIMIT ?, ?;`, [DbTable.VENUES, DbTable.COLLECTION_VENUES, DbTable.MEDIA, parseId(collectionID), offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countCollectionVenues(collectionID) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? WHERE collection_id = ?;`, [DbTable.COLLECTION_VENUES, parseId(collectionID)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Adds a collection for a user, with a new share token
+ *
+ * @param {any} id user id
+ * @param {object} collection { name, is_public } is_public defaults to false
+ * @returns {number} id of the new collection
+ */
+async function addCollection(id, { name, is_public } = {}) {
+    let insertId;
+    try {
+        let columns = { user_id: parseId(id), ...getCollectionColumns({ name, is_public }), share_token: createShareToken() };
+        const result = await pool.query(`INSERT INTO ?? SET ?;`, [DbTable.COLLECTIONS, columns]);
+        insertId = result.insertId;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return insertId;
+}
+async function updateCollection(id, collectionID, { name, is_public } = {}) {
+    let result = new Array();
+    try {
+        // Only columns that were supplied are changed
+        let columns = getCollectionColumns({ name, is_public });
+        if (Object.keys(columns).length === 0) {
+            return false;
+        }
+        result = await pool.query(`UPDATE ?? SET ? WHERE id = ? AND user_id = ? LIMIT 1;`, [DbTable.COLLECTIONS, columns, parseId(collectionID), parseId(id)]);
+        return updateOK(result);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Deletes one of a user's collections, and its list of venues. A user's default collection (favourites) can't be deleted.
+ *
+ * @param {any} id user id
+ * @param {any} collectionID collection id
+ * @returns {boolean} true if deleted, false if it's the default collection, or undefined if the user has no such collection
+ */
+async function deleteCollection(id, collectionID) {
+    let collectionId = parseId(collectionID);
+    try {
+        return await withTransaction(async (query) => {
+            let rows = await query(`SELECT is_default FROM ?? WHERE id = ? AND user_id = ? FOR UPDATE;`, [DbTable.COLLECTIONS, collectionId, parseId(id)]);
+            if (rows.length === 0) {
+                return undefined;
+            }
+            if (rows[0].is_default) {
+                return false;
+            }
+            await query(`DELETE FROM ?? WHERE collection_id = ?;`, [DbTable.COLLECTION_VENUES, collectionId]);
+            await query(`DELETE FROM ?? WHERE id = ? LIMIT 1;`, [DbTable.COLLECTIONS, collectionId]);
+            return true;
+        });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+/**
+ * Adds a venue to one of a user's collections
+ *
+ * @param {any} id user id
+ * @param {any} collectionID collection id
+ * @param {any} venueID venue id
+ * @returns {boolean} true if added, false if it was in the collection already, or the user has no such collection
+ */
+async function addCollectionVenue(id, collectionID, venueID) {
+    let added = false;
+    try {
+        // IGNORE, so adding a venue that's in the collection already is harmless
+        const result = await pool.query(`
+            INSERT IGNORE INTO ?? (collection_id, venue_id)
+            SELECT id, ?
+            FROM ??
+            WHERE id = ? AND user_id = ?;`, [DbTable.COLLECTION_VENUES, parseId(venueID), DbTable.COLLECTIONS, parseId(collectionID), parseId(id)]);
+        added = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return added;
+}
+async function removeCollectionVenue(id, collectionID, venueID) {
+    let removed = false;
+    try {
+        const result = await pool.query(`
+            DELETE cv
+            FROM ?? AS cv
+            INNER JOIN ?? AS c
+            ON cv.collection_id = c.id
+            WHERE c.id = ? AND c.user_id = ? AND cv.venue_id = ?;`, [DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, parseId(collectionID), parseId(id), parseId(venueID)]);
+        removed = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return removed;
+}
+
+/* - - - - - Recommendations - - - - - */
+
+/**
+ * Gets a page of venues to recommend to a user, best first. Leaves out the user's favourites.
+ *
+ * Venues are scored by favourite co-occurrence. Users who share their favourites and have any in common with the
+ * user are similar, and each one who favourited a venue adds the number of favourites in common to its score. The venue's rating
+ * (its review_rating, or its own rating until reviewed) out of 5 adds up to RECOMMENDATION_RATING_WEIGHT, so
+ * a user with no similar users simply gets the top rated venues. Given a position, nearness adds up to
+ * RECOMMENDATION_NEAR_WEIGHT, falling off to nothing at radius.
+ *
+ * @param {any} id user id
+ * @param {object} near (optional) { lat, lng, radius } position in degrees, and radius in metres
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, name, rating, review_rating, main_media_path, distance, score }] venues. distance is
+ * only there when near is given.
+ */
+async function getRecommendedVenues(id, near, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let userId = parseId(id);
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        let distance = { sql: '', values: [], nearnessSql: '', nearnessValues: [] };
+        if (near) {
+            let nearQuery = getVenueNearQuery(near.lat, near.lng, near.radius);
+            distance = {
+                sql: `${nearQuery.distanceSql} AS distance,`,
+                values: nearQuery.distanceValues,
+                nearnessSql: `+ ? * GREATEST(0, 1 - ${nearQuery.distanceSql} / ?)`,
+                nearnessValues: [RECOMMENDATION_NEAR_WEIGHT, ...nearQuery.distanceValues, nearQuery.radius]
+            };
+        }
+        result = await pool.query(`
+            SELECT
+                v.id,
+                v.name,
+                v.rating,
+                v.review_rating,
+                m.media_path AS main_media_path,
+                ${distance.sql}
+                COALESCE(co.score, 0)
+                    + ? * COALESCE(v.review_rating, v.rating, 0) / 5
+                    ${distance.nearnessSql} AS score
+            FROM ?? AS v
+            INNER JOIN ?? AS m
+            ON v.main_media_id = m.id
+            LEFT JOIN (
+                -- Users who share their favourites and have some in common, and how many they have in common
+                SELECT
+                    theirs.venue_id,
+                    SUM(similar.shared) AS score
+                FROM (
+                    SELECT c.user_id, COUNT(*) AS shared
+                    FROM ?? AS mine
+                    INNER JOIN ?? AS cv
+                    ON cv.venue_id = mine.venue_id
+                    INNER JOIN ?? AS c
+                    ON cv.collection_id = c.id
+                    INNER JOIN ?? AS u
+                    ON c.user_id = u.id
+                    WHERE mine.collection_id IN (SELECT id FROM ?? WHERE user_id = ? AND is_default)
+                    AND c.is_default AND c.user_id <> ? AND u.account_status_id = ? AND u.share_favourites
+                    GROUP BY c.user_id
+                ) AS similar
+                INNER JOIN ?? AS their_c
+                ON their_c.user_id = similar.user_id AND their_c.is_default
+                INNER JOIN ?? AS theirs
+                ON theirs.collection_id = their_c.id
+                GROUP BY theirs.venue_id
+            ) AS co
+            ON co.venue_id = v.id
+            WHERE v.id NOT IN (${getFavouriteVenueIdsSql()})
+            ORDER BY score DESC, v.id
+            LIMIT ?, ?;`, [
+            ...distance.values,
+            RECOMMENDATION_RATING_WEIGHT, ...distance.nearnessValues,
+            DbTable.VENUES, DbTable.MEDIA,
+            DbTable.COLLECTION_VENUES, DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, DbTable.USERS, DbTable.COLLECTIONS, userId,
+            userId, UserAccountStatus.ACTIVE,
+            DbTable.COLLECTIONS, DbTable.COLLECTION_VENUES,
+            DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, userId,
+            offset, limit
+        ]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countRecommendedVenues(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT COUNT(*) AS total FROM ?? AS v WHERE v.id NOT IN (${getFavouriteVenueIdsSql()});`, [DbTable.VENUES, DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+
+/* - - - - - Follows and feeds - - - - - */
+
+/**
+ * Gets a page of the active users a user follows, by username
+ *
+ * @param {any} id user id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, username, followed_at }] users
+ */
+async function getFollowing(id, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT u.id, u.username, f.created_at AS followed_at
+            FROM ?? AS f
+            INNER JOIN ?? AS u
+            ON f.followee_id = u.id
+            WHERE f.follower_id = ? AND u.account_status_id = ?
+            ORDER BY u.username, u.id
+            LIMIT ?, ?;`, [DbTable.USER_FOLLOWS, DbTable.USERS, parseId(id), UserAccountStatus.ACTIVE, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countFollowing(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`
+            SELECT COUNT(*) AS total
+            FROM ?? AS f
+            INNER JOIN ?? AS u
+            ON f.followee_id = u.id
+            WHERE f.follower_id = ? AND u.account_status_id = ?;`, [DbTable.USER_FOLLOWS, DbTable.USERS, parseId(id), UserAccountStatus.ACTIVE]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * Gets a page of the active users following a user, by username
+ *
+ * @param {any} id user id
+ * @param {any} startRow row to start from
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ id, username, followed_at }] users
+ */
+async function getFollowers(id, startRow, maxRows) {
+    let result = new Array();
+    try {
+        let offset = parseStartRow(startRow);
+        let limit = parseMaxRows(maxRows);
+        result = await pool.query(`
+            SELECT u.id, u.username, f.created_at AS followed_at
+            FROM ?? AS f
+            INNER JOIN ?? AS u
+            ON f.follower_id = u.id
+            WHERE f.followee_id = ? AND u.account_status_id = ?
+            ORDER BY u.username, u.id
+            LIMIT ?, ?;`, [DbTable.USER_FOLLOWS, DbTable.USERS, parseId(id), UserAccountStatus.ACTIVE, offset, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countFollowers(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`
+            SELECT COUNT(*) AS total
+            FROM ?? AS f
+            INNER JOIN ?? AS u
+            ON f.follower_id = u.id
+            WHERE f.followee_id = ? AND u.account_status_id = ?;`, [DbTable.USER_FOLLOWS, DbTable.USERS, parseId(id), UserAccountStatus.ACTIVE]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+/**
+ * @param {any} id id of the user following
+ * @param {any} followeeID id of the user to follow
+ * @returns {boolean} true if followed, false if already following
+ */
+async function addFollow(id, followeeID) {
+    let added = false;
+    try {
+        // IGNORE, so following twice is harmless
+        const result = await pool.query(`INSERT IGNORE INTO ?? (follower_id, followee_id) VALUES (?, ?);`, [DbTable.USER_FOLLOWS, parseId(id), parseId(followeeID)]);
+        added = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return added;
+}
+async function removeFollow(id, followeeID) {
+    let removed = false;
+    try {
+        const result = await pool.query(`DELETE FROM ?? WHERE follower_id = ? AND followee_id = ? LIMIT 1;`, [DbTable.USER_FOLLOWS, parseId(id), parseId(followeeID)]);
+        removed = result.affectedRows > 0;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return removed;
+}
+async function getUserPrivacy(id) {
+    let result = new Array();
+    try {
+        result = await pool.query(`SELECT share_favourites FROM ?? WHERE id = ?;`, [DbTable.USERS, parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result.map(row => ({ share_favourites: Boolean(row.share_favourites) }));
+}
+async function updateUserPrivacy(id, { share_favourites } = {}) {
+    let result = new Array();
+    try {
+        result = await pool.query(`UPDATE ?? SET share_favourites = ? WHERE id = ? LIMIT 1;`, [DbTable.USERS, parseBoolean(share_favourites), parseId(id)]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return updateOK(result);
+}
+/**
+ * Gets a page of a user's feed: what the active users they follow have done lately, newest first. Items
+ * are ordered by occurred_at, type and id, all descending, so each has a unique place to page from.
+ *
+ * @param {any} id user id
+ * @param {object} after (optional) { occurred_at, type, id } of the last item already seen. Without it,
+ * starts at the newest item.
+ * @param {any} maxRows max rows to return
+ * @returns {Array} [{ type, id, user_id, username, venue_id, venue_name, score, occurred_at }] items, where
+ * type is one of FeedItemType, id is the favourite or review id, and score is null for favourites
+ */
+async function getUserFeed(id, after, maxRows) {
+    let result = new Array();
+    try {
+        let limit = parseMaxRows(maxRows);
+        let feed = getFeedQuery(id);
+        let afterSql = '';
+        let afterValues = [];
+        if (after) {
+            afterSql = 'AND (feed.occurred_at, feed.type, feed.id) < (?, ?, ?)';
+            afterValues = [after.occurred_at, after.type, parseId(after.id)];
+        }
+        result = await pool.query(`
+            SELECT
+                feed.type,
+                feed.id,
+                feed.user_id,
+                u.username,
+                feed.venue_id,
+                v.name AS venue_name,
+                feed.score,
+                feed.occurred_at
+            FROM (${feed.sql}) AS feed
+            INNER JOIN ?? AS u
+            ON feed.user_id = u.id
+            INNER JOIN ?? AS v
+            ON feed.venue_id = v.id
+            WHERE u.account_status_id = ? ${afterSql}
+            ORDER BY feed.occurred_at DESC, feed.type DESC, feed.id DESC
+            LIMIT ?;`, [...feed.values, DbTable.USERS, DbTable.VENUES, UserAccountStatus.ACTIVE, ...afterValues, limit]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result;
+}
+async function countUserFeed(id) {
+    let result = new Array();
+    try {
+        let feed = getFeedQuery(id);
+        result = await pool.query(`
+            SELECT COUNT(*) AS total
+            FROM (${feed.sql}) AS feed
+            INNER JOIN ?? AS u
+            ON feed.user_id = u.id
+            WHERE u.account_status_id = ?;`, [...feed.values, DbTable.USERS, UserAccountStatus.ACTIVE]);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+    return result[0].total;
+}
+
 /* - - - - - Data-parsing helpers - - - - - */
 
 function parseId(id) {
@@ -606,7 +2724,7 @@ function parseId(id) {
     return Number(id) || -1;
 }
 function parseEmail(email) {
-    //TODO: Do proper email validation. Only ensuring it's a string for now
+    // Only ensuring it's a string. The api checks the format of incoming emails (see isEmailFormat).
     return email && String(email).trim() || "";
 }
 function parseString(str) {
@@ -618,9 +2736,293 @@ function parseStartRow(startRow) {
 function parseMaxRows(maxRows) {
     return Number(maxRows) <= KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS ? Number(maxRows) : KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS;
 }
+function parseRating(rating) {
+    // undefined means don't filter on it
+    return rating === undefined || rating === '' || !isFinite(rating) ? undefined : Number(rating);
+}
+function parseSearchText(text) {
+    // Escape LIKE wildcards, so they're matched literally
+    return parseString(text).replace(/[\\%_]/g, '\\$&');
+}
+function parseVenueSort(sort) {
+    // Gets the SQL to sort by, rather than just a column
+    switch (sort) {
+        case VenueSort.NAME:
+            return 'v.name';
+        case VenueSort.RATING:
+            return VENUE_RATING_SQL;
+        default:
+            return 'v.id';
+    }
+}
+function parseBoolean(value) {
+    return value === true || String(value).toLowerCase() === 'true';
+}
+function parseCaption(caption) {
+    return caption === undefined || caption === null ? '' : String(caption).trim();
+}
+function parseNote(note) {
+    return note === undefined || note === null ? '' : String(note).trim();
+}
+function parseTagName(name) {
+    return parseString(name).toLowerCase();
+}
+// MySQL BOOLEANs come back as 1 or 0
+function parseCollection(row) {
+    return { ...row, is_default: Boolean(row.is_default), is_public: Boolean(row.is_public) };
+}
+function parseDietary(dietary) {
+    // Accepts an Array, or a comma-separated string as SET columns come back as. Dupes are dropped.
+    let flags = Array.isArray(dietary) ? dietary : String(dietary || '').split(',');
+    return [...new Set(flags.map(f => String(f).trim().toLowerCase()).filter(f => f !== ''))];
+}
+function parseSortOrder(order) {
+    return String(order).toLowerCase() === SortOrder.DESC ? 'DESC' : 'ASC';
+}
+/**
+ * Gets the startRow and maxRows a SELECT will actually use, e.g. maxRows is clamped to KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS
+ *
+ * @param {any} startRow requested startRow
+ * @param {any} maxRows requested maxRows
+ * @returns {object} { startRow, maxRows }
+ */
+function getRowBounds(startRow, maxRows) {
+    return { startRow: parseStartRow(startRow), maxRows: parseMaxRows(maxRows) };
+}
 
 /* - - - - - Other helpers - - - - - */
 
+// Locks a venue's row for the rest of a transaction. Changes to the same venue's reviews, hours or gallery then take
+// turns, e.g. so each review change recalculates the venue's review stats from every other committed change.
+async function lockVenue(query, venueId) {
+    let result = await query(`SELECT id FROM ?? WHERE id = ? FOR UPDATE;`, [DbTable.VENUES, venueId]);
+    return result.length > 0;
+}
+
+// Gets the id of a user's default collection, making it if it doesn't exist yet. Locks the user's row for the rest
+// of the transaction, so two requests can't both make one. Returns undefined if there's no such user.
+async function getDefaultCollectionId(query, userId) {
+    let users = await query(`SELECT id FROM ?? WHERE id = ? FOR UPDATE;`, [DbTable.USERS, userId]);
+    if (users.length === 0) {
+        return undefined;
+    }
+    let collections = await query(`SELECT id FROM ?? WHERE user_id = ? AND is_default LIMIT 1;`, [DbTable.COLLECTIONS, userId]);
+    if (collections.length > 0) {
+        return collections[0].id;
+    }
+    let result = await query(`INSERT INTO ?? (user_id, name, is_default, share_token) VALUES (?, ?, TRUE, ?);`, [DbTable.COLLECTIONS, userId, DEFAULT_COLLECTION_NAME, createShareToken()]);
+    return result.insertId;
+}
+
+// Share tokens are unguessable, since anyone holding one can read the collection while it's public
+function createShareToken() {
+    return crypto.randomBytes(SHARE_TOKEN_BYTES).toString('hex');
+}
+
+// Adds media to the end of a venue's gallery. IGNORE, so media already in the gallery stays where it is.
+// Run in a transaction that has locked the venue, so the position can't be taken meanwhile.
+async function appendVenueMedia(query, venueId, mediaId, caption) {
+    return await query(`
+        INSERT IGNORE INTO ?? (venue_id, media_id, position, caption)
+        SELECT ?, ?, COALESCE(MAX(position), 0) + 1, ?
+        FROM ??
+        WHERE venue_id = ?;`, [DbTable.VENUE_MEDIA, venueId, mediaId, parseCaption(caption), DbTable.VENUE_MEDIA, venueId]);
+}
+
+// Recalculates a venue's review_rating and review_count from its reviews. Run in the transaction that changed them.
+async function updateVenueReviewStats(query, venueId) {
+    return await query(`
+        UPDATE ?? SET
+            review_rating = (SELECT ROUND(AVG(score), 2) FROM ?? WHERE venue_id = ?),
+            review_count = (SELECT COUNT(*) FROM ?? WHERE venue_id = ?)
+        WHERE id = ?
+        LIMIT 1;`, [DbTable.VENUES, DbTable.REVIEWS, venueId, DbTable.REVIEWS, venueId, venueId]);
+}
+
+// Builds the parts of a venue proximity query. Distance is great-circle, by the haversine formula.
+function getVenueNearQuery(lat, lng, radius, { minLat, maxLat, minLng, maxLng } = {}) {
+    let latitude = Number(lat);
+    let longitude = Number(lng);
+    return {
+        distanceSql: `? * 2 * ASIN(LEAST(1, SQRT(
+                    POWER(SIN(RADIANS(v.geo_lat - ?) / 2), 2) +
+                    COS(RADIANS(?)) * COS(RADIANS(v.geo_lat)) * POWER(SIN(RADIANS(v.geo_lng - ?) / 2), 2)
+                )))`,
+        distanceValues: [EARTH_RADIUS_M, latitude, latitude, longitude],
+        whereSql: `WHERE v.geo_lat BETWEEN ? AND ? AND v.geo_lng BETWEEN ? AND ?`,
+        whereValues: [Number(minLat), Number(maxLat), Number(minLng), Number(maxLng)],
+        radius: Number(radius)
+    };
+}
+
+// Subquery for the ids of a user's favourite venues. Takes the values collection_venues, collections, user id.
+function getFavouriteVenueIdsSql() {
+    return `SELECT cv.venue_id FROM ?? AS cv INNER JOIN ?? AS c ON cv.collection_id = c.id WHERE c.user_id = ? AND c.is_default`;
+}
+
+// Builds the union of everything that can be in a user's feed. Favourites only come from followees who
+// share them. Filtering out inactive followees is left to the caller, which joins users anyway.
+function getFeedQuery(id) {
+    let userId = parseId(id);
+    return {
+        sql: `
+                SELECT ? AS type, cv.id, c.user_id, cv.venue_id, NULL AS score, cv.added_at AS occurred_at
+                FROM ?? AS cv
+                INNER JOIN ?? AS c
+                ON cv.collection_id = c.id
+                INNER JOIN ?? AS owner
+                ON c.user_id = owner.id
+                WHERE c.is_default AND owner.share_favourites
+                AND c.user_id IN (SELECT followee_id FROM ?? WHERE follower_id = ?)
+                UNION ALL
+                SELECT ?, r.id, r.user_id, r.venue_id, r.score, r.created_at
+                FROM ?? AS r
+                WHERE r.user_id IN (SELECT followee_id FROM ?? WHERE follower_id = ?)
+            `,
+        values: [
+            FeedItemType.FAVOURITE, DbTable.COLLECTION_VENUES, DbTable.COLLECTIONS, DbTable.USERS, DbTable.USER_FOLLOWS, userId,
+            FeedItemType.REVIEW, DbTable.REVIEWS, DbTable.USER_FOLLOWS, userId
+        ]
+    };
+}
+
+// Builds the WHERE clause picking a user's check-ins, optionally within { from, to }
+function getCheckInRangeClause(id, { from, to } = {}) {
+    let conditions = ['ci.user_id = ?'];
+    let values = [parseId(id)];
+    if (from) {
+        conditions.push('ci.created_at >= ?');
+        values.push(from);
+    }
+    if (to) {
+        conditions.push('ci.created_at < ?');
+        values.push(to);
+    }
+    return { sql: `WHERE ${conditions.join(' AND ')}`, values: values };
+}
+
+// Gets the venue columns to insert or update, from any supplied fields
+function getVenueColumns(fields = {}) {
+    let columns = {};
+    if (fields.name !== undefined) columns.name = parseString(fields.name);
+    if (fields.address !== undefined) columns.address = parseString(fields.address);
+    if (fields.geo_lat !== undefined) columns.geo_lat = Number(fields.geo_lat);
+    if (fields.geo_lng !== undefined) columns.geo_lng = Number(fields.geo_lng);
+    if (fields.rating !== undefined) columns.rating = fields.rating === null ? null : Number(fields.rating);
+    if (fields.main_media_id !== undefined) columns.main_media_id = parseId(fields.main_media_id);
+    if (fields.timezone !== undefined) columns.timezone = parseString(fields.timezone);
+    return columns;
+}
+
+// Gets the menu item columns to insert or update, from any supplied fields
+function getMenuItemColumns(fields = {}) {
+    let columns = {};
+    if (fields.name !== undefined) columns.name = parseString(fields.name);
+    if (fields.description !== undefined) columns.description = parseString(fields.description);
+    if (fields.price !== undefined) columns.price = Number(fields.price);
+    if (fields.currency !== undefined) columns.currency = parseString(fields.currency).toUpperCase();
+    if (fields.dietary !== undefined) columns.dietary = parseDietary(fields.dietary).join(',');
+    return columns;
+}
+
+// Gets the collection columns to insert or update, from any supplied fields. is_public may be a boolean or 'true'/'false'.
+function getCollectionColumns(fields = {}) {
+    let columns = {};
+    if (fields.name !== undefined) columns.name = parseString(fields.name);
+    if (fields.is_public !== undefined) columns.is_public = parseBoolean(fields.is_public);
+    return columns;
+}
+// Gets the review columns to insert or update, from any supplied fields. A null text clears it.
+function getReviewColumns(fields = {}) {
+    let columns = {};
+    if (fields.score !== undefined) columns.score = Number(fields.score);
+    if (fields.text !== undefined) columns.text = fields.text === null ? '' : String(fields.text).trim();
+    return columns;
+}
+
+// Gets the schedules of venues ({ id, timezone }), with exceptions from fromDate to any toDate, and weekly hours
+// on any days (ISO days of the week). Without days, gets all weekly hours.
+async function getSchedulesOf(venues, fromDate, toDate, days) {
+    let schedules = {};
+    if (venues.length === 0) {
+        return schedules;
+    }
+    let ids = venues.map(v => v.id);
+    // Formatted, so times come back as 'HH:MM' and dates as 'YYYY-MM-DD' rather than a Date shifted by timezones
+    let weekly = await pool.query(`
+        SELECT venue_id, day, TIME_FORMAT(opens, '%H:%i') AS opens, TIME_FORMAT(closes, '%H:%i') AS closes
+        FROM ?? WHERE venue_id IN (?) ${days ? 'AND day IN (?)' : ''} ORDER BY venue_id, day, opens;`, [DbTable.VENUE_OPENING_HOURS, ids, ...days ? [days] : []]);
+    let exceptions = await pool.query(`
+        SELECT venue_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, TIME_FORMAT(opens, '%H:%i') AS opens, TIME_FORMAT(closes, '%H:%i') AS closes
+        FROM ?? WHERE venue_id IN (?) AND date >= ? ${toDate ? 'AND date <= ?' : ''}
+        ORDER BY venue_id, date, opens;`, [DbTable.VENUE_OPENING_EXCEPTIONS, ids, fromDate, ...toDate ? [toDate] : []]);
+    for (const venue of venues) {
+        schedules[venue.id] = { timezone: venue.timezone, weekly: [], exceptions: [] };
+    }
+    for (const { venue_id, ...hours } of weekly) {
+        schedules[venue_id].weekly.push(hours);
+    }
+    for (const { venue_id, ...exception } of exceptions) {
+        schedules[venue_id].exceptions.push(exception);
+    }
+    return schedules;
+}
+
+// Gets the ISO days of the week, 1 (Monday) to 7 (Sunday), from one 'YYYY-MM-DD' date to another
+function getDaysOfWeekBetween(fromDate, toDate) {
+    let days = new Set();
+    let to = new Date(`${toDate}T00:00:00Z`);
+    for (let date = new Date(`${fromDate}T00:00:00Z`); date <= to && days.size < 7; date.setUTCDate(date.getUTCDate() + 1)) {
+        // getUTCDay has Sunday as 0
+        days.add(date.getUTCDay() || 7);
+    }
+    return [...days];
+}
+
+// Builds the WHERE clause for venue filters. Any extra conditions are ANDed on, with their values.
+function getVenueFilterClause({ q, minRating, maxRating, hasItem, tags, tagMode, ids } = {}, conditions = [], values = []) {
+    conditions = [...conditions];
+    values = [...values];
+    let text = parseSearchText(q);
+    let min = parseRating(minRating);
+    let max = parseRating(maxRating);
+    if (text !== '') {
+        conditions.push('(v.name LIKE ? OR v.address LIKE ?)');
+        values.push(`%${text}%`, `%${text}%`);
+    }
+    if (min !== undefined) {
+        conditions.push(`${VENUE_RATING_SQL} >= ?`);
+        values.push(min);
+    }
+    if (max !== undefined) {
+        conditions.push(`${VENUE_RATING_SQL} <= ?`);
+        values.push(max);
+    }
+    if (hasItem !== undefined && hasItem !== '') {
+        conditions.push('EXISTS (SELECT 1 FROM ?? AS mi WHERE mi.venue_id = v.id AND FIND_IN_SET(?, mi.dietary))');
+        values.push(DbTable.MENU_ITEMS, String(hasItem));
+    }
+    if (Array.isArray(tags) && tags.length > 0) {
+        let names = [...new Set(tags.map(parseTagName))];
+        if (tagMode === TagMode.ALL) {
+            conditions.push('(SELECT COUNT(*) FROM ?? AS vt INNER JOIN ?? AS t ON vt.tag_id = t.id WHERE vt.venue_id = v.id AND t.name IN (?)) = ?');
+            values.push(DbTable.VENUE_TAGS, DbTable.TAGS, names, names.length);
+        } else {
+            conditions.push('EXISTS (SELECT 1 FROM ?? AS vt INNER JOIN ?? AS t ON vt.tag_id = t.id WHERE vt.venue_id = v.id AND t.name IN (?))');
+            values.push(DbTable.VENUE_TAGS, DbTable.TAGS, names);
+        }
+    }
+    if (Array.isArray(ids)) {
+        // IN () isn't valid SQL, and no ids should match nothing
+        conditions.push(ids.length > 0 ? 'v.id IN (?)' : 'FALSE');
+        if (ids.length > 0) values.push(ids.map(parseId));
+    }
+    return {
+        sql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        values: values
+    };
+}
+
 // Check if an update went OK. With regard to REST, an UPDATE query result is OK whether
 // it is repeated or not, so rows may or may not change on each update.
 function updateOK(result) {
@@ -632,11 +3034,28 @@ function updateOK(result) {
 
 
 module.exports = {
+    UserAccountStatus, VenueSort, SortOrder, DietaryFlag, TagMode, FeedItemType,
+    closePool,
     resetTestDB,
-    checkDBExists, setTargetDB, checkTablesExist,
-    getVenue, getVenues,
-    addUser, activateUser, deactivateUser, getUser, getUserByEmail, getUserByUserName, getUsers,
+    checkDBExists, setTargetDB, checkTablesExist, pingDB, verifyDB,
+    getRowBounds,
+    getVenue, getVenues, getVenuesAfter, countVenues, getVenuesNear, countVenuesNear,
+    addVenue, updateVenue, deleteVenue,
+    getOpeningSchedules, getOpeningSchedulesBetween, setVenueOpeningHours,
+    getMenuItems, countMenuItems, addMenuItem, updateMenuItem, deleteMenuItem,
+    getTags, countTags, getTag, getTagByName, addTag, updateTag, deleteTag, getVenueTags, addVenueTag, removeVenueTag,
+    getVenueReviews, countVenueReviews, getReview, addReview, updateReview, deleteReview,
+    getUserCheckIns, countUserCheckIns, getUserCheckInVenues, countUserCheckInVenues, addCheckIn,
+    getMedia, addMedia,
+    getVenueMedia, countVenueMedia, attachVenueMedia, updateVenueMedia, detachVenueMedia, reorderVenueMedia, setVenueMainMedia,
+    addUser, activateUser, deactivateUser, updateUser, getUser, getUserByEmail, getUserByUserName, getUsers, countUsers,
     getUserRole,
-    getUserAccountStatus,
-    getUserFavourites, addUserFavourite, removeUserFavourite
+    getUserAccountStatus, isUserActive, isUserEmailVerified, verifyUserEmail,
+    getUserTokenVersion, getUserAuthState, updateUserPassword, addPasswordReset, usePasswordReset,
+    getUserFavourites, countUserFavourites, addUserFavourite, removeUserFavourite,
+    getUserCollections, countUserCollections, getCollection, getSharedCollection, getCollectionVenues, countCollectionVenues,
+    addCollection, updateCollection, deleteCollection, addCollectionVenue, removeCollectionVenue,
+    getRecommendedVenues, countRecommendedVenues,
+    getFollowing, countFollowing, getFollowers, countFollowers, addFollow, removeFollow, getUserPrivacy, updateUserPrivacy,
+    getUserFeed, countUserFeed
 };
@@ -0,0 +1,85 @@
+﻿/**
+ * Geographic helpers for proximity searches.
+ *
+ * Distances are great-circle distances on a spherical Earth (see dal getVenuesNear), in metres. Close
+ * enough for finding kebabs, if not for navigation.
+ *
+ * */
+
+'use strict';
+
+const EARTH_RADIUS_M = 6371000; // Mean radius
+
+const MIN_LAT = -90;
+const MAX_LAT = 90;
+const MIN_LNG = -180;
+const MAX_LNG = 180;
+
+/**
+ * Checks a latitude and longitude are numbers within range
+ *
+ * @param {any} lat latitude in degrees
+ * @param {any} lng longitude in degrees
+ * @returns {boolean} true if valid, false otherwise
+ */
+function isValidPosition(lat, lng) {
+    return isNumeric(lat) && isNumeric(lng)
+        && Number(lat) >= MIN_LAT && Number(lat) <= MAX_LAT
+        && Number(lng) >= MIN_LNG && Number(lng) <= MAX_LNG;
+}
+
+/**
+ * Gets a lat/lng box that contains every point within radius of a position. Cheap to search with an
+ * index, so it narrows things down before exact distances are worked out.
+ * Near a pole, or where the box would cross the antimeridian, the box spans all longitudes.
+ *
+ * @param {number} lat latitude in degrees
+ * @param {number} lng longitude in degrees
+ * @param {number} radius radius in metres
+ * @returns {object} { minLat, maxLat, minLng, maxLng } in degrees
+ */
+function getBoundingBox(lat, lng, radius) {
+    let angularRadius = radius / EARTH_RADIUS_M;
+    let latRad = toRadians(lat);
+    let minLat = lat - toDegrees(angularRadius);
+    let maxLat = lat + toDegrees(angularRadius);
+    let minLng = MIN_LNG;
+    let maxLng = MAX_LNG;
+    if (minLat > MIN_LAT && maxLat < MAX_LAT) {
+        // Longitude degrees shrink towards the poles, so the box widens with latitude
+        let deltaLng = toDegrees(Math.asin(Math.min(Math.sin(angularRadius) / Math.cos(latRad), 1)));
+        if (lng - deltaLng >= MIN_LNG && lng + deltaLng <= MAX_LNG) {
+            minLng = lng - deltaLng;
+            maxLng = lng + deltaLng;
+        }
+    }
+    return {
+        minLat: Math.max(minLat, MIN_LAT),
+        maxLat: Math.min(maxLat, MAX_LAT),
+        minLng: minLng,
+        maxLng: maxLng
+    };
+}
+
+
+/*
+ * Helpers
+ */
+
+function isNumeric(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '' && isFinite(value);
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+
+module.exports = {
+    EARTH_RADIUS_M,
+    isValidPosition, getBoundingBox
+};
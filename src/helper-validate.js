@@ -0,0 +1,49 @@
+﻿/*
+ * Helper for validating the format of incoming values
+ */
+
+'use strict';
+
+/**
+ * Checks value is in the format of a valid id. Only format is checked, so a valid id may not exist.
+ * Ids are currently integers, func will need to be updated if we switch to UUID or other.
+ *
+ * @param {any} value value to be checked
+ * @returns {boolean} true if value is an id, false otherwise
+ */
+function isIdFormat(value) {
+    let is = false;
+    if (typeof value === "number") {
+        is = true;
+    } else if (typeof value === "string") {
+        // This regex checks we have an int
+        if (value.match(/^[0-9]*$/gm)) {
+            is = true;
+        }
+    }
+    return is;
+}
+
+/**
+ * Checks value looks like an email address, i.e. something@domain.tld with no whitespace.
+ * Deliberately loose. Only the mail server can really tell us if an address is valid.
+ *
+ * @param {any} value value to be checked
+ * @returns {boolean} true if value is in email format, false otherwise
+ */
+function isEmailFormat(value) {
+    return typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+/**
+ * Checks value is a finite number, or a string of one, e.g. from a query string or form data.
+ * Blank strings and other types, e.g. true, aren't numbers, even though Number() would make them one.
+ *
+ * @param {any} value value to be checked
+ * @returns {boolean} true if value is in number format, false otherwise
+ */
+function isNumberFormat(value) {
+    return (typeof value === "number" || typeof value === "string" && value.trim() !== "") && isFinite(value);
+}
+
+module.exports = { isIdFormat, isEmailFormat, isNumberFormat };
@@ -0,0 +1,124 @@
+﻿/**
+ * Tracks the server's lifecycle for graceful shutdown: whether we are draining, and how many requests
+ * are still in flight.
+ *
+ * The module itself is the server's lifecycle. createLifecycle makes a separate one, e.g. for tests, so
+ * they can drain and shut down without touching the running server.
+ *
+ * */
+
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Creates a lifecycle, not yet draining and with no requests in flight
+ *
+ * @returns {object} lifecycle
+ */
+function createLifecycle() {
+    let draining = false;
+    let inFlight = 0;
+    let idleWaiters = []; // Resolvers waiting for inFlight to reach 0
+    let shuttingDown; // Promise of the exit code, once shutdown has been called
+
+    function isDraining() {
+        return draining;
+    }
+    function setDraining() {
+        draining = true;
+    }
+
+    function getInFlightCount() {
+        return inFlight;
+    }
+    function requestStarted() {
+        inFlight++;
+    }
+    function requestEnded() {
+        inFlight = Math.max(inFlight - 1, 0);
+        if (inFlight === 0) {
+            let waiters = idleWaiters;
+            idleWaiters = [];
+            waiters.forEach(resolve => resolve(true));
+        }
+    }
+
+    /**
+     * Waits until there are no requests in flight, or until the timeout
+     *
+     * @param {number} timeoutMs max time to wait in milliseconds
+     * @returns {Promise} resolves true if all requests finished, false if timed out first
+     */
+    function waitForIdle(timeoutMs) {
+        if (inFlight === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            let timer = setTimeout(() => {
+                idleWaiters = idleWaiters.filter(r => r !== onIdle);
+                resolve(false);
+            }, timeoutMs);
+            function onIdle() {
+                clearTimeout(timer);
+                resolve(true);
+            }
+            idleWaiters.push(onIdle);
+        });
+    }
+
+    /**
+     * Starts draining, stops the server accepting connections, waits for in-flight requests to finish
+     * (up to timeoutMs), then closes the DB connection pool. Only ever runs once. Later calls get the
+     * result of the first.
+     *
+     * @param {object} options { server, closePool, timeoutMs } closePool resolves true if the pool closed cleanly
+     * @returns {Promise} resolves 0 if everything drained and closed cleanly, 1 otherwise
+     */
+    function shutdown({ server, closePool, timeoutMs } = {}) {
+        if (!shuttingDown) {
+            shuttingDown = drainAndClose(server, closePool, timeoutMs);
+        }
+        return shuttingDown;
+    }
+
+    async function drainAndClose(server, closePool, timeoutMs) {
+        // From here readiness reports not ready
+        setDraining();
+        let exitCode = 0;
+        try {
+            server.close();
+            if (server.closeIdleConnections) {
+                // Idle keep-alive connections would otherwise hold the server open
+                server.closeIdleConnections();
+            }
+            logger.info(`Waiting for ${getInFlightCount()} in-flight request(s) to finish...`);
+            let drained = await waitForIdle(timeoutMs);
+            if (!drained) {
+                logger.warn(`Shutdown timed out after ${timeoutMs}ms with ${getInFlightCount()} request(s) still in flight.`);
+                exitCode = 1;
+                if (server.closeAllConnections) {
+                    server.closeAllConnections();
+                }
+            }
+            if (!await closePool()) {
+                exitCode = 1;
+            }
+        } catch (err) {
+            logger.error(err);
+            exitCode = 1;
+        }
+        return exitCode;
+    }
+
+    return {
+        isDraining, setDraining,
+        getInFlightCount, requestStarted, requestEnded, waitForIdle,
+        shutdown
+    };
+}
+
+module.exports = {
+    ...createLifecycle(),
+    createLifecycle
+};
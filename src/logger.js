@@ -18,6 +18,10 @@ const path = require('path');
 
 // Expose ANSI Escape Sequences that can be used to format console output.
 // Open any character sequence with these, always ending with Reset.
+// Fields toLogString hides, and what it shows instead
+const REDACTED_FIELDS = Object.freeze(['token', 'password', 'current_password', 'new_password']);
+const REDACTED = '[redacted]';
+
 const ConsoleCodes = {
     // Cancels any previous code
     Reset: "\x1b[0m",
@@ -65,6 +69,16 @@ function debug(msg, ...optionalParameters) {
     console.debug(`${fmtTimestamp()} ${fmtModule()} ${fmtDebugPrefix()}: ${msg.toString()}`, ...optionalParameters);
 }
 
+/**
+ * Stringifies data to JSON for a log message, hiding the values of fields anyone reading the log could misuse,
+ * e.g. a login's bearer token, or a password in POST data. Fields are hidden at any depth.
+ * @param {any} data e.g. an Action's result
+ * @returns {string} JSON, with the values of any REDACTED_FIELDS replaced
+ */
+function toLogString(data) {
+    return JSON.stringify(data, (key, value) => REDACTED_FIELDS.includes(key) && value !== undefined ? REDACTED : value);
+}
+
 
 /*
  * Some formatting helpers 
@@ -129,6 +143,6 @@ function callerModuleName() {
 
 module.exports = {
     ConsoleCodes,
-    error, info, warn, debug
+    error, info, warn, debug, toLogString
 };
 
@@ -0,0 +1,86 @@
+﻿/**
+ * Sends mail, e.g. password reset tokens, through a pluggable transport.
+ *
+ * A transport is any object with an async send(message) fn, where message is { from, to, subject, text }.
+ * The default transport is an outbox. Rather than sending mail, it writes each message to a file in the
+ * outbox directory and logs where, so mail can be read without a mail server. Swap in another transport,
+ * e.g. for SMTP, or to capture mail in tests, with setTransport.
+ *
+ * */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const logger = require('./logger');
+
+const {
+    KEBAPI_MAIL_FROM, // Sender of all mail
+    KEBAPI_MAIL_OUTBOX_DIR // Directory the outbox transport writes mail to
+} = require('./config');
+
+/**
+ * Creates a transport that writes each message to its own text file in a directory, made if need be
+ *
+ * @param {string} dir directory to write to. Relative to the working directory unless absolute.
+ * @returns {object} transport
+ */
+function createOutboxTransport(dir) {
+    let outboxDir = path.resolve(dir);
+
+    async function send({ from, to, subject, text }) {
+        try {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            // Timestamped so the outbox lists in the order mail was sent
+            let fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.txt`;
+            let filePath = path.join(outboxDir, fileName);
+            let content = [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, '', text, ''].join('\n');
+            // 'wx' fails rather than overwrite, should a name ever collide
+            await fs.promises.writeFile(filePath, content, { flag: 'wx' });
+            logger.info(`Mail to '${to}' written to ${filePath}`);
+        } catch (err) {
+            logger.error(err);
+            throw err;
+        }
+    }
+
+    return { send };
+}
+
+let transport = createOutboxTransport(KEBAPI_MAIL_OUTBOX_DIR);
+
+/**
+ * Sends a message through the current transport
+ *
+ * @param {object} message { to, subject, text } from is always KEBAPI_MAIL_FROM
+ */
+async function send({ to, subject, text }) {
+    try {
+        await transport.send({ from: KEBAPI_MAIL_FROM, to, subject, text });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Swaps the transport mail is sent through
+ *
+ * @param {object} newTransport any object with an async send(message) fn
+ * @returns {object} the transport that was replaced, e.g. to restore it afterwards
+ */
+function setTransport(newTransport) {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new TypeError(`A mail transport needs a send fn.`);
+    }
+    let previous = transport;
+    transport = newTransport;
+    return previous;
+}
+
+
+module.exports = {
+    send, setTransport, createOutboxTransport
+};
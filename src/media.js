@@ -0,0 +1,284 @@
+﻿/**
+ * Helpers for serving media files (images, etc.) that live under the configured media root.
+ *
+ * Paths stored in the media table are relative to the media root, e.g. imagename.jpg or somepath\imagename.jpg
+ * They are never trusted as-is. Anything that would resolve outside the media root is rejected.
+ *
+ * */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const logger = require('./logger');
+const CodedError = require('./errors').CodedError;
+
+const {
+    KEBAPI_MEDIA_ROOT // Directory media paths are relative to
+} = require('./config');
+
+const mediaRoot = path.resolve(KEBAPI_MEDIA_ROOT);
+
+// Content types by (lowercase) file extension. Anything else is served as a generic binary.
+const CONTENT_TYPES = Object.freeze({
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+});
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+// Leading bytes ("magic bytes") that identify a file's actual content type, whatever it's declared as.
+// bytes are matched at offset. null matches any byte. Types without a reliable signature, e.g. SVG, can't
+// be identified, so are never sniffed.
+const SIGNATURES = Object.freeze([
+    { contentType: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { contentType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { contentType: 'image/gif', offset: 0, bytes: [...Buffer.from('GIF87a')] },
+    { contentType: 'image/gif', offset: 0, bytes: [...Buffer.from('GIF89a')] },
+    { contentType: 'image/webp', offset: 0, bytes: [...Buffer.from('RIFF'), null, null, null, null, ...Buffer.from('WEBP')] },
+    { contentType: 'video/mp4', offset: 4, bytes: [...Buffer.from('ftyp')] },
+    { contentType: 'video/webm', offset: 0, bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+]);
+const SIGNATURE_LENGTH = Math.max(...SIGNATURES.map(s => s.offset + s.bytes.length));
+
+// Uploaded files are stored here, relative to the media root
+const UPLOAD_DIR = 'uploads';
+
+
+/**
+ * Resolves a stored media path to an absolute path under the media root.
+ * Throws a CodedError (KE160) if the path is absolute or would escape the media root.
+ *
+ * @param {string} mediaPath path as stored in the media table
+ * @returns {string} absolute path of the file
+ */
+function resolveMediaPath(mediaPath) {
+    // Stored paths may use either separator
+    let relativePath = String(mediaPath || '').replace(/\\/g, '/');
+    if (relativePath === '' || path.posix.isAbsolute(relativePath) || path.win32.isAbsolute(relativePath) || /^[a-zA-Z]:/.test(relativePath)) {
+        throw new CodedError('KE160', `Media path '${mediaPath}' must be relative to the media root.`);
+    }
+    if (relativePath.split('/').includes('..')) {
+        throw new CodedError('KE160', `Media path '${mediaPath}' must not contain '..'.`);
+    }
+    let filePath = path.resolve(mediaRoot, relativePath);
+    // Belt and braces. Should be unreachable given the checks above.
+    if (!filePath.startsWith(mediaRoot + path.sep)) {
+        throw new CodedError('KE160', `Media path '${mediaPath}' resolves outside the media root.`);
+    }
+    return filePath;
+}
+
+/**
+ * @param {string} filePath path of a file
+ * @returns {string} Content-Type for the file, based on its extension
+ */
+function getContentType(filePath) {
+    return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Identifies the content type of data from its leading bytes
+ *
+ * @param {Buffer} data the start of a file. The first SIGNATURE_LENGTH bytes are enough.
+ * @returns {string} Content-Type, or undefined if the data doesn't start with a known signature
+ */
+function getContentTypeFromBytes(data = Buffer.alloc(0)) {
+    let signature = SIGNATURES.find(({ offset, bytes }) =>
+        data.length >= offset + bytes.length && bytes.every((byte, i) => byte === null || data[offset + i] === byte));
+    return signature ? signature.contentType : undefined;
+}
+
+/**
+ * Identifies the content type of a file from its leading bytes, rather than trusting its extension or
+ * what a client declared it as.
+ *
+ * @param {string} filePath absolute path of a file
+ * @returns {string} Content-Type, or undefined if the file doesn't start with a known signature
+ */
+async function sniffContentType(filePath) {
+    let fileHandle;
+    try {
+        fileHandle = await fs.promises.open(filePath, 'r');
+        let { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(SIGNATURE_LENGTH), 0, SIGNATURE_LENGTH, 0);
+        return getContentTypeFromBytes(buffer.slice(0, bytesRead));
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    } finally {
+        if (fileHandle) {
+            await fileHandle.close();
+        }
+    }
+}
+
+/**
+ * Gets file stats, if filePath is a regular file.
+ *
+ * @param {string} filePath absolute path of a file
+ * @returns {object} fs.Stats, or undefined if there's no such file
+ */
+async function getFileStats(filePath) {
+    try {
+        let stats = await fs.promises.stat(filePath);
+        return stats.isFile() ? stats : undefined;
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+            return undefined;
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * An ETag built from file size and modification time. Cheap, and changes whenever the file does.
+ *
+ * @param {object} stats fs.Stats of the file
+ * @returns {string} ETag
+ */
+function getETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Evaluates conditional request headers. If-None-Match takes precedence over If-Modified-Since.
+ *
+ * @param {object} conditions { ifNoneMatch, ifModifiedSince } values of the request headers
+ * @param {string} etag current ETag of the file
+ * @param {Date} lastModified current modification time of the file
+ * @returns {boolean} true if the client's copy is current (i.e. respond 304), false otherwise
+ */
+function isNotModified({ ifNoneMatch, ifModifiedSince } = {}, etag, lastModified) {
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').map(s => s.trim()).some(tag => tag === '*' || weakCompare(tag, etag));
+    }
+    if (ifModifiedSince) {
+        let since = Date.parse(ifModifiedSince);
+        // HTTP dates have second precision
+        return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+    return false;
+}
+
+/**
+ * Checks an If-Range header still matches the file, i.e. a Range request can be honoured.
+ *
+ * @param {string} ifRange value of the If-Range request header
+ * @param {string} etag current ETag of the file
+ * @param {Date} lastModified current modification time of the file
+ * @returns {boolean} true if there is no If-Range, or it matches the current file
+ */
+function isRangeCurrent(ifRange, etag, lastModified) {
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+        // If-Range needs a strong match, so a weak tag never matches
+        return ifRange.trim() === etag;
+    }
+    let since = Date.parse(ifRange);
+    return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) === Math.floor(since / 1000);
+}
+
+/**
+ * Parses a Range request header against a file size. Only single byte ranges are supported, e.g.
+ * bytes=0-499, bytes=500- or bytes=-500. Anything else is ignored, and the whole file should be sent.
+ *
+ * @param {string} range value of the Range request header
+ * @param {number} size size of the file in bytes
+ * @returns {object} undefined if range should be ignored, otherwise { satisfiable, start, end } (end is inclusive)
+ */
+function parseRange(range, size) {
+    let match = /^bytes=(\d*)-(\d*)$/.exec(String(range || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return undefined;
+    }
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range, i.e. the last n bytes
+        let suffixLength = parseInt(match[2], 10);
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+        if (suffixLength === 0) {
+            return { satisfiable: false };
+        }
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start >= size || start > end) {
+        return { satisfiable: false };
+    }
+    return { satisfiable: true, start, end };
+}
+
+/**
+ * Makes sure the upload directory exists under the media root
+ */
+async function ensureUploadDir() {
+    try {
+        await fs.promises.mkdir(path.join(mediaRoot, UPLOAD_DIR), { recursive: true });
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Creates a new, uniquely named file in the upload directory to receive an upload. The client's own
+ * filename is never used, only an extension matching the content type.
+ *
+ * @param {string} contentType content type of the upload, e.g. image/jpeg
+ * @returns {object} { mediaPath, filePath, stream } mediaPath is what to store in the media table
+ */
+function createUploadFile(contentType) {
+    let extension = Object.keys(CONTENT_TYPES).find(ext => CONTENT_TYPES[ext] === contentType) || '';
+    let mediaPath = `${UPLOAD_DIR}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+    let filePath = resolveMediaPath(mediaPath);
+    // 'wx' fails rather than overwrite, should a name ever collide
+    let stream = fs.createWriteStream(filePath, { flags: 'wx' });
+    return { mediaPath, filePath, stream };
+}
+
+/**
+ * Removes a media file, e.g. an upload that didn't complete. A file that doesn't exist is not an error.
+ *
+ * @param {string} filePath absolute path of the file
+ */
+async function removeMediaFile(filePath) {
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.error(err);
+            throw err;
+        }
+    }
+}
+
+
+/*
+ * Helpers
+ */
+
+function weakCompare(tagA, tagB) {
+    // Weak comparison ignores any W/ prefix
+    const strip = tag => tag.replace(/^W\//, '');
+    return strip(tagA) === strip(tagB);
+}
+
+
+module.exports = {
+    resolveMediaPath, getContentType, getContentTypeFromBytes, sniffContentType, getFileStats,
+    getETag, isNotModified, isRangeCurrent, parseRange,
+    ensureUploadDir, createUploadFile, removeMediaFile
+};
@@ -0,0 +1,264 @@
+﻿/**
+ * A small streaming multipart/form-data parser. No buffering of whole files: file part data is written
+ * to a Writable as it arrives, honouring backpressure.
+ *
+ * Usage:
+ *  await parseMultipart(req, getBoundary(req.headers['content-type']), {
+ *      maxBytes: 1024 * 1024,
+ *      onField: (name, value) => { ... },
+ *      onFile: ({ name, filename, contentType }) => writableStream // or undefined to discard the part
+ *  });
+ *
+ * Errors are CodedErrors:
+ *  KE170 malformed body
+ *  KE171 size limit exceeded
+ * Anything thrown by onField/onFile is passed through as the rejection reason.
+ *
+ * */
+
+'use strict';
+
+const CodedError = require('./errors').CodedError;
+
+const CRLF = '\r\n';
+const MAX_PART_HEADER_SIZE = 8 * 1024; // Headers of a single part
+const MAX_FIELD_SIZE = 64 * 1024; // Value of a single non-file field
+
+// Parser states
+// enum
+const State = Object.freeze({
+    PREAMBLE: 0, // Anything before the first boundary, which is ignored
+    AFTER_BOUNDARY: 1, // Either CRLF (another part follows) or '--' (end of body)
+    HEADERS: 2,
+    BODY: 3,
+    DONE: 4
+});
+
+/**
+ * Gets the boundary parameter from a multipart/form-data Content-Type header
+ *
+ * @param {string} contentType value of the Content-Type header
+ * @returns {string} boundary, or undefined if not multipart/form-data or no boundary present
+ */
+function getBoundary(contentType = '') {
+    if (!/^multipart\/form-data/i.test(contentType)) {
+        return undefined;
+    }
+    let match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    return match ? (match[1] || match[2]).trim() : undefined;
+}
+
+/**
+ * Parses a multipart/form-data stream
+ *
+ * @param {any} stream readable stream of the body, e.g. a request
+ * @param {string} boundary boundary from the Content-Type header
+ * @param {object} options { maxBytes, onField, onFile }
+ * @returns {Promise} resolves once the whole body is parsed and any file Writables have finished
+ */
+function parseMultipart(stream, boundary, { maxBytes = Infinity, onField = () => { }, onFile = () => undefined } = {}) {
+    return new Promise((resolve, reject) => {
+        const delimiter = Buffer.from(`${CRLF}--${boundary}`);
+        // Prefixing CRLF means the first boundary can be found with the same delimiter as all others
+        let buffer = Buffer.from(CRLF);
+        let state = State.PREAMBLE;
+        let received = 0;
+        let part; // Part being parsed: { name, filename, contentType, sink, chunks, size }
+        let sinksFinished = []; // Promises of file Writables finishing
+        let ended = false;
+        let settled = false;
+        let waitingForDrain = false;
+
+        stream.on('data', onData);
+        stream.on('end', onEnd);
+        stream.on('error', fail);
+        stream.on('close', () => {
+            if (!ended) {
+                fail(new CodedError('KE170', `Body ended early. Connection closed.`));
+            }
+        });
+
+        function onData(chunk) {
+            if (settled) {
+                return;
+            }
+            received += chunk.length;
+            if (received > maxBytes) {
+                fail(new CodedError('KE171', `Multipart data size limit exceeded. Too much data sent.`));
+                return;
+            }
+            buffer = Buffer.concat([buffer, chunk]);
+            try {
+                parse();
+            } catch (err) {
+                fail(err);
+            }
+        }
+
+        async function onEnd() {
+            ended = true;
+            if (settled) {
+                return;
+            }
+            if (state !== State.DONE) {
+                fail(new CodedError('KE170', `Malformed multipart data. Missing closing boundary.`));
+                return;
+            }
+            await Promise.all(sinksFinished);
+            if (!settled) {
+                settled = true;
+                resolve();
+            }
+        }
+
+        function fail(err) {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            stream.removeListener('data', onData);
+            stream.pause();
+            if (part && part.sink) {
+                part.sink.destroy();
+            }
+            reject(err);
+        }
+
+        function parse() {
+            // Consume as much of the buffer as possible, leaving anything that could be a partial delimiter
+            while (!settled) {
+                if (state === State.PREAMBLE) {
+                    let idx = buffer.indexOf(delimiter);
+                    if (idx === -1) {
+                        buffer = buffer.slice(Math.max(buffer.length - delimiter.length, 0));
+                        return;
+                    }
+                    buffer = buffer.slice(idx + delimiter.length);
+                    state = State.AFTER_BOUNDARY;
+                } else if (state === State.AFTER_BOUNDARY) {
+                    if (buffer.length < 2) {
+                        return;
+                    }
+                    let next = buffer.slice(0, 2).toString();
+                    if (next === '--') {
+                        // Closing boundary. Anything after it (the epilogue) is ignored.
+                        state = State.DONE;
+                        return;
+                    }
+                    if (next !== CRLF) {
+                        throw new CodedError('KE170', `Malformed multipart data. Unexpected data after boundary.`);
+                    }
+                    buffer = buffer.slice(2);
+                    state = State.HEADERS;
+                } else if (state === State.HEADERS) {
+                    let idx = buffer.indexOf(CRLF + CRLF);
+                    if (idx === -1) {
+                        if (buffer.length > MAX_PART_HEADER_SIZE) {
+                            throw new CodedError('KE170', `Malformed multipart data. Part headers too large.`);
+                        }
+                        return;
+                    }
+                    part = parsePartHeaders(buffer.slice(0, idx).toString('utf8'));
+                    buffer = buffer.slice(idx + (CRLF + CRLF).length);
+                    if (part.filename !== undefined) {
+                        part.sink = onFile({ name: part.name, filename: part.filename, contentType: part.contentType });
+                        if (part.sink) {
+                            let sink = part.sink;
+                            // Sink errors fail the parse straight away, rather than once the body has ended
+                            sink.on('error', fail);
+                            sinksFinished.push(new Promise(resolveSink => sink.on('finish', resolveSink)));
+                        }
+                    } else {
+                        part.chunks = [];
+                    }
+                    state = State.BODY;
+                } else if (state === State.BODY) {
+                    let idx = buffer.indexOf(delimiter);
+                    if (idx === -1) {
+                        // Keep enough back that a delimiter split across chunks can still be found
+                        let safeLength = buffer.length - (delimiter.length - 1);
+                        if (safeLength > 0) {
+                            writePartData(buffer.slice(0, safeLength));
+                            buffer = buffer.slice(safeLength);
+                        }
+                        return;
+                    }
+                    writePartData(buffer.slice(0, idx));
+                    endPart();
+                    buffer = buffer.slice(idx + delimiter.length);
+                    state = State.AFTER_BOUNDARY;
+                } else {
+                    // State.DONE
+                    return;
+                }
+            }
+        }
+
+        function writePartData(data) {
+            if (data.length === 0) {
+                return;
+            }
+            part.size += data.length;
+            if (part.chunks) {
+                if (part.size > MAX_FIELD_SIZE) {
+                    throw new CodedError('KE171', `Multipart field '${part.name}' is too large.`);
+                }
+                part.chunks.push(data);
+            } else if (part.sink) {
+                if (!part.sink.write(data) && !waitingForDrain) {
+                    // Writable is full. Wait for it to catch up before receiving more.
+                    waitingForDrain = true;
+                    stream.pause();
+                    part.sink.once('drain', () => {
+                        waitingForDrain = false;
+                        if (!settled) {
+                            stream.resume();
+                        }
+                    });
+                }
+            }
+            // Otherwise the part is being discarded
+        }
+
+        function endPart() {
+            if (part.chunks) {
+                onField(part.name, Buffer.concat(part.chunks).toString('utf8'));
+            } else if (part.sink) {
+                part.sink.end();
+            }
+            part = undefined;
+        }
+    });
+}
+
+
+/*
+ * Helpers
+ */
+
+function parsePartHeaders(headerText) {
+    let part = { name: undefined, filename: undefined, contentType: 'text/plain', size: 0 };
+    for (const line of headerText.split(CRLF)) {
+        let separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        let header = line.substring(0, separator).trim().toLowerCase();
+        let value = line.substring(separator + 1).trim();
+        if (header === 'content-disposition') {
+            let name = /\bname="([^"]*)"/i.exec(value);
+            let filename = /\bfilename="([^"]*)"/i.exec(value);
+            part.name = name ? name[1] : undefined;
+            part.filename = filename ? filename[1] : undefined;
+        } else if (header === 'content-type') {
+            part.contentType = value.split(';')[0].trim().toLowerCase();
+        }
+    }
+    if (part.name === undefined) {
+        throw new CodedError('KE170', `Malformed multipart data. Part is missing a name.`);
+    }
+    return part;
+}
+
+
+module.exports = { getBoundary, parseMultipart };
@@ -0,0 +1,174 @@
+﻿/**
+ * Venue opening hours, and whether a venue is open at a given time.
+ *
+ * A venue's schedule is in its own timezone, e.g.
+ *
+ * {
+ *   timezone: 'Europe/Madrid',
+ *   weekly: [{ day: 5, opens: '18:00', closes: '04:00' }, ...],
+ *   exceptions: [{ date: '2024-12-25', opens: null, closes: null }, ...]
+ * }
+ *
+ * Days are ISO days of the week, 1 (Monday) to 7 (Sunday). Times are 'HH:MM', local to the venue.
+ * A range that closes at or before it opens runs overnight, into the next day. So Friday 18:00-04:00
+ * is open until 4am on Saturday, and opens equal to closes is open round the clock.
+ *
+ * Exceptions replace the weekly hours for a date, e.g. for holidays. An exception with no opens/closes
+ * means closed all day. A date can have more than one exception, to give more than one range.
+ *
+ * */
+
+'use strict';
+
+const MIN_DAY = 1; // Monday
+const MAX_DAY = 7; // Sunday
+
+// One Intl formatter per timezone, since they're slow to make
+const formatters = new Map();
+
+/**
+ * @param {any} timezone IANA timezone name, e.g. 'Europe/Madrid'
+ * @returns {boolean} true if the timezone is known, false otherwise
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.trim() === '') {
+        return false;
+    }
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * @param {any} time e.g. '04:30'
+ * @returns {boolean} true if time is 'HH:MM' on a 24 hour clock, false otherwise
+ */
+function isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+/**
+ * @param {any} date e.g. '2024-12-25'
+ * @returns {boolean} true if date is a real 'YYYY-MM-DD' date, false otherwise
+ */
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    // Date rolls e.g. Feb 30 over into March, so only accept dates that come back the same
+    return new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+}
+
+/**
+ * @param {any} day
+ * @returns {boolean} true if day is an ISO day of the week, 1 (Monday) to 7 (Sunday)
+ */
+function isValidDay(day) {
+    return Number.isInteger(day) && day >= MIN_DAY && day <= MAX_DAY;
+}
+
+/**
+ * Parses an ISO 8601 time with a timezone, e.g. '2024-06-01T22:30:00Z' or '2024-06-02T00:30:00+02:00'.
+ * Times without a timezone are refused, since they don't say which instant they mean.
+ *
+ * @param {any} value
+ * @returns {Date} the instant, or undefined if value isn't valid
+ */
+function parseInstant(value) {
+    // A + in a query string arrives as a space, so put it back
+    let iso = String(value).trim().replace(/ (\d{2}:\d{2})$/, '+$1');
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(iso) || isNaN(Date.parse(iso))) {
+        return undefined;
+    }
+    return new Date(iso);
+}
+
+/**
+ * Gets the date and time it is somewhere, at a given instant
+ *
+ * @param {Date} instant
+ * @param {string} timezone IANA timezone name
+ * @returns {object} { date, time, day } date 'YYYY-MM-DD', time 'HH:MM', day ISO day of the week
+ */
+function getLocalDateTime(instant, timezone) {
+    let parts = getFormatter(timezone).formatToParts(instant).reduce((p, part) => ({ ...p, [part.type]: part.value }), {});
+    let date = `${parts.year}-${parts.month}-${parts.day}`;
+    return { date: date, time: `${parts.hour}:${parts.minute}`, day: getDay(date) };
+}
+
+/**
+ * Works out whether a schedule is open at an instant
+ *
+ * @param {object} schedule { timezone, weekly, exceptions } see above
+ * @param {Date} instant
+ * @returns {boolean} true if open, false if shut, or null if the schedule has no hours at all, i.e. unknown
+ */
+function isOpenAt({ timezone, weekly = [], exceptions = [] } = {}, instant) {
+    if (weekly.length === 0 && exceptions.length === 0) {
+        return null;
+    }
+    let local = getLocalDateTime(instant, timezone);
+    let yesterday = addDays(local.date, -1);
+    // Open from a range that started today, or one that started yesterday and runs overnight into today
+    let openToday = getRanges(weekly, exceptions, local.date)
+        .some(r => r.opens <= local.time && (isOvernight(r) || local.time < r.closes));
+    let openFromYesterday = getRanges(weekly, exceptions, yesterday)
+        .some(r => isOvernight(r) && local.time < r.closes);
+    return openToday || openFromYesterday;
+}
+
+/**
+ * @param {string} date 'YYYY-MM-DD'
+ * @param {number} days days to add, may be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(date, days) {
+    let d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+
+/*
+ * Helpers
+ */
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        // Throws a RangeError for an unknown timezone
+        formatters.set(timezone, new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function getDay(date) {
+    // getUTCDay has Sunday as 0
+    return new Date(`${date}T00:00:00Z`).getUTCDay() || MAX_DAY;
+}
+
+// Gets the ranges a schedule has for a date. Exceptions for the date win over the weekly hours.
+function getRanges(weekly, exceptions, date) {
+    let dateExceptions = exceptions.filter(e => e.date === date);
+    if (dateExceptions.length > 0) {
+        return dateExceptions.filter(e => e.opens && e.closes);
+    }
+    let day = getDay(date);
+    return weekly.filter(w => w.day === day);
+}
+
+function isOvernight(range) {
+    return range.closes <= range.opens;
+}
+
+
+module.exports = {
+    isValidTimezone, isValidTime, isValidDate, isValidDay,
+    parseInstant, getLocalDateTime, isOpenAt, addDays
+};
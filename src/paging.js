@@ -0,0 +1,122 @@
+﻿/**
+ * Pagination metadata for list responses. Lists come back with a paging object alongside the rows, e.g.
+ *
+ * { total: 10, startRow: 3, maxRows: 3, next: '/venues?startRow=6&maxRows=3', prev: '/venues?startRow=0&maxRows=3' }
+ *
+ * Offset paging (startRow/maxRows) suits small lists. Keyset paging follows an opaque cursor instead of
+ * an offset, so later pages of a large list cost no more than the first. e.g.
+ *
+ * { total: 10, maxRows: 3, after: 'Mw', next: '/venues?after=Ng&maxRows=3' }
+ *
+ * Lists in id order use id cursors. Lists in some other order, e.g. a feed by time, use key cursors, which
+ * hold every value of the sort key of the last row seen.
+ *
+ * Links are relative to the server, and null when there's no such page.
+ *
+ * */
+
+'use strict';
+
+const qs = require('querystring');
+
+const { isIdFormat } = require('./helper-validate');
+
+/**
+ * Gets offset paging metadata
+ *
+ * @param {object} options { path, params, total, startRow, maxRows } params are any other query
+ * parameters links should keep, e.g. filters. startRow and maxRows are the effective (i.e. clamped) values.
+ * @returns {object} { total, startRow, maxRows, next, prev }
+ */
+function getOffsetPaging({ path, params = {}, total, startRow, maxRows } = {}) {
+    let hasNext = maxRows > 0 && startRow + maxRows < total;
+    let hasPrev = maxRows > 0 && startRow > 0;
+    return {
+        total: total,
+        startRow: startRow,
+        maxRows: maxRows,
+        next: hasNext ? getLink(path, { ...params, startRow: startRow + maxRows, maxRows: maxRows }) : null,
+        prev: hasPrev ? getLink(path, { ...params, startRow: Math.max(startRow - maxRows, 0), maxRows: maxRows }) : null
+    };
+}
+
+/**
+ * Gets keyset paging metadata. Keyset paging only moves forwards.
+ *
+ * @param {object} options { path, params, total, maxRows, after, rowCount, lastId, lastKey } after is the cursor
+ * that was requested. rowCount is the number of rows returned, and lastId the id of the last of them. For
+ * lists paged by key cursor, give lastKey, the sort key of the last row, instead of lastId.
+ * @returns {object} { total, maxRows, after, next }
+ */
+function getKeysetPaging({ path, params = {}, total, maxRows, after, rowCount, lastId, lastKey } = {}) {
+    // A full page may be followed by more rows. If not, the next page is simply empty.
+    let hasNext = maxRows > 0 && rowCount === maxRows && (lastId !== undefined || lastKey !== undefined);
+    let next = lastKey !== undefined ? encodeKeyCursor(lastKey) : encodeCursor(lastId);
+    return {
+        total: total,
+        maxRows: maxRows,
+        after: after,
+        next: hasNext ? getLink(path, { ...params, after: next, maxRows: maxRows }) : null
+    };
+}
+
+/**
+ * @param {any} id id of a row
+ * @returns {string} opaque cursor pointing just after the row
+ */
+function encodeCursor(id) {
+    return Buffer.from(String(id)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor cursor from encodeCursor. An empty cursor means start from the beginning.
+ * @returns {number} id the cursor points after (0 for the beginning), or undefined if the cursor isn't valid
+ */
+function decodeCursor(cursor) {
+    if (cursor === '') {
+        return 0;
+    }
+    let id = Buffer.from(String(cursor), 'base64url').toString();
+    // Decoding is lenient about junk, so only accept cursors that encode back the same
+    return id !== '' && isIdFormat(id) && encodeCursor(id) === cursor ? Number(id) : undefined;
+}
+
+/**
+ * @param {Array} key sort key of a row, e.g. ['2024-06-01T22:30:00.000Z', 'review', 3]
+ * @returns {string} opaque cursor pointing just after the row
+ */
+function encodeKeyCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor cursor from encodeKeyCursor. An empty cursor means start from the beginning.
+ * @returns {Array} key the cursor points after (empty for the beginning), or undefined if the cursor isn't
+ * valid. Check the key's values are what the list expects.
+ */
+function decodeKeyCursor(cursor) {
+    if (cursor === '') {
+        return [];
+    }
+    try {
+        let key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        // As for decodeCursor, only accept cursors that encode back the same
+        return Array.isArray(key) && key.length > 0 && encodeKeyCursor(key) === cursor ? key : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+
+/*
+ * Helpers
+ */
+
+function getLink(path, params) {
+    // Drop params that weren't given, so links stay tidy
+    let defined = Object.keys(params).filter(k => params[k] !== undefined && params[k] !== '');
+    return `${path}?${qs.stringify(defined.reduce((p, k) => ({ ...p, [k]: params[k] }), {}))}`;
+}
+
+
+module.exports = { getOffsetPaging, getKeysetPaging, encodeCursor, decodeCursor, encodeKeyCursor, decodeKeyCursor };
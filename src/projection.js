@@ -0,0 +1,76 @@
+﻿/**
+ * Response projection. Restricts the fields of a result to those the requester's role may see, so
+ * sensitive fields like password_hash never leave the server.
+ *
+ * An Action declares a projection as { path, fieldsByRole } e.g.
+ *
+ * { path: 'user', fieldsByRole: { [Role.ADMIN]: ['id', 'username', 'email'], [Role.USER]: ['id', 'username'] } }
+ *
+ * path (optional) is the key within the response holding the data to project. Without it the response
+ * itself is projected. Data can be a single object or an Array of them.
+ *
+ * A role without its own list gets the list of the nearest less privileged role. A role with no list
+ * at all sees no fields.
+ *
+ * */
+
+'use strict';
+
+/**
+ * Applies a projection to a formatted result (see api formatResult)
+ *
+ * @param {object} result formatted result of an Action
+ * @param {object} projection { path, fieldsByRole } or undefined, in which case result is returned as-is
+ * @param {number} role Role of the requester
+ * @returns {object} result with only the visible fields in its response
+ */
+function applyProjection(result, projection, role) {
+    if (!projection || !result || result.response !== Object(result.response)) {
+        return result;
+    }
+    let fields = getVisibleFields(projection.fieldsByRole, role);
+    let response = result.response;
+    if (projection.path === undefined) {
+        response = projectFields(response, fields);
+    } else if (response[projection.path] !== undefined && !Array.isArray(response)) {
+        response = { ...response, [projection.path]: projectFields(response[projection.path], fields) };
+    }
+    return { ...result, response: response };
+}
+
+/**
+ * Gets the fields a role may see
+ *
+ * @param {object} fieldsByRole Arrays of field names, keyed by Role
+ * @param {number} role Role of the requester
+ * @returns {Array} field names
+ */
+function getVisibleFields(fieldsByRole = {}, role) {
+    // Lower numbers are more privileged, so look from role downwards in privilege
+    let candidates = Object.keys(fieldsByRole).map(Number).filter(r => r >= role).sort((a, b) => a - b);
+    return candidates.length > 0 ? fieldsByRole[candidates[0]] : [];
+}
+
+
+/*
+ * Helpers
+ */
+
+function projectFields(data, fields) {
+    if (Array.isArray(data)) {
+        return data.map(item => projectFields(item, fields));
+    }
+    if (data !== Object(data)) {
+        return data;
+    }
+    // Unlike pick, fields missing from data stay missing rather than becoming undefined
+    return fields.reduce((projected, field) => {
+        if (Object.prototype.hasOwnProperty.call(data, field)) {
+            projected[field] = data[field];
+        }
+        return projected;
+    }, {});
+}
+
+
+module.exports = { applyProjection, getVisibleFields };
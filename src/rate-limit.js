@@ -0,0 +1,224 @@
+﻿/**
+ * A simple in-process rate limiter, e.g. to slow down brute-forcing of logins.
+ *
+ * Each limiter counts hits per key within a fixed time window. A limiter is keyed by client IP, by
+ * account (username/email), or by both, and routes can carry any number of limiters. A request is limited
+ * if any of its route's limiters is over its max.
+ *
+ * A limiter can count only failed requests, e.g. failed logins, so that logging in successfully never
+ * counts against anyone. Every request is still counted as it starts, so a burst of requests can't all
+ * get past the limit before any of them fails, and recordSuccess refunds the ones that succeed.
+ *
+ * An account can be named by its username or its email. Given a resolver (see setAccountResolver),
+ * both count as the one account.
+ *
+ * Counts live in memory, so they are per process and reset on restart.
+ *
+ * */
+
+'use strict';
+
+const logger = require('./logger');
+
+const {
+    KEBAPI_RATE_LIMIT_TRUST_PROXY // Whether to take the client IP from X-Forwarded-For, i.e. when behind a proxy
+} = require('./config');
+
+// What a limiter counts hits by
+// enum
+const RateLimitKey = Object.freeze({
+    IP: 'ip', // Client IP address
+    ACCOUNT: 'account', // Username or email in the Action's args, e.g. for login. Requests with neither aren't counted.
+    IP_ACCOUNT: 'ip-account' // Client IP address and username or email together, so one client can't lock everyone else out of an account
+});
+
+// How often expired windows are cleared out of memory
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Gets the id of the account named in an Action's args, if there is one. See setAccountResolver.
+let accountResolver;
+
+/**
+ * Creates a rate limiter
+ *
+ * @param {object} options { name, keyBy, windowMs, max, failuresOnly } name is used to report which limit was
+ * hit. failuresOnly refunds requests passed to recordSuccess, so only the others count.
+ * @returns {object} limiter, to be listed in a route's rateLimits
+ */
+function createRateLimiter({ name, keyBy = RateLimitKey.IP, windowMs, max, failuresOnly = false } = {}) {
+    let windows = new Map(); // key -> { count, resetAt }
+    let lastPruned = Date.now();
+
+    function prune(now) {
+        if (now - lastPruned < PRUNE_INTERVAL_MS) {
+            return;
+        }
+        lastPruned = now;
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Records a hit against a key
+     *
+     * @param {string} key e.g. an IP address
+     * @returns {object} { limited, retryAfterSeconds } retryAfterSeconds is only set when limited
+     */
+    function hit(key) {
+        let now = Date.now();
+        prune(now);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count++;
+        if (window.count > max) {
+            return { limited: true, retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000) };
+        }
+        return { limited: false };
+    }
+
+    /**
+     * Takes back a hit recorded against a key in the current window, e.g. once a login has succeeded
+     *
+     * @param {string} key e.g. an IP address
+     */
+    function refund(key) {
+        let window = windows.get(key);
+        if (window && window.resetAt > Date.now() && window.count > 0) {
+            window.count--;
+        }
+    }
+
+    /**
+     * Clears all counts, e.g. for testing
+     */
+    function reset() {
+        windows.clear();
+    }
+
+    return { name, keyBy, windowMs, max, failuresOnly, hit, refund, reset };
+}
+
+/**
+ * Records a request against each of a route's limiters. A request that's limited never runs, so it isn't
+ * counted by limiters that only count failures.
+ *
+ * @param {Array} limiters limiters created with createRateLimiter
+ * @param {any} req request
+ * @param {object} args args gathered for the Action
+ * @returns {object} { limited, retryAfterSeconds, name } for the limit with the longest wait if any were
+ * hit, otherwise { limited: false }
+ */
+async function checkRateLimits(limiters = [], req = {}, args = {}) {
+    let result = { limited: false };
+    let failureHits = [];
+    for (const limiter of limiters) {
+        let key = await getKey(limiter.keyBy, req, args);
+        if (key === undefined) {
+            continue;
+        }
+        let hitResult = limiter.hit(key);
+        if (limiter.failuresOnly) {
+            failureHits.push({ limiter, key });
+        }
+        if (hitResult.limited && (!result.limited || hitResult.retryAfterSeconds > result.retryAfterSeconds)) {
+            result = { ...hitResult, name: limiter.name };
+        }
+    }
+    if (result.limited) {
+        failureHits.forEach(({ limiter, key }) => limiter.refund(key));
+    }
+    return result;
+}
+
+/**
+ * Refunds a successful request, e.g. a login, to those of a route's limiters that only count failures
+ *
+ * @param {Array} limiters limiters created with createRateLimiter
+ * @param {any} req request
+ * @param {object} args args gathered for the Action
+ */
+async function recordSuccess(limiters = [], req = {}, args = {}) {
+    for (const limiter of limiters.filter(l => l.failuresOnly)) {
+        let key = await getKey(limiter.keyBy, req, args);
+        if (key !== undefined) {
+            limiter.refund(key);
+        }
+    }
+}
+
+/**
+ * Sets how to find the account named in an Action's args, so that naming it by username or by email
+ * counts the same. Without one, or for an account it can't find, the name itself is counted, ignoring case.
+ *
+ * @param {Function} resolver async ({ username, email }) => the account's id, or undefined if there isn't one
+ * @returns {Function} the previous resolver, e.g. to put back after testing
+ */
+function setAccountResolver(resolver) {
+    let previous = accountResolver;
+    accountResolver = resolver;
+    return previous;
+}
+
+/**
+ * Gets the IP address of the client making a request
+ *
+ * @param {any} req request
+ * @returns {string} IP address
+ */
+function getClientIp(req = {}) {
+    let forwardedFor = req.headers && req.headers['x-forwarded-for'];
+    if (KEBAPI_RATE_LIMIT_TRUST_PROXY && forwardedFor) {
+        // Left-most is the original client
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket ? req.socket.remoteAddress : undefined;
+}
+
+
+/*
+ * Helpers
+ */
+
+async function getKey(keyBy, req, args) {
+    switch (keyBy) {
+        case RateLimitKey.IP:
+            return getClientIp(req);
+        case RateLimitKey.ACCOUNT:
+            return await getAccount(args);
+        case RateLimitKey.IP_ACCOUNT: {
+            let ip = getClientIp(req);
+            let account = await getAccount(args);
+            return ip !== undefined && account !== undefined ? `${ip} ${account}` : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+async function getAccount(args) {
+    let name = args && (args.username || args.email);
+    if (typeof name !== 'string' || name === '') {
+        return undefined;
+    }
+    let id;
+    try {
+        id = accountResolver ? await accountResolver({ username: args.username, email: args.email }) : undefined;
+    } catch (err) {
+        // Still limit by name, rather than not at all
+        logger.error(err);
+    }
+    // Case shouldn't give an attacker extra attempts
+    return id !== undefined ? `id:${id}` : `name:${name.toLowerCase()}`;
+}
+
+
+module.exports = {
+    RateLimitKey,
+    createRateLimiter, checkRateLimits, recordSuccess, setAccountResolver, getClientIp
+};
@@ -0,0 +1,198 @@
+﻿/**
+ * A small declarative router. Routes are described as a table, where each entry is a method, a path
+ * pattern, and the api Action to execute. e.g.
+ *
+ * { method: 'DELETE', path: '/users/:id/favourites/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.removeUserFavourite }
+ *
+ * Path segments starting with ':' are params. Params are extracted by name and checked against their
+ * ParamType, so '/users/login' and '/users/:id' can't be confused with each other.
+ *
+ * */
+
+'use strict';
+
+const hEnv = require('./helper-env');
+const { isIdFormat } = require('./helper-validate');
+const CodedError = require('./errors').CodedError;
+
+const PARAM_PREFIX = ':';
+
+// The only request headers ArgSource.HEADERS passes on to an Action. Anything else, e.g. x-access-token or
+// cookie, has no business in an Action's args.
+const ARG_HEADERS = Object.freeze(['range', 'if-range', 'if-none-match', 'if-modified-since', 'content-type', 'content-length']);
+
+// Types a path param can be declared as. Untyped params default to STRING.
+// enum
+const ParamType = Object.freeze({
+    ID: 'id', // Must pass isIdFormat
+    STRING: 'string' // Any non-empty segment
+});
+
+// Where an Action's args can be gathered from. Sources are merged in the order listed on a route.
+// enum
+const ArgSource = Object.freeze({
+    PARAMS: 'params', // Path params, e.g. :id
+    QUERY: 'query', // Query string parameters
+    BODY: 'body', // Any received POST data
+    HEADERS: 'headers', // Those request headers in ARG_HEADERS, keyed by lowercase name, e.g. 'if-none-match'
+    REQUEST: 'request', // The request itself, as { request }, for Actions that stream the body
+    REQUESTER: 'requester' // Id of the user making the request, as { requesterId }. Only known after the token is verified, so added by the server.
+});
+
+/**
+ * Builds a route table from an Array of route definitions. Throws if two routes would match the same
+ * method and path shape, because the second would never be reached.
+ *
+ * @param {Array} definitions [{ method, path, params, devOnly, action, args, rateLimits }]
+ * @returns {Array} compiled routes, in the same order as definitions
+ */
+function createRouteTable(definitions = []) {
+    let routeTable = [];
+    for (const definition of definitions) {
+        let route = compileRoute(definition);
+        let shadowed = routeTable.find(r => r.method === route.method && r.signature === route.signature);
+        if (shadowed) {
+            throw new CodedError('KE150', `Route '${route.method} ${route.path}' shadows existing route '${shadowed.method} ${shadowed.path}'.`);
+        }
+        routeTable.push(route);
+    }
+    return routeTable;
+}
+
+/**
+ * Attempts to match a request method and path against a route table.
+ * Dev-only routes are ignored (i.e. treated as non-existent) outside the development environment.
+ *
+ * @param {Array} routeTable result of createRouteTable
+ * @param {string} method HTTP method, e.g. 'GET'
+ * @param {string} pathname path part of the request url, e.g. '/users/3/favourites'
+ * @returns {object} { route, params } on a match. Otherwise { route: undefined, allowedMethods: [] } where
+ * allowedMethods lists any methods the path would have matched with (empty if the path is unknown).
+ */
+function matchRoute(routeTable, method, pathname = '') {
+    let pathSegments = pathname.split("/").filter(v => v !== "");
+    let allowedMethods = [];
+    for (const route of routeTable) {
+        if (route.devOnly && !hEnv.isDev()) {
+            continue;
+        }
+        let params = matchSegments(route.segments, pathSegments);
+        if (params) {
+            if (route.method === method) {
+                return { route, params };
+            }
+            if (!allowedMethods.includes(route.method)) {
+                allowedMethods.push(route.method);
+            }
+        }
+    }
+    return { route: undefined, allowedMethods };
+}
+
+/**
+ * Gathers the args for a matched route's Action from the sources the route asks for.
+ *
+ * @param {object} match result of a successful matchRoute
+ * @param {object} query parsed query string parameters
+ * @param {object} postData any received POST data
+ * @param {any} req request
+ * @returns {object} args for the Action
+ */
+function buildArgs({ route, params } = {}, query = {}, postData = {}, req = {}) {
+    const sources = {
+        [ArgSource.PARAMS]: params,
+        [ArgSource.QUERY]: query,
+        [ArgSource.BODY]: postData,
+        [ArgSource.HEADERS]: pickHeaders(req.headers),
+        [ArgSource.REQUEST]: { request: req }
+    };
+    return route.args.reduce((args, source) => ({ ...args, ...sources[source] }), {});
+}
+
+
+/*
+ * Helpers
+ */
+
+function compileRoute({ method, path, params = {}, devOnly = false, action, args = [ArgSource.PARAMS], rateLimits = [] } = {}) {
+    if (!method || !path || typeof action !== 'function') {
+        throw new CodedError('KE151', `Route '${method} ${path}' must have a method, a path and an Action.`);
+    }
+    let segments = path.split("/").filter(v => v !== "").map(segment => {
+        if (segment.startsWith(PARAM_PREFIX)) {
+            let name = segment.substring(PARAM_PREFIX.length);
+            let type = params[name] || ParamType.STRING;
+            if (!Object.values(ParamType).includes(type)) {
+                throw new CodedError('KE151', `Route '${method} ${path}' has unknown type '${type}' for param '${name}'.`);
+            }
+            return { name, type };
+        }
+        return { literal: segment };
+    });
+    return {
+        method: method.toUpperCase(),
+        path,
+        // Shape of the path used to detect shadowing, e.g. '/users/:id/favourites/:venueId' -> 'users/:id/favourites/:id'
+        signature: segments.map(s => s.literal !== undefined ? s.literal : `${PARAM_PREFIX}${s.type}`).join('/'),
+        segments,
+        devOnly,
+        action,
+        args,
+        rateLimits
+    };
+}
+
+function pickHeaders(headers = {}) {
+    let picked = {};
+    for (const name of ARG_HEADERS) {
+        if (headers[name] !== undefined) {
+            picked[name] = headers[name];
+        }
+    }
+    return picked;
+}
+
+function matchSegments(segments, pathSegments) {
+    if (segments.length !== pathSegments.length) {
+        return undefined;
+    }
+    let params = {};
+    for (let i = 0; i < segments.length; i++) {
+        let segment = segments[i];
+        let value = pathSegments[i];
+        if (segment.literal !== undefined) {
+            if (segment.literal !== value) {
+                return undefined;
+            }
+        } else {
+            try {
+                value = decodeURIComponent(value);
+            } catch (err) {
+                // Malformed encoding, e.g. a lone '%'. Can't be a match.
+                return undefined;
+            }
+            if (!isParamType(value, segment.type)) {
+                return undefined;
+            }
+            params[segment.name] = value;
+        }
+    }
+    return params;
+}
+
+function isParamType(value, type) {
+    switch (type) {
+        case ParamType.ID:
+            return isIdFormat(value);
+        case ParamType.STRING:
+            return value !== undefined && value !== "";
+        default:
+            return false;
+    }
+}
+
+
+module.exports = {
+    ParamType, ArgSource,
+    createRouteTable, matchRoute, buildArgs
+};
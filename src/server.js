@@ -1,11 +1,23 @@
 'use strict';
 
-const { KEBAPI_SERVER_PORT, KEBAPI_SERVER_POST_MAX_SIZE } = require('./config');
+const {
+    KEBAPI_SERVER_PORT, KEBAPI_SERVER_POST_MAX_SIZE, KEBAPI_SERVER_SHUTDOWN_TIMEOUT_MS,
+    KEBAPI_RATE_LIMIT_LOGIN_IP_WINDOW_MS, KEBAPI_RATE_LIMIT_LOGIN_IP_MAX,
+    KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MS, KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_MAX,
+    KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_WINDOW_MS, KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_MAX,
+    KEBAPI_RATE_LIMIT_REGISTER_IP_WINDOW_MS, KEBAPI_RATE_LIMIT_REGISTER_IP_MAX,
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_WINDOW_MS, KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_MAX,
+    KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_WINDOW_MS, KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_MAX,
+    KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_WINDOW_MS, KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_MAX
+} = require('./config');
 
 const http = require('http');
 const port = KEBAPI_SERVER_PORT;
 const url = require('url');
 const qs = require('querystring');
+const fs = require('fs');
+const util = require('util');
+const pipeline = util.promisify(require('stream').pipeline);
 
 const hEnv = require('./helper-env');
 const logger = require('./logger');
@@ -15,6 +27,14 @@ const auth = require('./auth');
 const { Role } = require('./roles');
 const tests = require('./tests');
 const cl = require('./command-line');
+const cors = require('./cors');
+const lifecycle = require('./lifecycle');
+const router = require('./router');
+const projection = require('./projection');
+const rateLimit = require('./rate-limit');
+const { RateLimitKey } = require('./rate-limit');
+const { ParamType, ArgSource } = require('./router');
+const { isIdFormat } = require('./helper-validate');
 const CodedError = require('./errors').CodedError;
 
 
@@ -31,34 +51,52 @@ const CodedError = require('./errors').CodedError;
 })();
 
 
-http.createServer(async (req, res) => {
+const server = http.createServer(async (req, res) => {
 
     logger.info("> createServer");
 
+    // Track in-flight requests, so a shutdown can wait for them to finish
+    lifecycle.requestStarted();
+    res.once('close', lifecycle.requestEnded);
+    if (lifecycle.isDraining()) {
+        // Don't keep connections alive for more requests while shutting down
+        res.setHeader('Connection', 'close');
+    }
+
     if (hEnv.isDev()) {
         logger.info(`ENV: In dev environment`);
     } else {
         logger.info(`ENV: Not it dev environment`);
     }
 
+    // Answer OPTIONS (i.e. CORS preflight) requests directly. Browsers send these without a token,
+    // and answering doesn't need the DB or any permission checks.
+    if (req.method === 'OPTIONS') {
+        let corsHeaders = cors.isPreflight(req) ? cors.getPreflightHeaders(req) : cors.getCorsHeaders(req);
+        res.writeHead(204, corsHeaders);
+        res.end();
+        logger.info("< createServer");
+        return;
+    }
+
     let result = {};
     let postData;
     let act;
 
     try {
 
-        // Set up receipt of any request POST data
-        if (req.method === 'POST') {
+        // Set up receipt of any request POST data (also used for PUT and PATCH bodies)
+        if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
             /* TODO: Could increase specificity so this only fires on POST requests where we expect to have post data.
              * (Sometimes all data can be determined from route and none is actually posted, e.g.:
              * POST /users/:userId/favourites/:venueId to add a favourite.)
              */
             try {
                 postData = await getPostData(req);
-                logger.debug(`Received POST data: ${JSON.stringify(postData)}`);
+                logger.debug(`Received ${req.method} data: ${logger.toLogString(postData)}`);
             } catch (err) {
                 logger.error(err);
-                result = await api.responseBadRequest(`There was a problem with the post data received in the request.`);
+                result = await api.responseBadRequest(`There was a problem with the ${req.method} data received in the request.`);
                 throw err;
             }
         }
@@ -72,28 +110,22 @@ http.createServer(async (req, res) => {
             throw err;
         }
 
+        // Throttle before doing any real work, e.g. the bcrypt comparison of a login
+        let limit = await rateLimit.checkRateLimits(act.rateLimits, req, act.args);
+        if (limit.limited) {
+            result = await api.responseTooManyRequests(`Too many requests. Try again in ${limit.retryAfterSeconds} second(s).`, limit.retryAfterSeconds);
+            throw new CodedError('KE180', `Rate limit '${limit.name}' exceeded by ${rateLimit.getClientIp(req)}.`);
+        }
 
-        // Ensure DB is available and ready if an Action is going to require it
-        // TODO: These checks are probably too sledgehammer here, because they happen for every request. Review.
-        try {
-            if (![api.responseNotFound].includes(act.action)) {
-                // TODO: This block can be filtered further. Idea is to invoke DB initialisations only
-                // if DB will be used in generating a response.
-                result = await dal.checkDBExists();
-                logger.debug(`dal.checkDBExists result: ${JSON.stringify(result)}`);
-                if (result !== true) {
-                    throw new Error(`DB does not exist.`);
-                }
-
-                result = await dal.setTargetDB();
-                logger.debug(`dal.setTargetDB result: ${JSON.stringify(result)}`);
-                if (result !== true) {
-                    throw new Error(`Could not set target DB.`);
-                }
 
-                result = await dal.checkTablesExist();
-                logger.debug(`dal.checkTablesExist result: ${JSON.stringify(result)}`);
-                if (result.allExist !== true) {
+        // Ensure DB is available and ready if an Action is going to require it.
+        // A successful verification is cached (see KEBAPI_DB_VERIFY_TTL_MS), so this is only a real check now and then.
+        try {
+            if (![api.responseNotFound, api.responseMethodNotAllowed, api.getHealth, api.getReady].includes(act.action)) {
+                // getHealth and getReady are excluded because they report on the DB rather than needing it
+                result = await dal.verifyDB();
+                logger.debug(`dal.verifyDB result: ${JSON.stringify(result)}`);
+                if (result.ready !== true) {
                     throw new Error(`DB verification failed.`);
                 }
             }
@@ -107,6 +139,7 @@ http.createServer(async (req, res) => {
         // Evaluate permissions needed to execute Action
         let hasRolePermission = false;
         let hasOwnershipPermission = false;
+        let requesterRole = Role.EVERYONE; // Decides which fields of the result the requester gets to see
         if (act.action.minRole === undefined) {
             // Role information has not been set for an Action
             result = await api.responseInternalServerError(`There is a misconfiguration problem on the server. Try again in a bit.`);
@@ -134,10 +167,11 @@ http.createServer(async (req, res) => {
                 throw err;
             }
 
-            // Get id of user from token
+            // Get id of user, and the token version, from token
             let id;
+            let tokenVersion;
             try {
-                id = await getIdFromToken(token);
+                ({ id, version: tokenVersion } = await getPayloadFromToken(token));
             }
             catch (err) {
                 logger.error(err);
@@ -153,6 +187,57 @@ http.createServer(async (req, res) => {
                 throw err;
             }
 
+            // Everything checked about the user on every request comes from one query
+            let user;
+            try {
+                user = await dal.getUserAuthState(id);
+            } catch (err) {
+                logger.error(err);
+                result = await api.responseInternalServerError(`Error checking account status.`);
+                throw err;
+            }
+
+            // Changing the password bumps the user's token version, refusing tokens issued before
+            try {
+                await checkTokenVersion(id, tokenVersion, user);
+            } catch (err) {
+                logger.error(err);
+                if (err.code && err.code === 'KE125') {
+                    result = await api.responseUnauthorised(`Your password has changed. Please log in again.`);
+                } else {
+                    result = await api.responseInternalServerError(`Error retrieving token information.`);
+                }
+                throw err;
+            }
+
+            // A token stays valid after its user is deactivated, so check the account is still active on every request
+            try {
+                await checkAccountIsActive(id, user);
+            } catch (err) {
+                logger.error(err);
+                if (err.code && err.code === 'KE124') {
+                    result = await api.responseForbidden(`Your account has been deactivated.`);
+                } else {
+                    result = await api.responseInternalServerError(`Error checking account status.`);
+                }
+                throw err;
+            }
+
+            // Until they verify their email, users can only do what Actions allow unverified users, e.g. manage their account
+            if (!act.action.allowUnverified) {
+                try {
+                    await checkEmailIsVerified(id, user);
+                } catch (err) {
+                    logger.error(err);
+                    if (err.code && err.code === 'KE126') {
+                        result = await api.responseForbidden(`Please verify your email address first. Follow the link we mailed you, or ask for another.`);
+                    } else {
+                        result = await api.responseInternalServerError(`Error checking email verification.`);
+                    }
+                    throw err;
+                }
+            }
+
             // Now we have the user's id from the token, check if the user's assigned role has permission to execute the chosen Action
             let rolePermissionResult;
             try {
@@ -167,6 +252,12 @@ http.createServer(async (req, res) => {
                 throw err;
             }
             hasRolePermission = rolePermissionResult.hasPermission;
+            requesterRole = rolePermissionResult.role.id;
+
+            // Pass on who is making the request to Actions that want it, e.g. to record the uploader of media
+            if (act.withRequester) {
+                act.args = { ...act.args, requesterId: id };
+            }
 
             // Also using the user's id from the token, check user has ownership of the Action if the Action is owned
             if (rolePermissionResult.role.id === Role.ADMIN) {
@@ -197,6 +288,12 @@ http.createServer(async (req, res) => {
                 } else {
                     result = await act.action(act.args);
                 }
+                // Strip any fields the requester may not see, before the result is logged or sent
+                result = projection.applyProjection(result, act.action.projection, requesterRole);
+                // Only now do we know whether, e.g., a login succeeded, so shouldn't count against its limits
+                if (result.responseCode < 400) {
+                    await rateLimit.recordSuccess(act.rateLimits, req, act.args);
+                }
 
             } catch (err) {
                 logger.error(err);
@@ -207,179 +304,202 @@ http.createServer(async (req, res) => {
             result = await api.responseForbidden(`You do not have permission to do that.`);
         }
 
-        logger.info(`Result: ${JSON.stringify(result)}`);
+        // Results can hold tokens, e.g. from a login, which anyone reading the log could use as the user
+        logger.info(`Result: ${logger.toLogString(result)}`);
         
     } catch (err) {
         logger.error(err);
     }
 
     // Send the response
-    await res.writeHead(result.responseCode, { 'Content-Type': 'application/json' });
-    await res.write(JSON.stringify(result));
-    await res.end();
+    // Any headers and file an Action returned are for us, not part of the response body
+    let { headers: resultHeaders, file, ...body } = result;
+    let headers = { 'Content-Type': 'application/json', ...act && act.headers, ...resultHeaders, ...cors.getCorsHeaders(req) };
+    if (file) {
+        // Stream the file in place of a JSON body
+        await res.writeHead(body.responseCode, headers);
+        await streamFile(file, res);
+    } else if (!canHaveBody(body.responseCode)) {
+        delete headers['Content-Type'];
+        await res.writeHead(body.responseCode, headers);
+        await res.end();
+    } else {
+        await res.writeHead(body.responseCode, headers);
+        await res.write(JSON.stringify(body));
+        await res.end();
+    }
 
     logger.info("< createServer");
 
-}).listen(port);
+});
+
+server.listen(port);
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+/**
+ * Graceful shutdown. Stops accepting connections, waits for in-flight requests to finish (up to
+ * KEBAPI_SERVER_SHUTDOWN_TIMEOUT_MS), closes the DB connection pool, then exits.
+ * Exits with 0 if everything drained and closed cleanly, 1 otherwise.
+ *
+ * @param {string} signal name of the signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+    if (lifecycle.isDraining()) {
+        // Already shutting down
+        return;
+    }
+    logger.info(`> shutdown (${signal})`);
+    let exitCode = await lifecycle.shutdown({ server, closePool: dal.closePool, timeoutMs: KEBAPI_SERVER_SHUTDOWN_TIMEOUT_MS });
+    logger.info(`< shutdown (exit code ${exitCode})`);
+    process.exit(exitCode);
+}
+
+// Rate limiters. A route can list any number, and is limited when any one of them is exceeded.
+// Only failed logins count. Per account from one IP is tight, and per account from any IP, so guessing from many
+// IPs is limited too, is looser, since anyone can use it up.
+const loginIpLimiter = rateLimit.createRateLimiter({ name: 'login-ip', keyBy: RateLimitKey.IP, windowMs: KEBAPI_RATE_LIMIT_LOGIN_IP_WINDOW_MS, max: KEBAPI_RATE_LIMIT_LOGIN_IP_MAX, failuresOnly: true });
+const loginIpAccountLimiter = rateLimit.createRateLimiter({ name: 'login-ip-account', keyBy: RateLimitKey.IP_ACCOUNT, windowMs: KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_WINDOW_MS, max: KEBAPI_RATE_LIMIT_LOGIN_IP_ACCOUNT_MAX, failuresOnly: true });
+const loginAccountLimiter = rateLimit.createRateLimiter({ name: 'login-account', keyBy: RateLimitKey.ACCOUNT, windowMs: KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MS, max: KEBAPI_RATE_LIMIT_LOGIN_ACCOUNT_MAX, failuresOnly: true });
+const registerIpLimiter = rateLimit.createRateLimiter({ name: 'register-ip', keyBy: RateLimitKey.IP, windowMs: KEBAPI_RATE_LIMIT_REGISTER_IP_WINDOW_MS, max: KEBAPI_RATE_LIMIT_REGISTER_IP_MAX });
+const passwordResetIpLimiter = rateLimit.createRateLimiter({ name: 'password-reset-ip', keyBy: RateLimitKey.IP, windowMs: KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_WINDOW_MS, max: KEBAPI_RATE_LIMIT_PASSWORD_RESET_IP_MAX });
+const passwordResetAccountLimiter = rateLimit.createRateLimiter({ name: 'password-reset-account', keyBy: RateLimitKey.ACCOUNT, windowMs: KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_WINDOW_MS, max: KEBAPI_RATE_LIMIT_PASSWORD_RESET_ACCOUNT_MAX });
+const verifyResendIpLimiter = rateLimit.createRateLimiter({ name: 'verify-resend-ip', keyBy: RateLimitKey.IP, windowMs: KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_WINDOW_MS, max: KEBAPI_RATE_LIMIT_VERIFY_RESEND_IP_MAX });
+// Limits per account count the account, whether it's named by username or email. Found the same way loginUser does.
+rateLimit.setAccountResolver(async ({ username, email }) => {
+    let users = username ? await dal.getUserByUserName(username) : await dal.getUserByEmail(email);
+    return users.length > 0 ? users[0].id : undefined;
+});
+
+// Route table. Routes are matched in order, first match wins.
+// Unknown paths get a 404. Known paths requested with the wrong method get a 405.
+const routeTable = router.createRouteTable([
+    // Health checks, e.g. for an orchestrator
+    { method: 'GET', path: '/health', action: api.getHealth },
+    { method: 'GET', path: '/ready', action: api.getReady },
+
+    // Only matched in development environment
+    { method: 'GET', path: '/gettoken/:id', params: { id: ParamType.ID }, devOnly: true, action: api.getToken },
+    { method: 'GET', path: '/verifytoken/:token', devOnly: true, action: api.verifyToken },
+    { method: 'GET', path: '/gethash/:value', devOnly: true, action: api.getHash },
+    { method: 'GET', path: '/resettestdb', devOnly: true, action: api.resetTestDB },
+    { method: 'GET', path: '/tests/admin', devOnly: true, action: tests.runAdminTests },
+
+    // Venues
+    { method: 'GET', path: '/venues/near', action: api.getVenuesNear, args: [ArgSource.QUERY] }, // ?lat=n&lng=n (optional: &radius=metres&startRow=n&maxRows=n)
+    { method: 'GET', path: '/venues/:id', params: { id: ParamType.ID }, action: api.getVenue },
+    { method: 'GET', path: '/venues', action: api.getVenues, args: [ArgSource.QUERY] }, // (optional: ?startRow=n&maxRows=n, or keyset ?after=cursor&maxRows=n. Filters e.g. &openNow=true)
+    { method: 'POST', path: '/venues', action: api.addVenue, args: [ArgSource.BODY] },
+    { method: 'PATCH', path: '/venues/:id', params: { id: ParamType.ID }, action: api.updateVenue, args: [ArgSource.BODY, ArgSource.PARAMS] }, // Params last, so the id operated on is always the one in the path
+    { method: 'DELETE', path: '/venues/:id', params: { id: ParamType.ID }, action: api.deleteVenue },
+    { method: 'PUT', path: '/venues/:id/hours', params: { id: ParamType.ID }, action: api.setVenueOpeningHours, args: [ArgSource.BODY, ArgSource.PARAMS] }, // application/json { weekly, exceptions }
+    { method: 'GET', path: '/venues/:id/menu', params: { id: ParamType.ID }, action: api.getVenueMenu, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/venues/:id/menu', params: { id: ParamType.ID }, action: api.addMenuItem, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'PATCH', path: '/venues/:id/menu/:itemId', params: { id: ParamType.ID, itemId: ParamType.ID }, action: api.updateMenuItem, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'DELETE', path: '/venues/:id/menu/:itemId', params: { id: ParamType.ID, itemId: ParamType.ID }, action: api.deleteMenuItem },
+    { method: 'POST', path: '/venues/:id/tags/:tagId', params: { id: ParamType.ID, tagId: ParamType.ID }, action: api.addVenueTag },
+    { method: 'DELETE', path: '/venues/:id/tags/:tagId', params: { id: ParamType.ID, tagId: ParamType.ID }, action: api.removeVenueTag },
+    { method: 'GET', path: '/venues/:id/media', params: { id: ParamType.ID }, action: api.getVenueMedia, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'PUT', path: '/venues/:id/media/order', params: { id: ParamType.ID }, action: api.reorderVenueMedia, args: [ArgSource.BODY, ArgSource.PARAMS] }, // application/json { media_ids }
+    { method: 'PUT', path: '/venues/:id/media/main', params: { id: ParamType.ID }, action: api.setVenueMainMedia, args: [ArgSource.BODY, ArgSource.PARAMS] }, // { media_id }
+    { method: 'POST', path: '/venues/:id/media/:mediaId', params: { id: ParamType.ID, mediaId: ParamType.ID }, action: api.attachVenueMedia, args: [ArgSource.BODY, ArgSource.PARAMS] }, // (optional: { caption })
+    { method: 'PATCH', path: '/venues/:id/media/:mediaId', params: { id: ParamType.ID, mediaId: ParamType.ID }, action: api.updateVenueMedia, args: [ArgSource.BODY, ArgSource.PARAMS] }, // { caption }
+    { method: 'DELETE', path: '/venues/:id/media/:mediaId', params: { id: ParamType.ID, mediaId: ParamType.ID }, action: api.detachVenueMedia },
+    { method: 'GET', path: '/venues/:id/reviews', params: { id: ParamType.ID }, action: api.getVenueReviews, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/venues/:id/checkins', params: { id: ParamType.ID }, action: api.addCheckIn, args: [ArgSource.BODY, ArgSource.PARAMS, ArgSource.REQUESTER] }, // Checks in the requester
+
+    // Tags
+    { method: 'GET', path: '/tags', action: api.getTags, args: [ArgSource.QUERY] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/tags', action: api.addTag, args: [ArgSource.BODY] },
+    { method: 'PATCH', path: '/tags/:id', params: { id: ParamType.ID }, action: api.updateTag, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'DELETE', path: '/tags/:id', params: { id: ParamType.ID }, action: api.deleteTag },
+
+    // Shared collections. No token needed, only the collection's share token.
+    { method: 'GET', path: '/collections/shared/:shareToken', action: api.getSharedCollection },
+    { method: 'GET', path: '/collections/shared/:shareToken/venues', action: api.getSharedCollectionVenues, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+
+    // Media
+    { method: 'GET', path: '/media/:id', params: { id: ParamType.ID }, action: api.getMedia, args: [ArgSource.HEADERS, ArgSource.PARAMS] }, // Headers for Range and conditional requests
+    { method: 'POST', path: '/media', action: api.uploadMedia, args: [ArgSource.HEADERS, ArgSource.REQUEST, ArgSource.REQUESTER] }, // multipart/form-data, streamed by the Action
+
+    // Users
+    { method: 'GET', path: '/users', action: api.getUsers, args: [ArgSource.QUERY] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/users/login', action: api.loginUser, args: [ArgSource.BODY], rateLimits: [loginIpLimiter, loginIpAccountLimiter, loginAccountLimiter] },
+    { method: 'POST', path: '/users/register', action: api.registerUser, args: [ArgSource.BODY], rateLimits: [registerIpLimiter] },
+    { method: 'POST', path: '/users/password/forgot', action: api.requestPasswordReset, args: [ArgSource.BODY], rateLimits: [passwordResetIpLimiter, passwordResetAccountLimiter] }, // Mails a reset token
+    { method: 'POST', path: '/users/password/reset', action: api.resetPassword, args: [ArgSource.BODY], rateLimits: [passwordResetIpLimiter] },
+    { method: 'GET', path: '/users/verify', action: api.verifyEmail, args: [ArgSource.QUERY] }, // ?token= The link mailed to verify an email
+    { method: 'GET', path: '/users/:id', params: { id: ParamType.ID }, action: api.getUser },
+    { method: 'PATCH', path: '/users/:id', params: { id: ParamType.ID }, action: api.updateUser, args: [ArgSource.BODY, ArgSource.PARAMS] }, // Params last, so the id operated on is always the one in the path
+    // This "un-deletes" a user. In reality we're implementing a status toggle, which simplifies account recovery, etc.
+    // TODO: Arguably this should be a PUT. For simplicity, keeping it as POST for now. Review if more PUTs are added.
+    { method: 'POST', path: '/users/:id', params: { id: ParamType.ID }, action: api.activateUser },
+    // This "deletes" a user. In reality we're implementing a status toggle, which simplifies account recovery, etc.
+    { method: 'DELETE', path: '/users/:id', params: { id: ParamType.ID }, action: api.deactivateUser },
+    { method: 'GET', path: '/users/:id/role', params: { id: ParamType.ID }, action: api.getUserRole },
+    { method: 'GET', path: '/users/:id/status', params: { id: ParamType.ID }, action: api.getUserAccountStatus },
+    { method: 'POST', path: '/users/:id/password', params: { id: ParamType.ID }, action: api.changeUserPassword, args: [ArgSource.BODY, ArgSource.PARAMS, ArgSource.REQUESTER] }, // Admins can set another user's without their current password
+    { method: 'POST', path: '/users/:id/verify', params: { id: ParamType.ID }, action: api.resendEmailVerification, rateLimits: [verifyResendIpLimiter] }, // Mails another verification link
+    { method: 'GET', path: '/users/:id/favourites', params: { id: ParamType.ID }, action: api.getUserFavourites, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/users/:id/favourites/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.addUserFavourite },
+    { method: 'DELETE', path: '/users/:id/favourites/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.removeUserFavourite },
+    { method: 'GET', path: '/users/:id/collections', params: { id: ParamType.ID }, action: api.getUserCollections, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/users/:id/collections', params: { id: ParamType.ID }, action: api.addCollection, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'GET', path: '/users/:id/collections/:collectionId', params: { id: ParamType.ID, collectionId: ParamType.ID }, action: api.getCollection },
+    { method: 'PATCH', path: '/users/:id/collections/:collectionId', params: { id: ParamType.ID, collectionId: ParamType.ID }, action: api.updateCollection, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'DELETE', path: '/users/:id/collections/:collectionId', params: { id: ParamType.ID, collectionId: ParamType.ID }, action: api.deleteCollection },
+    { method: 'GET', path: '/users/:id/collections/:collectionId/venues', params: { id: ParamType.ID, collectionId: ParamType.ID }, action: api.getCollectionVenues, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/users/:id/collections/:collectionId/venues/:venueId', params: { id: ParamType.ID, collectionId: ParamType.ID, venueId: ParamType.ID }, action: api.addCollectionVenue },
+    { method: 'DELETE', path: '/users/:id/collections/:collectionId/venues/:venueId', params: { id: ParamType.ID, collectionId: ParamType.ID, venueId: ParamType.ID }, action: api.removeCollectionVenue },
+    { method: 'POST', path: '/users/:id/reviews/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.addReview, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'PATCH', path: '/users/:id/reviews/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.updateReview, args: [ArgSource.BODY, ArgSource.PARAMS] },
+    { method: 'DELETE', path: '/users/:id/reviews/:venueId', params: { id: ParamType.ID, venueId: ParamType.ID }, action: api.deleteReview },
+    { method: 'GET', path: '/users/:id/checkins', params: { id: ParamType.ID }, action: api.getUserCheckIns, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?from=date&to=date&startRow=n&maxRows=n)
+    { method: 'GET', path: '/users/:id/checkins/venues', params: { id: ParamType.ID }, action: api.getUserCheckInVenues, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?from=date&to=date&startRow=n&maxRows=n)
+    { method: 'GET', path: '/users/:id/recommendations', params: { id: ParamType.ID }, action: api.getUserRecommendations, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?lat=n&lng=n&radius=n&startRow=n&maxRows=n)
+    { method: 'GET', path: '/users/:id/following', params: { id: ParamType.ID }, action: api.getUserFollowing, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'POST', path: '/users/:id/following/:followeeId', params: { id: ParamType.ID, followeeId: ParamType.ID }, action: api.followUser },
+    { method: 'DELETE', path: '/users/:id/following/:followeeId', params: { id: ParamType.ID, followeeId: ParamType.ID }, action: api.unfollowUser },
+    { method: 'GET', path: '/users/:id/followers', params: { id: ParamType.ID }, action: api.getUserFollowers, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?startRow=n&maxRows=n)
+    { method: 'GET', path: '/users/:id/feed', params: { id: ParamType.ID }, action: api.getUserFeed, args: [ArgSource.QUERY, ArgSource.PARAMS] }, // (optional: ?after=cursor&maxRows=n)
+    { method: 'GET', path: '/users/:id/privacy', params: { id: ParamType.ID }, action: api.getUserPrivacy },
+    { method: 'PATCH', path: '/users/:id/privacy', params: { id: ParamType.ID }, action: api.updateUserPrivacy, args: [ArgSource.BODY, ArgSource.PARAMS] }
+]);
 
 /**
- * Shoehorn some routing functionality
- * 
+ * Maps a request to the Action that will handle it, using the route table
+ *
  * @param {any} req request
  * @param {any} postData (optional) POST data
- * @returns {object} { action: fn, args: args }
+ * @returns {object} { action: fn, args: args, headers: headers, withRequester: bool } (headers are any extra response headers, e.g. Allow)
  */
 async function route(req, postData = {}) {
-    let method = req.method;
     let parsedUrl = url.parse(req.url, true);
-    let queryStringParameters = parsedUrl.query;
-    let pathSegments = parsedUrl.pathname.split("/").filter(v => v !== "");
 
     let action = undefined; // action will be a fn to execute
     let args = undefined; // args to give to that fn
+    let headers = {}; // any headers the response should carry
+    let withRequester = false; // whether the Action wants the id of the user making the request
+    let rateLimits = []; // any rate limiters the request counts against
 
-    // Attempt to match routes
     try {
-        // Only attempt to match these in development environment
-        // GET requests
-        switch (hEnv.isDev() && method === 'GET' ? pathSegments[0] : undefined) {
-            case 'gettoken':
-                if (isIdFormat(pathSegments[1])) {
-                    let id = pathSegments[1];
-                    // GET /gettoken/:id
-                    action = api.getToken;
-                    args = { id };
-                }
-                break;
-            case 'verifytoken':
-                if (pathSegments[1]) {
-                    let token = pathSegments[1];
-                    // GET /verifytoken/:token
-                    action = api.verifyToken;
-                    args = { token };
-                }
-                break;
-            case 'gethash':
-                if (pathSegments[1]) {
-                    let value = pathSegments[1];
-                    // GET /gethash/:value
-                    action = api.getHash;
-                    args = { value };
-                }
-                break;
-            case 'resettestdb':
-                // GET /resettestdb
-                action = api.resetTestDB;
-                args = {};
-                break;
-            case 'tests':
-                if (pathSegments[1] === 'admin') {
-                    // GET /tests/admin
-                    action = tests.runAdminTests;
-                    args = {};
-                }
-                break;
-        }
-        // If no match yet, attempt to match with the remainder (non isDev())
-        // GET requests
-        switch (action === undefined && method === 'GET' ? pathSegments[0] : undefined) {
-            case 'venues':
-                if (isIdFormat(pathSegments[1])) {
-                    // GET /venues/:venueId
-                    let id = pathSegments[1];
-                    action = api.getVenue;
-                    args = { id };
-                } else {
-                    // GET /venues (optional: ?startRow=n&maxRows=n)
-                    action = api.getVenues;
-                    args = queryStringParameters;
-                }
-                break;
-            case 'users':
-                if (isIdFormat(pathSegments[1])) {
-                    let id = pathSegments[1];
-                    if (pathSegments[2] === 'favourites') {
-                        // GET /users/:id/favourites/
-                        action = api.getUserFavourites;
-                        args = { id: id };
-                    } else if (pathSegments[2] === 'role') {
-                        // GET /users/:id/role/
-                        action = api.getUserRole;
-                        args = { id: id };
-                    } else if (pathSegments[2] === 'status') {
-                        // GET /users/:id/status/
-                        action = api.getUserAccountStatus;
-                        args = { id: id };
-                    } else {
-                        // GET /users/:id/
-                        action = api.getUser;
-                        args = { id: id };
-                    }
-                } else {
-                    // GET /users (optional: ?startRow=n&maxRows=n)
-                    action = api.getUsers;
-                    args = queryStringParameters;
-                }
-                break;
-        }
-        // POST requests
-        switch (action === undefined && method === 'POST' ? pathSegments[0] : undefined) {
-            case 'users':
-                if (pathSegments[1] === 'login') {
-                    // POST /users/login
-                    action = api.loginUser;
-                    args = postData;
-                } else if (pathSegments[1] === 'register') {
-                    // POST /users/register
-                    action = api.registerUser;
-                    args = postData;
-                } else if (isIdFormat(pathSegments[1])) {
-                    let id = pathSegments[1];
-                    if (pathSegments[2] === 'favourites') {
-                        if (isIdFormat(pathSegments[3])) {
-                            let venueId = pathSegments[3];
-                            // POST /users/:userId/favourites/:venueId
-                            action = api.addUserFavourite;
-                            args = { id, venueId };
-                        }
-                    } else {
-                        // POST /users/:userId
-                        // This "un-deletes" a user. In reality we're implementing a status toggle, which simplifies account recovery, etc.
-                        // TODO: Arguably this should be a PUT. For simplicity, keeping it as POST for now. Review if more PUTs are added.
-                        action = api.activateUser;
-                        args = { id };
-                    }
-                }
-                break;
-        }
-        // DELETE requests
-        switch (action === undefined && method === 'DELETE' ? pathSegments[0] : undefined) {
-            case 'users':
-                if (isIdFormat(pathSegments[1])) {
-                    let id = pathSegments[1];
-                    if (pathSegments[2] === 'favourites') {
-                        if (isIdFormat(pathSegments[3])) {
-                            let venueId = pathSegments[3];
-                            // DELETE /users/:userId/favourites/:venueId
-                            action = api.removeUserFavourite;
-                            args = { id, venueId };
-                        }
-                    } else {
-                        // DELETE /users/:userId
-                        // This "deletes" a user. In reality we're implementing a status toggle, which simplifies account recovery, etc.
-                        action = api.deactivateUser; 
-                        args = { id };
-                    }
-                }
-                break;
-        }
-
-        // If no route could be mapped, default to a not found Action
-        if (action === undefined) {
+        let match = router.matchRoute(routeTable, req.method, parsedUrl.pathname);
+        if (match.route) {
+            action = match.route.action;
+            args = router.buildArgs(match, parsedUrl.query, postData, req);
+            withRequester = match.route.args.includes(ArgSource.REQUESTER);
+            rateLimits = match.route.rateLimits;
+        } else if (match.allowedMethods.length > 0) {
+            // Path exists, but not for this method
+            action = api.responseMethodNotAllowed;
+            args = `Method ${req.method} is not allowed here. Allowed: ${match.allowedMethods.join(', ')}.`;
+            headers = { 'Allow': match.allowedMethods.join(', ') };
+        } else {
+            // If no route could be mapped, default to a not found Action
             action = api.responseNotFound;
             args = undefined;
         }
-
     } catch (err) {
         logger.error(err);
         throw err;
@@ -387,23 +507,40 @@ async function route(req, postData = {}) {
 
     return {
         action: action,
-        args: args
+        args: args,
+        headers: headers,
+        withRequester: withRequester,
+        rateLimits: rateLimits
     };
 }
 
 /*
-  Collects any POST data. Currently supports:
+  Collects any POST data (the body of POST, PUT and PATCH requests). Currently supports:
     . application/json
     . application/x-www-form-urlencoded
+  Requests sent without a content-type are treated as having no data.
+  multipart/form-data bodies are left unread, so an Action can stream them (e.g. media uploads).
  */
 async function getPostData(req) {
     const APP_JSON = 'application/json';
     const APP_FORM_URLENCODED = 'application/x-www-form-urlencoded';
+    const MULTIPART_FORM_DATA = 'multipart/form-data';
     let data = '';
     return new Promise((resolve, reject) => {
+        // Nothing to parse if no content-type was sent, e.g. POST /users/:userId/favourites/:venueId
+        if (!req.headers['content-type']) {
+            req.resume(); // Drain anything that was sent anyway
+            resolve(undefined);
+            return;
+        }
+        // Leave multipart data in the request for the Action to stream
+        if (req.headers['content-type'].indexOf(MULTIPART_FORM_DATA) > -1) {
+            resolve(undefined);
+            return;
+        }
         // Reject if we're not receiving one of the accepted content-types
-        if (![APP_FORM_URLENCODED, APP_JSON].some(s => req.headers['content-type'].indexOf(s))) {
-            reject(`POST data content-type must be '${APP_FORM_URLENCODED}' or '${APP_JSON}', instead received '${req.headers['content-type']}'`);
+        if (![APP_FORM_URLENCODED, APP_JSON].some(s => req.headers['content-type'].indexOf(s) > -1)) {
+            reject(`${req.method} data content-type must be '${APP_FORM_URLENCODED}' or '${APP_JSON}', instead received '${req.headers['content-type']}'`);
         }
         // Receive data chunks
         req.on('data', (dataChunk) => {
@@ -411,7 +548,7 @@ async function getPostData(req) {
             data += dataChunk.toString();
             // Stop receiving if we're being sent too much data because it could crash the server/be used as exploit.
             if (data.length > KEBAPI_SERVER_POST_MAX_SIZE) {
-                reject(`POST data size limit exceeded. Too much data sent.`);
+                reject(`${req.method} data size limit exceeded. Too much data sent.`);
             }
         });
         req.on('end', (contentType = req.headers['content-type']) => {
@@ -437,6 +574,33 @@ async function getPostData(req) {
         
     });
 }
+
+/**
+ * Streams part or all of a file into the response, then ends it
+ *
+ * @param {object} file { path, start, end } (end is inclusive)
+ * @param {any} res response
+ */
+async function streamFile({ path, start, end }, res) {
+    try {
+        await pipeline(fs.createReadStream(path, { start, end }), res);
+    } catch (err) {
+        // Headers have already gone, so all we can do is cut the response short
+        logger.error(err);
+        res.destroy();
+    }
+}
+
+/**
+ * Checks if a response with the given status code is allowed a body. (1xx, 204 and 304 responses aren't.)
+ *
+ * @param {number} responseCode response status code
+ * @returns {boolean} true if a body can be sent, false otherwise
+ */
+function canHaveBody(responseCode) {
+    return !(responseCode < 200 || responseCode === 204 || responseCode === 304);
+}
+
 async function getTokenFromRequest(req) {
     try {
         let requestToken = req.headers['x-access-token'];
@@ -449,7 +613,8 @@ async function getTokenFromRequest(req) {
         throw err;
     }
 }
-async function getIdFromToken(token) {
+// Gets { id, version } from a token. Tokens from before there were versions are version 0.
+async function getPayloadFromToken(token) {
     try {
         let verifyResult = await auth.verifyToken(token);
         if (verifyResult.verified === true) {
@@ -457,7 +622,7 @@ async function getIdFromToken(token) {
             if (!isIdFormat(id)) {
                 throw new CodedError('KE120', `Invalid token. Id missing from payload.`);
             }
-            return id;
+            return { id: id, version: verifyResult.payload.ver || 0 };
         } else {
             let code = undefined;
             switch (verifyResult.rejectErrorType) {
@@ -480,6 +645,41 @@ async function getIdFromToken(token) {
     }
 }
 
+// user is the user's dal.getUserAuthState, for this and the checks below
+async function checkTokenVersion(id, version, user) {
+    try {
+        // A user who doesn't exist is refused by checkAccountIsActive
+        if (user && version !== user.token_version) {
+            throw new CodedError('KE125', `Invalid token. Token version '${version}' is older than version '${user.token_version}' for id '${id}'.`);
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+async function checkAccountIsActive(id, user) {
+    try {
+        if (!user || user.account_status_id !== dal.UserAccountStatus.ACTIVE) {
+            throw new CodedError('KE124', `Account for id '${id}' is inactive or doesn't exist.`);
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+async function checkEmailIsVerified(id, user) {
+    try {
+        if (!user || user.email_verified_at === null) {
+            throw new CodedError('KE126', `Email for id '${id}' isn't verified.`);
+        }
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
 async function checkRoleGrantsPermissionForAction(id, act) {
     // Here we're checking if the user's role is appropriate to the Action being requested
     try {
@@ -562,6 +762,7 @@ async function processCommandLine() {
                         args = JSON.parse(args); // api currently takes objects as args throughout, JSON.parse coverts the received command line string into an object
                     }
                     let result = await api[action](args); // Currently assumes api module. Likely sufficient for this implementation
+                    result = projection.applyProjection(result, api[action].projection, Role.ADMIN); // Whoever runs the server is effectively admin
                     logger.info(`Action completed. Result: ${JSON.stringify(result)}`);
                 }
             }
@@ -574,29 +775,3 @@ async function processCommandLine() {
     }
 }
 
-
-
-/**
- * Checks value is in the format of a valid id. Only format is checked, so a valid id may not exist.
- * Ids are currently integers, func will need to be updated if we switch to UUID or other.
- * 
- * @param {any} value value to be checked
- * @returns {boolean} true if value is an id, false otherwise
- */
-function isIdFormat(value) {
-    try {
-        let is = false;
-        if (typeof value === "number") {
-            is = true;
-        } else if (typeof value === "string") {
-            // This regex checks we have an int
-            if (value.match(/^[0-9]*$/gm)) {
-                is = true;
-            }
-        }
-        return is;
-    } catch (err) {
-        logger.error(err);
-        throw err;
-    }    
-}
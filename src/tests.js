@@ -8,6 +8,8 @@
 'use strict';
 
 const assert = require('assert');
+const http = require('http');
+const { Readable, Writable } = require('stream');
 
 const logger = require('./logger');
 const { ConsoleCodes } = require('./logger');
@@ -15,6 +17,21 @@ const api = require('./api');
 const dal = require('./dal');
 const { Role } = require('./roles');
 const { pick } = require('./helper-obj');
+const projection = require('./projection');
+const rateLimit = require('./rate-limit');
+const lifecycle = require('./lifecycle');
+const mailer = require('./mailer');
+const media = require('./media');
+const multipart = require('./multipart');
+const router = require('./router');
+const { RateLimitKey } = require('./rate-limit');
+
+const {
+    KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS,
+    KEBAPI_MEDIA_UPLOAD_MAX_SIZE,
+    KEBAPI_SERVER_PORT,
+    KEBAPI_VENUES_NEAR_MAX_RADIUS_M
+} = require('./config');
 
 
 (function initialise() {
@@ -100,941 +117,4081 @@ const adminTestCollection = {
         ];
         return await runTestCases(test, testCases);
     },
-    'api.loginUser should login with correct username and pwd': async (test) => {
-        // We test against field subset because response usually includes a hash that changes on every login making comparisons impossible otherwise.
-        let testFn = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+    'dal.verifyDB should report ready': async (test) => {
+        let testFn = async (given) => { let result = await dal.verifyDB(given); return getResultSubset(result, ['ready', 'dbExists', 'allExist', 'notFound']); };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { username: 'aard', password: 'bob1' },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK"
-                },
+                given: { useCache: false },
+                expected: { ready: true, dbExists: true, allExist: true, notFound: Array(0) },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: {}, // Cached
+                expected: { ready: true, dbExists: true, allExist: true, notFound: Array(0) },
                 testFn: testFn,
                 assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.loginUser should login with correct email and pwd': async (test) => {
-        // We test against field subset because response usually includes a hash that changes on every login making comparisons impossible otherwise.
-        let testFn = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+    'api.getHealth and api.getReady should report OK': async (test) => {
+        let testFnHealth = async () => { let result = await api.getHealth(); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+        let testFnReady = async () => { let result = await api.getReady(); return { responseCode: result.responseCode, ready: result.response.ready, notFound: result.response.db.notFound }; };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { email: 'aard@smithers.com', password: 'bob1' },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK"
-                },
-                testFn: testFn,
+                given: null, // No arguments
+                expected: { responseCode: 200, responseStatus: "OK" },
+                testFn: testFnHealth,
+                assertFn: assertFn
+            },
+            {
+                given: null, // No arguments
+                expected: { responseCode: 200, ready: true, notFound: Array(0) },
+                testFn: testFnReady,
                 assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.loginUser should not login with incorrect email and correct pwd and return expected Object': async (test) => {
-        let testFn = api.loginUser;
+    'lifecycle.waitForIdle should wait for in-flight requests to finish, or time out': async (test) => {
+        // A separate lifecycle, so the running server isn't affected
+        let testFn = async ({ started, ended, timeoutMs }) => {
+            let lc = lifecycle.createLifecycle();
+            for (let i = 0; i < started; i++) {
+                lc.requestStarted();
+            }
+            let idle = lc.waitForIdle(timeoutMs);
+            for (let i = 0; i < ended; i++) {
+                setTimeout(lc.requestEnded, 5 * (i + 1));
+            }
+            return { drained: await idle, inFlight: lc.getInFlightCount() };
+        };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { email: 'banana', password: 'bob1' },
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": "Can't find that user"
-                },
+                given: { started: 0, ended: 0, timeoutMs: 1000 },
+                expected: { drained: true, inFlight: 0 },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { started: 2, ended: 2, timeoutMs: 1000 },
+                expected: { drained: true, inFlight: 0 },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { started: 2, ended: 1, timeoutMs: 50 }, // One request never finishes
+                expected: { drained: false, inFlight: 1 },
                 testFn: testFn,
                 assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.getUsers should return expected Object with expected rows': async (test) => {
-        // Using same test and assert fns throughout
-        let testFn = api.getUsers;
+    'lifecycle.shutdown should drain, then close the pool once': async (test) => {
+        // A separate lifecycle, with a stand-in server and pool, so the running server isn't affected
+        let testFn = async ({ started, ended, timeoutMs, poolCloses = true }) => {
+            let calls = { close: 0, closeAllConnections: 0, closePool: 0 };
+            let server = { close: () => calls.close++, closeIdleConnections: () => { }, closeAllConnections: () => calls.closeAllConnections++ };
+            let closePool = async () => { calls.closePool++; return poolCloses; };
+            let lc = lifecycle.createLifecycle();
+            for (let i = 0; i < started; i++) {
+                lc.requestStarted();
+            }
+            for (let i = 0; i < ended; i++) {
+                setTimeout(lc.requestEnded, 5 * (i + 1));
+            }
+            // As if SIGTERM then SIGINT arrived
+            let exitCodes = await Promise.all([lc.shutdown({ server, closePool, timeoutMs }), lc.shutdown({ server, closePool, timeoutMs })]);
+            return { exitCodes, draining: lc.isDraining(), inFlight: lc.getInFlightCount(), calls };
+        };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { startRow: 0, maxRows: 0 },
-                expected: { responseCode: 200, responseStatus: "OK", response: Array(0) },
+                given: { started: 2, ended: 2, timeoutMs: 1000 },
+                expected: { exitCodes: [0, 0], draining: true, inFlight: 0, calls: { close: 1, closeAllConnections: 0, closePool: 1 } },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { startRow: 1, maxRows: 2 },
-                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 2, username: "Babs" }, { id: 5, username: "ItsGigi" }] },
+                given: { started: 1, ended: 0, timeoutMs: 50 }, // Times out with a request in flight
+                expected: { exitCodes: [1, 1], draining: true, inFlight: 1, calls: { close: 1, closeAllConnections: 1, closePool: 1 } },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: {},
-                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 1, username: "aard" }, { id: 2, username: "Babs" }, { id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                given: { started: 0, ended: 0, timeoutMs: 1000, poolCloses: false },
+                expected: { exitCodes: [1, 1], draining: true, inFlight: 0, calls: { close: 1, closeAllConnections: 0, closePool: 1 } },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'rateLimit.checkRateLimits should limit hits over max per account': async (test) => {
+        let limiter = rateLimit.createRateLimiter({ name: 'test-account', keyBy: RateLimitKey.ACCOUNT, windowMs: 60 * 1000, max: 2 });
+        let testFn = async (given) => { let { retryAfterSeconds, ...limit } = await rateLimit.checkRateLimits([limiter], {}, given); return limit; }; // retryAfterSeconds depends on timing
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'aard' },
+                expected: { limited: false },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { startRow: 2, maxRows: 7 },
-                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                given: { username: 'AARD' }, // Same account, whatever the case
+                expected: { limited: false },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { undefined, maxRows: 2 },
-                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 1, username: "aard" }, { id: 2, username: "Babs" }] },
+                given: { username: 'aard' },
+                expected: { limited: true, name: 'test-account' },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { startRow: 2, undefined },
-                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                given: { email: 'aard@kebapi.example' }, // Different account
+                expected: { limited: false },
                 testFn: testFn,
                 assertFn: assertFn
-            }
-        ];
-
-        return await runTestCases(test, testCases);
-    },
-    /* TODO: This commented out test uses Object Destructuring and Property Shorthand, and might
-        * be a cleaner implemtation. However, refactoring it into a fn with a shorthand arg hasn't been
-        * possible so far. i.e. how to call:
-        *
-        * fn(arg1, arg2, {id, name})
-        *
-        * without the third arg, which is Property Shorthand, being interpreted as an object without
-        * values? Review.
-        * */
-    //'api.getUser should return expected fields': async (test) => {
-    //    let testCases = [
-    //        {
-    //            given: { id: 1 },
-    //            expected: { id: 1, username: "aard", name: "Bob" },
-    //            testFn: async (given) => {
-    //                let result;
-    //                let testResult = await api.getUser(given);
-    //                if (testResult && testResult.response && testResult.response[0]) {
-    //                    // Use only a subset of the returned fields for this test case
-    //                    result = (({ id, username, name }) => ({ id, username, name }))(testResult.response[0]); // This uses Object Destructuring and Property Shorthand
-    //                }
-    //                return result;
-    //            },
-    //            assertFn: assert.deepEqual
-    //        }
-    //    ];
-
-    //    return await runTestCases(test, testCases);
-    //},
-
-    'api.registerUser registering a user should return expected Object': async (test) => {
-        let testFn = api.registerUser;
-        let assertFn = assert.deepEqual;
-        let testCases = [
+            },
             {
-                given: {
-                    username: "minmin",
-                    name: "Mina",
-                    surname: "Shin",
-                    email: "shinminhwa@gmail.com",
-                    password: "mina1"
-                },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": {
-                        "result": 6,
-                        "msg": "User registered."
-                    }
-                },
+                given: {}, // No account, so not counted
+                expected: { limited: false },
                 testFn: testFn,
                 assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.deactivateUser deactivating a user should return expected Object': async (test) => {
-        let testFn = api.deactivateUser;
+    'router.buildArgs should only pass on the request headers an Action needs': async (test) => {
+        let routeTable = router.createRouteTable([{ method: 'GET', path: '/media/:id', params: { id: router.ParamType.ID }, action: api.getMedia, args: [router.ArgSource.HEADERS, router.ArgSource.PARAMS] }]);
+        let testFn = async (given) => router.buildArgs(router.matchRoute(routeTable, 'GET', '/media/1'), {}, {}, given);
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 6 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": true
-                },
+                given: { headers: { 'range': 'bytes=0-9', 'if-none-match': '"abc"', 'x-access-token': 'secret', 'cookie': 'session=secret', 'host': 'localhost' } },
+                expected: { 'range': 'bytes=0-9', 'if-none-match': '"abc"', id: '1' },
                 testFn: testFn,
                 assertFn: assertFn
-            }
-        ];
-
-        return await runTestCases(test, testCases);
-    },
-    'api.activateUser activating a user should return expected Object': async (test) => {
-        let testFn = api.activateUser;
-        let assertFn = assert.deepEqual;
-        let testCases = [
+            },
             {
-                given: { id: 6 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": true
-                },
+                given: { headers: { 'content-type': 'image/png', 'content-length': '10', 'if-modified-since': 'Sat, 10 Aug 2019 09:00:00 GMT', 'if-range': '"abc"', 'authorization': 'Bearer secret' } },
+                expected: { 'content-type': 'image/png', 'content-length': '10', 'if-modified-since': 'Sat, 10 Aug 2019 09:00:00 GMT', 'if-range': '"abc"', id: '1' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: {}, // No headers at all
+                expected: { id: '1' },
                 testFn: testFn,
                 assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.getUser existing user should return expected fields': async (test) => {
-        // Existing users will have response[0] in the response object. Do not include non-existing users with this test function.
-        let testFn = async (given) => { let result = await api.getUser(given); return getResultSubset(result.response[0], ['id', 'username', 'name']); };
+    'media.parseRange should parse single byte ranges and refuse unsatisfiable ones': async (test) => {
+        let testFn = async (given) => media.parseRange(given.range, given.size);
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1 },
-                expected: { id: 1, username: "aard", name: "Bob" },
+                given: { range: 'bytes=0-9', size: 100 },
+                expected: { satisfiable: true, start: 0, end: 9 },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 2 },
-                expected: { id: 2, username: "Babs", name: "Lucy" },
+                given: { range: 'bytes=90-', size: 100 }, // Open ended
+                expected: { satisfiable: true, start: 90, end: 99 },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 3 },
-                expected: { id: 3, username: "MeatyMan", name: "Percy" },
+                given: { range: 'bytes=50-500', size: 100 }, // End past the end of the file is clamped
+                expected: { satisfiable: true, start: 50, end: 99 },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 4 },
-                expected: { id: 4, username: "kAb0000B", name: "Farquhar" },
+                given: { range: 'bytes=-10', size: 100 }, // Suffix, i.e. the last 10 bytes
+                expected: { satisfiable: true, start: 90, end: 99 },
                 testFn: testFn,
                 assertFn: assertFn
-            }
-        ];
-
-        return await runTestCases(test, testCases);
-    },
-    'api.getUser non-existing user should return expected Object': async (test) => {
-        let testFn = api.getUser;
-        let assertFn = assert.deepEqual;
-        let testCases = [
+            },
             {
-                given: { id: 7742 },
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": []
-                },
+                given: { range: 'bytes=-500', size: 100 }, // Suffix longer than the file is the whole file
+                expected: { satisfiable: true, start: 0, end: 99 },
                 testFn: testFn,
                 assertFn: assertFn
-            }
-        ];
-
-        return await runTestCases(test, testCases);
-    },
-    'api.GetUserFavourites should return expected Object with expected rows': async (test) => {
-        let testFn = api.getUserFavourites;
-        let assertFn = assert.deepEqual;
-        let testCases = [
+            },
             {
-                given: { id: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
-                },
+                given: { range: 'bytes=-0', size: 100 },
+                expected: { satisfiable: false },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 2 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
-                },
+                given: { range: 'bytes=100-', size: 100 }, // Starts past the end of the file
+                expected: { satisfiable: false },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 3 },
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": []
-                },
+                given: { range: 'bytes=20-10', size: 100 },
+                expected: { satisfiable: false },
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 4 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 6,
-                            "name": "Bodrum Conundrum"
-                        }
-                    ]
-                },
+                given: { range: 'bytes=0-9,20-29', size: 100 }, // Multiple ranges aren't supported, so ignored
+                expected: undefined,
                 testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 77 },
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": []
-                },
+                given: { range: 'items=0-9', size: 100 },
+                expected: undefined,
                 testFn: testFn,
                 assertFn: assertFn
-            }
-        ];
-
-        return await runTestCases(test, testCases);
-    },
-    'api.addUserFavourite/api.getUserFavourites adding new favourite should result in added favourite': async (test) => {
-        let testFnSet = api.addUserFavourite;
-        let testFnGet = api.getUserFavourites;
+            },
+            {
+                given: { range: 'bytes=-', size: 100 },
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { range: undefined, size: 100 },
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'media.resolveMediaPath should refuse paths outside the media root': async (test) => {
+        // Returns the error code thrown, if any
+        let testFn = async (given) => { try { media.resolveMediaPath(given); return undefined; } catch (err) { return err.code; } };
+        let assertFn = assert.equal;
+        let testCases = [
+            {
+                given: 'image1.jpg',
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'uploads\\image1.jpg', // Either separator
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: '../config.js',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'uploads/../../config.js',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: '..\\..\\config.js',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: '/etc/passwd',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'C:\\Windows\\win.ini',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: '',
+                expected: 'KE160',
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'multipart.parseMultipart should stream files and fields, and refuse malformed or oversized bodies': async (test) => {
+        const boundary = 'kebab-boundary';
+        let body = getMultipartBody(boundary, [
+            { name: 'caption', value: 'Grill' },
+            { name: 'file', filename: 'grill.png', contentType: 'image/png', value: `PNG\r\n--kebab-boundar${boundary}` } // Nearly a delimiter
+        ]);
+        // Returns what was parsed, or the error code if parsing failed
+        let testFn = async ({ chunks, maxBytes }) => {
+            let parsed = { fields: {}, files: {} };
+            try {
+                await multipart.parseMultipart(Readable.from(chunks), boundary, {
+                    maxBytes,
+                    onField: (name, value) => { parsed.fields[name] = value; },
+                    onFile: ({ name, filename, contentType }) => {
+                        let data = [];
+                        parsed.files[name] = { filename, contentType };
+                        return new Writable({ write: (chunk, encoding, done) => { data.push(chunk); parsed.files[name].data = Buffer.concat(data).toString(); done(); } });
+                    }
+                });
+            } catch (err) {
+                return { error: err.code };
+            }
+            return parsed;
+        };
         let assertFn = assert.deepEqual;
+        let expected = { fields: { caption: 'Grill' }, files: { file: { filename: 'grill.png', contentType: 'image/png', data: `PNG\r\n--kebab-boundar${boundary}` } } };
         let testCases = [
             {
-                given: { id: 1, venueId: 1 },
+                given: { chunks: [body] },
+                expected: expected,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [...body].map(byte => Buffer.from([byte])) }, // Every delimiter split across chunks
+                expected: expected,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [Buffer.from('Preamble to ignore\r\n'), body, Buffer.from('Epilogue to ignore')] },
+                expected: expected,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [body.slice(0, body.length - 10)] }, // Truncated before the closing boundary
+                expected: { error: 'KE170' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [getMultipartBody(boundary, [{ value: 'Nameless' }])] },
+                expected: { error: 'KE170' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [Buffer.from(`--${boundary}Not a CRLF`)] },
+                expected: { error: 'KE170' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [body], maxBytes: body.length - 1 },
+                expected: { error: 'KE171' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { chunks: [getMultipartBody(boundary, [{ name: 'caption', value: 'x'.repeat(64 * 1024 + 1) }])] }, // Over the field size limit
+                expected: { error: 'KE171' },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'media.getContentTypeFromBytes should identify files by their leading bytes': async (test) => {
+        let testFn = async (given) => media.getContentTypeFromBytes(Buffer.from(given));
+        let assertFn = assert.equal;
+        let testCases = [
+            {
+                given: [0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10],
+                expected: 'image/jpeg',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00],
+                expected: 'image/png',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'GIF89a...',
+                expected: 'image/gif',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'RIFF\u0000\u0001\u0002\u0003WEBPVP8 ',
+                expected: 'image/webp',
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 'RIFF\u0000\u0001\u0002\u0003WAVEfmt ', // RIFF, but audio
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: [0x89, 0x50, 0x4E], // Too short to tell
+                expected: undefined,
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'rateLimit.checkRateLimits should limit hits over max per IP': async (test) => {
+        let limiter = rateLimit.createRateLimiter({ name: 'test-ip', keyBy: RateLimitKey.IP, windowMs: 60 * 1000, max: 2 });
+        let testFn = async (given) => { let { retryAfterSeconds, ...limit } = await rateLimit.checkRateLimits([limiter], given, {}); return limit; }; // retryAfterSeconds depends on timing
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { socket: { remoteAddress: '203.0.113.1' } },
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { socket: { remoteAddress: '203.0.113.1' }, headers: { 'x-forwarded-for': '198.51.100.7' } }, // Not behind a proxy, so ignored
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { socket: { remoteAddress: '203.0.113.1' } },
+                expected: { limited: true, name: 'test-ip' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { socket: { remoteAddress: '203.0.113.2' } }, // Different IP
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'rateLimit.recordSuccess should only count failures, per IP and account': async (test) => {
+        let limiter = rateLimit.createRateLimiter({ name: 'test-ip-account', keyBy: RateLimitKey.IP_ACCOUNT, windowMs: 60 * 1000, max: 2, failuresOnly: true });
+        const attacker = { socket: { remoteAddress: '203.0.113.1' } };
+        const victim = { socket: { remoteAddress: '203.0.113.2' } };
+        // Checks whether a request is limited, then refunds it if it would have succeeded
+        let testFn = async ({ req, args, fails }) => {
+            let { retryAfterSeconds, ...limit } = await rateLimit.checkRateLimits([limiter], req, args);
+            if (!limit.limited && !fails) {
+                await rateLimit.recordSuccess([limiter], req, args);
+            }
+            return limit;
+        };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { req: victim, args: { username: 'aard' }, fails: false }, // Successful logins never count
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: victim, args: { username: 'aard' }, fails: false },
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: victim, args: { username: 'aard' }, fails: false },
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: attacker, args: { username: 'aard' }, fails: true },
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: attacker, args: { username: 'AARD' }, fails: true }, // Same account, whatever the case
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: attacker, args: { username: 'aard' }, fails: true },
+                expected: { limited: true, name: 'test-ip-account' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: victim, args: { username: 'aard' }, fails: false }, // The attacker hasn't locked the account's owner out
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { req: attacker, args: {}, fails: true }, // No account, so not counted
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'rateLimit.checkRateLimits should limit concurrent failing logins as they start': async (test) => {
+        let limiter = rateLimit.createRateLimiter({ name: 'test-login', keyBy: RateLimitKey.IP_ACCOUNT, windowMs: 60 * 1000, max: 2, failuresOnly: true });
+        const req = { socket: { remoteAddress: '203.0.113.9' } };
+        // As the server does: check the limits, log in, then refund the login if it succeeded
+        let logIn = async (args) => {
+            let limit = await rateLimit.checkRateLimits([limiter], req, args);
+            if (limit.limited) {
+                return 429;
+            }
+            let result = await api.loginUser(args);
+            if (result.responseCode < 400) {
+                await rateLimit.recordSuccess([limiter], req, args);
+            }
+            return result.responseCode;
+        };
+        // Logs in given times, at once unless inTurn, and counts the response codes
+        let testFn = async ({ times, args, inTurn = false }) => {
+            let codes = [];
+            if (inTurn) {
+                for (let i = 0; i < times; i++) {
+                    codes.push(await logIn(args));
+                }
+            } else {
+                codes = await Promise.all(Array.from({ length: times }, () => logIn(args)));
+            }
+            return codes.reduce((counts, code) => ({ ...counts, [code]: (counts[code] || 0) + 1 }), {});
+        };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                // Successful logins are refunded, however many there are
+                given: { times: 3, args: { username: 'aard', password: 'bob1' }, inTurn: true },
+                expected: { 200: 3 },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // Only max get as far as checking the password, rather than all of them before the first fails
+                given: { times: 5, args: { username: 'aard', password: 'wrong-password' } },
+                expected: { 401: 2, 429: 3 },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { times: 1, args: { username: 'aard', password: 'bob1' } },
+                expected: { 429: 1 },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        return await runTestCases(test, testCases);
+    },
+    'rateLimit.setAccountResolver should count an account once, whether named by username or email': async (test) => {
+        let limiter = rateLimit.createRateLimiter({ name: 'test-account', keyBy: RateLimitKey.ACCOUNT, windowMs: 60 * 1000, max: 2 });
+        let previousResolver = rateLimit.setAccountResolver(async ({ username, email }) => username === 'aard' || email === 'aard@smithers.com' ? 1 : undefined);
+        let testFn = async (given) => { let { retryAfterSeconds, ...limit } = await rateLimit.checkRateLimits([limiter], {}, given); return limit; }; // retryAfterSeconds depends on timing
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'aard' },
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { email: 'aard@smithers.com' }, // aard again
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { username: 'aard' },
+                expected: { limited: true, name: 'test-account' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { username: 'nobody' }, // No such account, so counted by name
+                expected: { limited: false },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+        try {
+            return await runTestCases(test, testCases);
+        } finally {
+            rateLimit.setAccountResolver(previousResolver);
+        }
+    },
+    'api.loginUser should login with correct username and pwd': async (test) => {
+        // We test against field subset because response usually includes a hash that changes on every login making comparisons impossible otherwise.
+        let testFn = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'aard', password: 'bob1' },
                 expected: {
                     "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": 7
+                    "responseStatus": "OK"
                 },
-                testFn: testFnSet,
+                testFn: testFn,
                 assertFn: assertFn
-            },
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.loginUser should login with correct email and pwd': async (test) => {
+        // We test against field subset because response usually includes a hash that changes on every login making comparisons impossible otherwise.
+        let testFn = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
             {
-                given: { id: 1 },
+                given: { email: 'aard@smithers.com', password: 'bob1' },
                 expected: {
                     "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
+                    "responseStatus": "OK"
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.loginUser should not login with incorrect email and correct pwd and return expected Object': async (test) => {
+        let testFn = api.loginUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { email: 'banana', password: 'bob1' },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": "Can't find that user"
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.loginUser should not login an inactive user and return expected Object': async (test) => {
+        let testFn = api.loginUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'ItsGigi', password: 'gigi1' },
+                expected: {
+                    "responseCode": 403,
+                    "responseStatus": "Forbidden",
+                    "response": "That account has been deactivated"
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // Wrong password shouldn't reveal the account is inactive
+                given: { username: 'ItsGigi', password: 'bob1' },
+                expected: {
+                    "responseCode": 401,
+                    "responseStatus": "Unauthorised",
+                    "response": "Those user credentials weren't right"
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getUsers should return expected Object with expected rows': async (test) => {
+        // Using same test and assert fns throughout
+        let testFn = withoutPaging(api.getUsers);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { startRow: 0, maxRows: 0 },
+                expected: { responseCode: 200, responseStatus: "OK", response: Array(0) },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 1, maxRows: 2 },
+                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 2, username: "Babs" }, { id: 5, username: "ItsGigi" }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: {},
+                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 1, username: "aard" }, { id: 2, username: "Babs" }, { id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 2, maxRows: 7 },
+                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { undefined, maxRows: 2 },
+                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 1, username: "aard" }, { id: 2, username: "Babs" }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 2, undefined },
+                expected: { responseCode: 200, responseStatus: "OK", response: [{ id: 5, username: "ItsGigi" }, { id: 4, username: "kAb0000B" }, { id: 3, username: "MeatyMan" }] },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    /* TODO: This commented out test uses Object Destructuring and Property Shorthand, and might
+        * be a cleaner implemtation. However, refactoring it into a fn with a shorthand arg hasn't been
+        * possible so far. i.e. how to call:
+        *
+        * fn(arg1, arg2, {id, name})
+        *
+        * without the third arg, which is Property Shorthand, being interpreted as an object without
+        * values? Review.
+        * */
+    //'api.getUser should return expected fields': async (test) => {
+    //    let testCases = [
+    //        {
+    //            given: { id: 1 },
+    //            expected: { id: 1, username: "aard", name: "Bob" },
+    //            testFn: async (given) => {
+    //                let result;
+    //                let testResult = await api.getUser(given);
+    //                if (testResult && testResult.response && testResult.response[0]) {
+    //                    // Use only a subset of the returned fields for this test case
+    //                    result = (({ id, username, name }) => ({ id, username, name }))(testResult.response[0]); // This uses Object Destructuring and Property Shorthand
+    //                }
+    //                return result;
+    //            },
+    //            assertFn: assert.deepEqual
+    //        }
+    //    ];
+
+    //    return await runTestCases(test, testCases);
+    //},
+
+    'api.registerUser registering a user should return expected Object': async (test) => {
+        let testFn = api.registerUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: {
+                    username: "minmin",
+                    name: "Mina",
+                    surname: "Shin",
+                    email: "shinminhwa@gmail.com",
+                    password: "minapass1"
+                },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": {
+                        "result": 6,
+                        "msg": "User registered. Follow the link mailed to you to verify your email."
+                    }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.deactivateUser deactivating a user should return expected Object': async (test) => {
+        let testFn = api.deactivateUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 6 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": true
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.loginUser/dal.getUserAuthState deactivated user should be rejected at login and on requests': async (test) => {
+        let testFnLogin = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'response']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'minmin', password: 'minapass1' },
+                expected: { responseCode: 403, response: "That account has been deactivated" },
+                testFn: testFnLogin,
+                assertFn: assertFn
+            },
+            {
+                // The server checks this for every token it receives
+                given: 6,
+                expected: { account_status_id: dal.UserAccountStatus.INACTIVE },
+                testFn: async (given) => getResultSubset(await dal.getUserAuthState(given), ['account_status_id']),
+                assertFn: assertFn
+            },
+            {
+                given: 7742, // Non-existing user
+                expected: undefined,
+                testFn: dal.getUserAuthState,
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: false,
+                testFn: dal.isUserActive,
+                assertFn: assertFn
+            },
+            {
+                given: 1,
+                expected: true,
+                testFn: dal.isUserActive,
+                assertFn: assertFn
+            },
+            {
+                given: 7742, // Non-existing user
+                expected: false,
+                testFn: dal.isUserActive,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.activateUser activating a user should return expected Object': async (test) => {
+        let testFn = api.activateUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 6 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": true
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.loginUser/dal.isUserActive reactivated user should be accepted again': async (test) => {
+        let testFnLogin = async (given) => { let result = await api.loginUser(given); return getResultSubset(result, ['responseCode', 'responseStatus']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: 'minmin', password: 'minapass1' },
+                expected: { responseCode: 200, responseStatus: "OK" },
+                testFn: testFnLogin,
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: true,
+                testFn: dal.isUserActive,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.updateUser/api.getUser updating a user should result in updated fields': async (test) => {
+        let testFnSet = api.updateUser;
+        let testFnGet = async (given) => { let result = await api.getUser(given); return getResultSubset(result.response[0], ['id', 'username', 'name', 'surname', 'email']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 6, name: "Minhwa", email: "minhwa@shin.kr" },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": {
+                        "result": true,
+                        "msg": "User updated."
+                    }
                 },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: { id: 6, username: "minmin", name: "Minhwa", surname: "Shin", email: "minhwa@shin.kr" },
                 testFn: testFnGet,
                 assertFn: assertFn
+            },
+            {
+                // Keeping own username is not a clash
+                given: { id: 6, username: "minmin" },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": {
+                        "result": true,
+                        "msg": "User updated."
+                    }
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.updateUser invalid or clashing fields should return expected Object': async (test) => {
+        let testFn = api.updateUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 6, username: "aard" },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": { "result": undefined, "msg": "Username already registered." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, email: "babs@matthews.co.uk" },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": { "result": undefined, "msg": "Email already registered." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, email: "not-an-email" },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": { "result": undefined, "msg": "Field 'email' must be an email address." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, surname: " " },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": { "result": undefined, "msg": "Field 'surname' must be a non-empty string." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": { "result": undefined, "msg": "Nothing to update. Supply one or more of: username, name, surname, email." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, name: "Nobody" },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": { "result": undefined, "msg": "Can't find that user." }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.changeUserPassword should need the current password, except for admins, and refuse older tokens': async (test) => {
+        // A token from before the password changes, and the one changing it returns
+        let tokens = { old: (await api.loginUser({ username: "minmin", password: "minapass1" })).response.token };
+        let testFnChange = async (given) => {
+            let result = await api.changeUserPassword(given);
+            tokens.new = result.response.token;
+            // New tokens vary, so just check there is one
+            return { responseCode: result.responseCode, msg: result.response.msg, hasToken: typeof result.response.token === 'string' };
+        };
+        let testFnLogin = async (given) => { let result = await api.loginUser(given); return result.responseCode; };
+        let testFnRequest = async (given) => getResultSubset(await sendRequest(given.path, tokens[given.token]), ['responseCode', 'response']);
+        let testFnRequestCode = async (given) => (await sendRequest(given.path, tokens[given.token])).responseCode;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { path: '/users/6', token: 'old' },
+                expected: 200,
+                testFn: testFnRequestCode,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, current_password: "wrong1", new_password: "minhwa-pass", requesterId: 6 },
+                expected: { responseCode: 401, response: { result: false, msg: "That current password isn't right." } },
+                testFn: subsetOf(api.changeUserPassword),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, new_password: "minhwa-pass", requesterId: 6 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing required field(s): current_password." } },
+                testFn: subsetOf(api.changeUserPassword),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, current_password: "minapass1", new_password: "short", requesterId: 6 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'new_password' must be a string of 8 to 72 characters." } },
+                testFn: subsetOf(api.changeUserPassword),
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: 0,
+                testFn: dal.getUserTokenVersion,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, current_password: "minapass1", new_password: "minhwa-pass", requesterId: 6 },
+                expected: { responseCode: 200, msg: "Password changed. Log in again on any other devices.", hasToken: true },
+                testFn: testFnChange,
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: 1,
+                testFn: dal.getUserTokenVersion,
+                assertFn: assertFn
+            },
+            {
+                // The server refuses tokens of an older version
+                given: { path: '/users/6', token: 'old' },
+                expected: { responseCode: 401, response: "Your password has changed. Please log in again." },
+                testFn: testFnRequest,
+                assertFn: assertFn
+            },
+            {
+                given: { path: '/users/6', token: 'new' },
+                expected: 200,
+                testFn: testFnRequestCode,
+                assertFn: assertFn
+            },
+            {
+                given: { username: "minmin", password: "minapass1" },
+                expected: 401,
+                testFn: testFnLogin,
+                assertFn: assertFn
+            },
+            {
+                given: { username: "minmin", password: "minhwa-pass" },
+                expected: 200,
+                testFn: testFnLogin,
+                assertFn: assertFn
+            },
+            {
+                // An admin doesn't need the user's current password
+                given: { id: 6, new_password: "minhwa-admin", requesterId: 1 },
+                expected: { responseCode: 200, msg: "Password changed. The user will need to log in again.", hasToken: false },
+                testFn: testFnChange,
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: 2,
+                testFn: dal.getUserTokenVersion,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, new_password: "minhwa-pass", requesterId: 1 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that user." } },
+                testFn: subsetOf(api.changeUserPassword),
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.requestPasswordReset/api.resetPassword should reset a password with a mailed, single-use token': async (test) => {
+        let sent = [];
+        let getMailedToken = () => sent.length > 0 ? sent[sent.length - 1].text.match(/^[0-9a-f]{64}$/m)[0] : undefined;
+        let testFnResetWithMailedToken = async (given) => subsetOf(api.resetPassword)({ ...given, token: getMailedToken() });
+        let testFnLogin = async (given) => { let result = await api.loginUser(given); return result.responseCode; };
+        let requested = { responseCode: 200, response: { result: true, msg: "If that email is registered, a password reset token has been sent to it." } };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                // Same response as a registered email
+                given: { email: "nobody@example.com" },
+                expected: requested,
+                testFn: subsetOf(api.requestPasswordReset),
+                assertFn: assertFn
+            },
+            {
+                // Inactive users aren't sent a token
+                given: { email: "gigi@gmail.com" },
+                expected: requested,
+                testFn: subsetOf(api.requestPasswordReset),
+                assertFn: assertFn
+            },
+            {
+                given: null,
+                expected: 0,
+                testFn: async () => sent.length,
+                assertFn: assertFn
+            },
+            {
+                given: { email: "not-an-email" },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'email' must be an email address." } },
+                testFn: subsetOf(api.requestPasswordReset),
+                assertFn: assertFn
+            },
+            {
+                given: { email: "minhwa@shin.kr" },
+                expected: requested,
+                testFn: subsetOf(api.requestPasswordReset),
+                assertFn: assertFn
+            },
+            {
+                given: null,
+                expected: [{ to: "minhwa@shin.kr", subject: "Reset your kebapi password" }],
+                testFn: async () => sent.map(m => getResultSubset(m, ['to', 'subject'])),
+                assertFn: assertFn
+            },
+            {
+                given: { token: "0123456789abcdef", new_password: "minhwa-reset" },
+                expected: { responseCode: 400, response: { result: false, msg: "That reset token isn't valid. It may have expired or already been used." } },
+                testFn: subsetOf(api.resetPassword),
+                assertFn: assertFn
+            },
+            {
+                given: { new_password: "short" },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'new_password' must be a string of 8 to 72 characters." } },
+                testFn: testFnResetWithMailedToken,
+                assertFn: assertFn
+            },
+            {
+                given: { new_password: "minhwa-reset" },
+                expected: { responseCode: 200, response: { result: true, msg: "Password reset. Log in with your new password." } },
+                testFn: testFnResetWithMailedToken,
+                assertFn: assertFn
+            },
+            {
+                // Single use
+                given: { new_password: "minhwa-again" },
+                expected: { responseCode: 400, response: { result: false, msg: "That reset token isn't valid. It may have expired or already been used." } },
+                testFn: testFnResetWithMailedToken,
+                assertFn: assertFn
+            },
+            {
+                // Tokens issued before the reset are refused
+                given: 6,
+                expected: 3,
+                testFn: dal.getUserTokenVersion,
+                assertFn: assertFn
+            },
+            {
+                given: { username: "minmin", password: "minhwa-reset" },
+                expected: 200,
+                testFn: testFnLogin,
+                assertFn: assertFn
+            }
+        ];
+
+        return await withCapturedMail(sent, () => runTestCases(test, testCases));
+    },
+    'api.resendEmailVerification/api.verifyEmail should verify the email of a new user with a mailed link': async (test) => {
+        let sent = [];
+        let getMailedToken = (index) => decodeURIComponent(sent[index].text.match(/[?&]token=(\S+)/)[1]);
+        let testFnVerifyMailed = async (index) => subsetOf(api.verifyEmail)({ token: getMailedToken(index) });
+        let verified = { responseCode: 200, response: { result: true, msg: "Email verified." } };
+        // Sends a request to the server as minmin, with a token of the current version. Only refusals are checked in full.
+        let testFnRequest = async (path) => {
+            let result = await sendRequest(path, (await api.getToken({ id: 6 })).response);
+            return result.responseCode === 200 ? { responseCode: 200 } : getResultSubset(result, ['responseCode', 'response']);
+        };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { username: "nobody", name: "No", surname: "Body", email: "not-an-email", password: "nobody-pass" },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'email' must be an email address." } },
+                testFn: subsetOf(api.registerUser),
+                assertFn: assertFn
+            },
+            {
+                given: { username: "nobody", name: "No", surname: "Body", email: "nobody@example.com", password: "nobody1" },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'password' must be a string of 8 to 72 characters." } },
+                testFn: subsetOf(api.registerUser),
+                assertFn: assertFn
+            },
+            {
+                // Only 30 characters, but 90 bytes, and bcrypt would quietly ignore the rest
+                given: { username: "nobody", name: "No", surname: "Body", email: "nobody@example.com", password: "ケバブ".repeat(10) },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'password' must be a string of 8 to 72 characters." } },
+                testFn: subsetOf(api.registerUser),
+                assertFn: assertFn
+            },
+            {
+                given: { username: "nobody", name: "No", email: "nobody@example.com" },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing required field(s): surname, password." } },
+                testFn: subsetOf(api.registerUser),
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: false,
+                testFn: dal.isUserEmailVerified,
+                assertFn: assertFn
+            },
+            {
+                // The server only lets unverified users use Actions that allow them, e.g. to manage their account
+                given: '/users/6',
+                expected: { responseCode: 200 },
+                testFn: testFnRequest,
+                assertFn: assertFn
+            },
+            {
+                given: '/users/6/recommendations?maxRows=1',
+                expected: { responseCode: 403, response: "Please verify your email address first. Follow the link we mailed you, or ask for another." },
+                testFn: testFnRequest,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: { responseCode: 200, response: { result: true, msg: "Verification link sent. Follow it to verify your email." } },
+                testFn: subsetOf(api.resendEmailVerification),
+                assertFn: assertFn
+            },
+            {
+                given: null,
+                expected: [{ to: "minhwa@shin.kr", subject: "Verify your kebapi email" }],
+                testFn: async () => sent.map(m => getResultSubset(m, ['to', 'subject'])),
+                assertFn: assertFn
+            },
+            {
+                given: { token: "not-a-token" },
+                expected: { responseCode: 400, response: { result: false, msg: "That verification link isn't valid." } },
+                testFn: subsetOf(api.verifyEmail),
+                assertFn: assertFn
+            },
+            {
+                // Login tokens are signed with another key, so can't verify an email
+                given: { id: 6 },
+                expected: { responseCode: 400, response: { result: false, msg: "That verification link isn't valid." } },
+                testFn: async (given) => subsetOf(api.verifyEmail)({ token: (await api.getToken(given)).response }),
+                assertFn: assertFn
+            },
+            {
+                // Changing the email unverifies it, and mails a link to the new one
+                given: { id: 6, email: "mina@shin.kr" },
+                expected: { responseCode: 200, response: { result: true, msg: "User updated." } },
+                testFn: subsetOf(api.updateUser),
+                assertFn: assertFn
+            },
+            {
+                given: null,
+                expected: ["minhwa@shin.kr", "mina@shin.kr"],
+                testFn: async () => sent.map(m => m.to),
+                assertFn: assertFn
+            },
+            {
+                given: 0, // Link to the old email
+                expected: { responseCode: 400, response: { result: false, msg: "That verification link is for an email you no longer use." } },
+                testFn: testFnVerifyMailed,
+                assertFn: assertFn
+            },
+            {
+                given: 1,
+                expected: verified,
+                testFn: testFnVerifyMailed,
+                assertFn: assertFn
+            },
+            {
+                // Following a link again is harmless
+                given: 1,
+                expected: verified,
+                testFn: testFnVerifyMailed,
+                assertFn: assertFn
+            },
+            {
+                given: 6,
+                expected: true,
+                testFn: dal.isUserEmailVerified,
+                assertFn: assertFn
+            },
+            {
+                given: '/users/6/recommendations?maxRows=1',
+                expected: { responseCode: 200 },
+                testFn: testFnRequest,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: { responseCode: 400, response: { result: false, msg: "That email is already verified." } },
+                testFn: subsetOf(api.resendEmailVerification),
+                assertFn: assertFn
+            },
+            {
+                // Keeping the same email keeps it verified
+                given: { id: 6, email: "mina@shin.kr" },
+                expected: true,
+                testFn: async (given) => { await api.updateUser(given); return dal.isUserEmailVerified(given.id); },
+                assertFn: assertFn
+            }
+        ];
+
+        return await withCapturedMail(sent, () => runTestCases(test, testCases));
+    },
+    'api.getUser existing user should return expected fields': async (test) => {
+        // Existing users will have response[0] in the response object. Do not include non-existing users with this test function.
+        let testFn = async (given) => { let result = await api.getUser(given); return getResultSubset(result.response[0], ['id', 'username', 'name']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1 },
+                expected: { id: 1, username: "aard", name: "Bob" },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: { id: 2, username: "Babs", name: "Lucy" },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 3 },
+                expected: { id: 3, username: "MeatyMan", name: "Percy" },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4 },
+                expected: { id: 4, username: "kAb0000B", name: "Farquhar" },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'projection.applyProjection should only leave user fields the role may see': async (test) => {
+        let testFnGetUser = async (role) => { let result = await api.getUser({ id: 2 }); return projection.applyProjection(result, api.getUser.projection, role).response; };
+        let testFnLogin = async (given) => { let result = await api.loginUser(given); return Object.keys(projection.applyProjection(result, api.loginUser.projection, Role.EVERYONE).response.user); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: Role.USER,
+                expected: [{ id: 2, username: "Babs", name: "Lucy", surname: "Matthews", email: "babs@matthews.co.uk", email_verified_at: new Date('2019-08-10T09:00:00Z') }],
+                testFn: testFnGetUser,
+                assertFn: assertFn
+            },
+            {
+                given: Role.ADMIN,
+                expected: [{ id: 2, username: "Babs", name: "Lucy", surname: "Matthews", email: "babs@matthews.co.uk", email_verified_at: new Date('2019-08-10T09:00:00Z'), role_id: Role.USER, account_status_id: 1 }],
+                testFn: testFnGetUser,
+                assertFn: assertFn
+            },
+            {
+                given: Role.EVERYONE, // No fields declared for everyone
+                expected: [{}],
+                testFn: testFnGetUser,
+                assertFn: assertFn
+            },
+            {
+                given: { username: 'Babs', password: 'lucy1' },
+                expected: ['id', 'username', 'name', 'surname', 'email', 'email_verified_at'],
+                testFn: testFnLogin,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'logger.toLogString should hide tokens and passwords': async (test) => {
+        let testFn = async (given) => JSON.parse(logger.toLogString(given));
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { responseCode: 200, response: { token: 'eyJhbGciOiJIUzI1NiJ9.e30.secret', user: { id: 2, username: 'Babs' } } },
+                expected: { responseCode: 200, response: { token: '[redacted]', user: { id: 2, username: 'Babs' } } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, current_password: 'minapass1', new_password: 'minhwa-pass' },
+                expected: { id: 6, current_password: '[redacted]', new_password: '[redacted]' },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: [{ username: 'Babs', password: 'lucy1' }],
+                expected: [{ username: 'Babs', password: '[redacted]' }],
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // Fields that aren't there stay out
+                given: { responseCode: 200, response: { result: true, token: undefined } },
+                expected: { responseCode: 200, response: { result: true } },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getUser non-existing user should return expected Object': async (test) => {
+        let testFn = api.getUser;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 7742 },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": []
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.GetUserFavourites should return expected Object with expected rows': async (test) => {
+        let testFn = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 3 },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": []
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 6,
+                            "name": "Bodrum Conundrum"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 77 },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": []
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addUserFavourite/api.getUserFavourites adding new favourite should result in added favourite': async (test) => {
+        let testFnSet = api.addUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": 7
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addUserFavourite/api.getUserFavourites adding existing favourite should result in unchanged favourites': async (test) => {
+        let testFnSet = api.addUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": 0
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addUserFavourite/api.getUserFavourites adding second new favourite should result in added favourite': async (test) => {
+        let testFnSet = api.addUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 2 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": 9
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.removeUserFavourite/api.getUserFavourites removing a favourite should result in removed favourite': async (test) => {
+        let testFnSet = api.removeUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 2 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": true
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.removeUserFavourite/api.getUserFavourites removing an already removed favourite should result in no change in favourites': async (test) => {
+        let testFnSet = api.removeUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 2 },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": false
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.removeUserFavourite/api.getUserFavourites removing a second favourite should result in removed favourite': async (test) => {
+        let testFnSet = api.removeUserFavourite;
+        let testFnGet = withoutPaging(api.getUserFavourites);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": true
+                },
+                testFn: testFnSet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 5,
+                            "name": "The Dirty One"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie"
+                        }
+                    ]
+                },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.removeUserFavourite removing a non-existing favourite should return expected Object': async (test) => {
+        let testFn = api.removeUserFavourite;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1, venueId: 27 },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": false
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.removeUserFavourite removing a favourite from non-existing user should return expected Object': async (test) => {
+        let testFn = api.removeUserFavourite;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 444, venueId: 1 },
+                expected: {
+                    "responseCode": 400,
+                    "responseStatus": "Bad Request",
+                    "response": false
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getUserCollections should return collections, favourites first': async (test) => {
+        let testFn = async (given) => { let result = await api.getUserCollections(given); return { responseCode: result.responseCode, collections: result.response.map(c => getResultSubset(c, ['id', 'name', 'is_default', 'is_public', 'venue_count', 'share_path'])) }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 2 },
+                expected: {
+                    responseCode: 200,
+                    collections: [
+                        { id: 2, name: 'Favourites', is_default: true, is_public: false, venue_count: 3, share_path: '/collections/shared/7f4e21a9b3c84d0f9e6a2c5b8d1f3e07' },
+                        { id: 4, name: 'Date spots', is_default: false, is_public: true, venue_count: 0, share_path: '/collections/shared/6b656261622d646174652d73706f7473' }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 3 }, // No favourites yet, so no default collection either
+                expected: { responseCode: 404, collections: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getSharedCollection should only return public collections': async (test) => {
+        let testFn = async (given) => { let result = await api.getSharedCollection(given); return { responseCode: result.responseCode, collections: result.response.map(c => getResultSubset(c, ['id', 'name', 'owner', 'venue_count'])) }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { shareToken: '6b656261622d646174652d73706f7473' },
+                expected: { responseCode: 200, collections: [{ id: 4, name: 'Date spots', owner: 'Babs', venue_count: 0 }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { shareToken: '0c2d3e8bd2a14cd4a1ba5ab1e6e1d8f1' }, // aard's favourites, which are private
+                expected: { responseCode: 404, collections: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { shareToken: 'nope' },
+                expected: { responseCode: 404, collections: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getUserRecommendations should rank venues by favourite co-occurrence, then rating and nearness': async (test) => {
+        let testFn = async (given) => {
+            let result = await api.getUserRecommendations(given);
+            return { responseCode: result.responseCode, venues: result.response.map(v => getResultSubset(v, ['id', 'score'])) };
+        };
+        let testFnPaging = async (given) => { let result = await api.getUserRecommendations(given); return result.paging; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                // aard and Babs both favourite The Rotisserie, so Babs' other favourites come first
+                given: { id: 1, maxRows: 3 },
+                expected: {
+                    responseCode: 200,
+                    venues: [
+                        { id: 3, score: 1.32 },
+                        { id: 2, score: 1.24 },
+                        { id: 10, score: 0.4 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // aard doesn't share their favourites, so The Dirty One gets nothing from them for Babs
+                given: { id: 2, maxRows: 3 },
+                expected: {
+                    responseCode: 200,
+                    venues: [
+                        { id: 5, score: 0.4 },
+                        { id: 10, score: 0.4 },
+                        { id: 1, score: 0.32 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // A new user, with no favourites, gets the top rated
+                given: { id: 6, maxRows: 3 },
+                expected: {
+                    responseCode: 200,
+                    venues: [
+                        { id: 5, score: 0.4 },
+                        { id: 10, score: 0.4 },
+                        { id: 1, score: 0.32 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // Korner Kebab is the only venue within 50km, which makes up for its rating
+                given: { id: 6, lat: 3, lng: 1, radius: 50000, maxRows: 3 },
+                expected: {
+                    responseCode: 200,
+                    venues: [
+                        { id: 7, score: 0.58 },
+                        { id: 5, score: 0.4 },
+                        { id: 10, score: 0.4 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // Turku Kebabi is top rated and right there, but still comes after what Babs favourites
+                given: { id: 1, lat: 5, lng: 7, radius: 50000, maxRows: 3 },
+                expected: {
+                    responseCode: 200,
+                    venues: [
+                        { id: 3, score: 1.32 },
+                        { id: 2, score: 1.24 },
+                        { id: 10, score: 0.9 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                // kAb0000B's favourite is left out
+                given: { id: 4, maxRows: 3 },
+                expected: { total: 9, startRow: 0, maxRows: 3, next: '/users/4/recommendations?startRow=3&maxRows=3', prev: null },
+                testFn: testFnPaging,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, lat: 100, lng: 1 },
+                expected: { responseCode: 400, response: "lat and lng must be numbers, with lat from -90 to 90 and lng from -180 to 180." },
+                testFn: async (given) => getResultSubset(await api.getUserRecommendations(given), ['responseCode', 'response']),
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenue should return expected fields': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenue(given); return getResultSubset(result.response[0], ['id', 'name', 'address']); };
+
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1 },
+                expected: { id: 1, name: "Splendid Kebabs", address: "42 Bla Avenue, Madrid" },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 5 },
+                expected: { id: 5, name: "The Dirty One", address: "10 Banana Place, Madrid" },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenue non-existing venue should return expected Object': async (test) => {
+        let testFn = api.getVenue;
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 23 },
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": []
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues should return expected Object with expected rows': async (test) => {
+        // Using same test and assert fns throughout
+        let testFn = withoutPaging(api.getVenues);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { startRow: 1, maxRows: 3 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image2.jpg"
+                        },
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image3.jpg"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image4.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 4 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 5,
+                            "name": "The Dirty One",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image5.jpg"
+                        },
+                        {
+                            "id": 6,
+                            "name": "Bodrum Conundrum",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image6.jpg"
+                        },
+                        {
+                            "id": 7,
+                            "name": "Korner Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image7.jpg"
+                        },
+                        {
+                            "id": 8,
+                            "name": "Star Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image8.jpg"
+                        },
+                        {
+                            "id": 9,
+                            "name": "Kebab Slab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image9.jpg"
+                        },
+                        {
+                            "id": 10,
+                            "name": "Turku Kebabi",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image10.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { maxRows: 4 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image1.jpg"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image2.jpg"
+                        },
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image3.jpg"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image4.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: {},
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image1.jpg"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image2.jpg"
+                        },
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image3.jpg"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image4.jpg"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image5.jpg"
+                        },
+                        {
+                            "id": 6,
+                            "name": "Bodrum Conundrum",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image6.jpg"
+                        },
+                        {
+                            "id": 7,
+                            "name": "Korner Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image7.jpg"
+                        },
+                        {
+                            "id": 8,
+                            "name": "Star Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image8.jpg"
+                        },
+                        {
+                            "id": 9,
+                            "name": "Kebab Slab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image9.jpg"
+                        },
+                        {
+                            "id": 10,
+                            "name": "Turku Kebabi",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image10.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 0, maxRows: 7 },
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image1.jpg"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image2.jpg"
+                        },
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image3.jpg"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image4.jpg"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image5.jpg"
+                        },
+                        {
+                            "id": 6,
+                            "name": "Bodrum Conundrum",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image6.jpg"
+                        },
+                        {
+                            "id": 7,
+                            "name": "Korner Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image7.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: 0,
+                expected: {
+                    "responseCode": 200,
+                    "responseStatus": "OK",
+                    "response": [
+                        {
+                            "id": 1,
+                            "name": "Splendid Kebabs",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image1.jpg"
+                        },
+                        {
+                            "id": 2,
+                            "name": "The Kebaberie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image2.jpg"
+                        },
+                        {
+                            "id": 3,
+                            "name": "Meats Peeps",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image3.jpg"
+                        },
+                        {
+                            "id": 4,
+                            "name": "The Rotisserie",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image4.jpg"
+                        },
+                        {
+                            "id": 5,
+                            "name": "The Dirty One",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image5.jpg"
+                        },
+                        {
+                            "id": 6,
+                            "name": "Bodrum Conundrum",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image6.jpg"
+                        },
+                        {
+                            "id": 7,
+                            "name": "Korner Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image7.jpg"
+                        },
+                        {
+                            "id": 8,
+                            "name": "Star Kebab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image8.jpg"
+                        },
+                        {
+                            "id": 9,
+                            "name": "Kebab Slab",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image9.jpg"
+                        },
+                        {
+                            "id": 10,
+                            "name": "Turku Kebabi",
+                            "review_rating": null,
+                            "review_count": 0,
+                            "main_media_path": "image10.jpg"
+                        }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 2, maxRows: 0 }, // None are returned
+                expected: {
+                    "responseCode": 404,
+                    "responseStatus": "Not Found",
+                    "response": []
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues search, filters and sorting should return expected rows': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenues(given); return { responseCode: result.responseCode, ids: Array.isArray(result.response) ? result.response.map(v => v.id) : result.response }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { q: 'kebab' }, // Matches name
+                expected: { responseCode: 200, ids: [1, 2, 7, 8, 9, 10] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { q: 'banana' }, // Matches address
+                expected: { responseCode: 200, ids: [5] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { q: '%' }, // Wildcards are matched literally
+                expected: { responseCode: 404, ids: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: 5 },
+                expected: { responseCode: 200, ids: [5, 10] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: '2', maxRating: '3' },
+                expected: { responseCode: 200, ids: [2, 4, 6, 9] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { sort: 'rating', order: 'desc', maxRows: 3 }, // Ties in id order
+                expected: { responseCode: 200, ids: [5, 10, 1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { sort: 'name', maxRows: 3 },
+                expected: { responseCode: 200, ids: [6, 9, 7] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { q: 'kebab', sort: 'name', order: 'DESC', startRow: 1, maxRows: 2 },
+                expected: { responseCode: 200, ids: [2, 8] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { sort: 'address' },
+                expected: { responseCode: 400, ids: "Can't sort by 'address'. Sort by one of: id, name, rating." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { order: 'sideways' },
+                expected: { responseCode: 400, ids: "Order must be one of: asc, desc." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: 'lots' },
+                expected: { responseCode: 400, ids: "minRating must be a number." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { maxRating: true },
+                expected: { responseCode: 400, ids: "maxRating must be a number." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: 4, maxRating: 2 },
+                expected: { responseCode: 400, ids: "minRating can't be more than maxRating." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { after: '', sort: 'rating' },
+                expected: { responseCode: 400, ids: "Paging with after only supports sorting by id, ascending." },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues/api.getUsers paging should return expected metadata': async (test) => {
+        let testFnVenues = async (given) => { let result = await api.getVenues(given); return result.paging; };
+        let testFnUsers = async (given) => { let result = await api.getUsers(given); return result.paging; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { startRow: 3, maxRows: 3 },
+                expected: { total: 10, startRow: 3, maxRows: 3, next: '/venues?startRow=6&maxRows=3', prev: '/venues?startRow=0&maxRows=3' },
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 9, maxRows: 3 }, // Last page
+                expected: { total: 10, startRow: 9, maxRows: 3, next: null, prev: '/venues?startRow=6&maxRows=3' },
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { maxRows: KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS + 1 }, // Clamped
+                expected: { total: 10, startRow: 0, maxRows: KEBAPI_DB_DEFAULT_SELECT_MAX_ROWS, next: null, prev: null },
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { q: 'kebab', sort: 'rating', maxRows: 2 }, // Links keep filters and sorting
+                expected: { total: 6, startRow: 0, maxRows: 2, next: '/venues?q=kebab&sort=rating&startRow=2&maxRows=2', prev: null },
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { startRow: 0, maxRows: 2 },
+                expected: { total: 6, startRow: 0, maxRows: 2, next: '/users?startRow=2&maxRows=2', prev: null },
+                testFn: testFnUsers,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues keyset paging should follow cursors to the end': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenues(given); return { responseCode: result.responseCode, ids: Array.isArray(result.response) ? result.response.map(v => v.id) : result.response, paging: result.paging }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { after: '', maxRows: 4 }, // Start from the beginning
+                expected: { responseCode: 200, ids: [1, 2, 3, 4], paging: { total: 10, maxRows: 4, after: '', next: '/venues?after=NA&maxRows=4' } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { after: 'NA', maxRows: 4 },
+                expected: { responseCode: 200, ids: [5, 6, 7, 8], paging: { total: 10, maxRows: 4, after: 'NA', next: '/venues?after=OA&maxRows=4' } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { after: 'OA', maxRows: 4 },
+                expected: { responseCode: 200, ids: [9, 10], paging: { total: 10, maxRows: 4, after: 'OA', next: null } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { after: 'NA', minRating: 4, maxRows: 4 }, // Filters apply too
+                expected: { responseCode: 200, ids: [5, 8, 10], paging: { total: 5, maxRows: 4, after: 'NA', next: null } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { after: 'not a cursor' },
+                expected: { responseCode: 400, ids: "That after cursor isn't valid.", paging: undefined },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenue should return opening hours and whether the venue is open': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenue(given); return getResultSubset(result.response[0], ['id', 'timezone', 'openingHours']); };
+        let testFnIsOpen = async (given) => { let result = await api.getVenue(given); return typeof result.response[0].isOpen; };
+        let assertFn = assert.deepEqual;
+        let lunchtime = { opens: '11:00', closes: '15:00' };
+        let testCases = [
+            {
+                given: { id: 7 },
+                expected: {
+                    id: 7,
+                    timezone: 'Europe/Madrid',
+                    openingHours: {
+                        weekly: [{ day: 1, ...lunchtime }, { day: 2, ...lunchtime }, { day: 3, ...lunchtime }, { day: 4, ...lunchtime }, { day: 5, ...lunchtime }],
+                        exceptions: [] // Christmas 2024 is past
+                    }
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7 },
+                expected: 'boolean',
+                testFn: testFnIsOpen,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues openNow/openAt should return venues open at that time': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenues(given); return { responseCode: result.responseCode, ids: Array.isArray(result.response) ? result.response.map(v => v.id) : result.response }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { openAt: '2024-06-05T11:00:00Z' }, // Wednesday 13:00 in Madrid
+                expected: { responseCode: 200, ids: [1, 7] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-06-05T13:00:00+02:00' }, // The same, with an offset
+                expected: { responseCode: 200, ids: [1, 7] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-06-06T01:30:00Z' }, // Thursday 03:30 in Madrid, still open from Wednesday night
+                expected: { responseCode: 200, ids: [5] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-06-05T05:00:00Z' }, // Wednesday 07:00 in Madrid
+                expected: { responseCode: 404, ids: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-12-25T11:00:00Z' }, // Christmas Day, when Korner Kebab is closed
+                expected: { responseCode: 200, ids: [1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-06-05T11:00:00Z', q: 'korner' },
+                expected: { responseCode: 200, ids: [7] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openAt: '2024-06-05T13:00' },
+                expected: { responseCode: 400, ids: "openAt must be an ISO 8601 time with a timezone, e.g. 2024-06-01T22:30:00Z." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openNow: 'maybe' },
+                expected: { responseCode: 400, ids: "openNow must be true or false." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { openNow: 'true', openAt: '2024-06-05T11:00:00Z' },
+                expected: { responseCode: 400, ids: "Use either openNow or openAt, not both." },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'dal.getOpeningSchedulesBetween should only load venues with hours between the dates': async (test) => {
+        let testFn = async ({ fromDate, toDate, filters }) => {
+            let schedules = await dal.getOpeningSchedulesBetween(fromDate, toDate, filters);
+            return Object.keys(schedules).map(id => ({ id: Number(id), days: schedules[id].weekly.map(w => w.day), dates: schedules[id].exceptions.map(e => e.date) }));
+        };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { fromDate: '2024-06-08', toDate: '2024-06-09' }, // A weekend, when Korner Kebab is shut
+                expected: [{ id: 1, days: [6, 7], dates: [] }, { id: 5, days: [6, 7], dates: [] }],
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { fromDate: '2024-12-24', toDate: '2024-12-25', filters: { q: 'korner' } }, // Only venues the filters leave
+                expected: [{ id: 7, days: [2, 3], dates: ['2024-12-25'] }],
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { fromDate: '2024-06-08', toDate: '2024-06-09', filters: { q: 'korner' } },
+                expected: [],
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenueMenu should return menu items with dietary flags': async (test) => {
+        let testFn = async (given) => getResultSubset(await api.getVenueMenu(given), ['responseCode', 'response']);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1 },
+                expected: {
+                    responseCode: 200,
+                    response: [
+                        { id: 1, name: 'Doner Kebab', description: 'Lamb doner in pitta, with salad and garlic sauce', price: 6.5, currency: 'EUR', dietary: ['halal'] },
+                        { id: 2, name: 'Falafel Wrap', description: 'Falafel, hummus and salad in a flatbread', price: 5.5, currency: 'EUR', dietary: ['halal', 'vegetarian', 'vegan'] }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 5, startRow: 1 },
+                expected: {
+                    responseCode: 200,
+                    response: [
+                        { id: 4, name: 'Halloumi Wrap', description: 'Grilled halloumi, salad and chilli sauce', price: 7, currency: 'EUR', dietary: ['vegetarian'] }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 }, // No menu
+                expected: { responseCode: 404, response: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues hasItem should return venues serving items with that dietary flag': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenues(given); return { responseCode: result.responseCode, ids: Array.isArray(result.response) ? result.response.map(v => v.id) : result.response }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { hasItem: 'vegan' },
+                expected: { responseCode: 200, ids: [1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { hasItem: 'vegetarian' },
+                expected: { responseCode: 200, ids: [1, 5] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { hasItem: 'halal', sort: 'name' },
+                expected: { responseCode: 200, ids: [7, 1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { hasItem: 'vegetarian', openAt: '2024-06-05T11:00:00Z' }, // Wednesday 13:00 in Madrid
+                expected: { responseCode: 200, ids: [1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { hasItem: 'vegan', after: '' },
+                expected: { responseCode: 200, ids: [1] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { hasItem: 'pescatarian' },
+                expected: { responseCode: 400, ids: "Can't filter by hasItem 'pescatarian'. Use one of: halal, vegetarian, vegan, gluten_free." },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getTags should return tags by name with venue counts': async (test) => {
+        let testFn = withoutPaging(api.getTags);
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: {},
+                expected: {
+                    responseCode: 200,
+                    responseStatus: "OK",
+                    response: [
+                        { id: 2, name: 'delivery', venue_count: 2 },
+                        { id: 4, name: 'doner', venue_count: 3 },
+                        { id: 3, name: 'durum', venue_count: 2 },
+                        { id: 5, name: 'halal-certified', venue_count: 2 },
+                        { id: 1, name: 'late-night', venue_count: 2 }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenue should return tag names': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenue(given); return result.response[0].tags; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 10 },
+                expected: ['delivery', 'durum', 'late-night'],
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: [],
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenueMedia/api.getVenue should return a venue gallery in order': async (test) => {
+        let testFn = async (given) => getResultSubset(await api.getVenueMedia(given), ['responseCode', 'response']);
+        let testFnGet = async (given) => { let result = await api.getVenue(given); return result.response[0].gallery.map(m => m.media_id); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 1 },
+                expected: {
+                    responseCode: 200,
+                    response: [
+                        { media_id: 1, media_path: 'image1.jpg', caption: 'Outside', position: 1, is_main: true },
+                        { media_id: 2, media_path: 'image2.jpg', caption: 'The counter', position: 2, is_main: false },
+                        { media_id: 3, media_path: 'image3.jpg', caption: 'Doner kebab', position: 3, is_main: false }
+                    ]
+                },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, startRow: 1, maxRows: 1 },
+                expected: { responseCode: 200, response: [{ media_id: 2, media_path: 'image2.jpg', caption: 'The counter', position: 2, is_main: false }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742 },
+                expected: { responseCode: 404, response: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: [1, 2, 3],
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenues tags should return venues with any or all of the tags': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenues(given); return { responseCode: result.responseCode, ids: Array.isArray(result.response) ? result.response.map(v => v.id) : result.response }; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { tags: 'doner' },
+                expected: { responseCode: 200, ids: [1, 5, 8] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'doner,late-night' },
+                expected: { responseCode: 200, ids: [1, 5, 8, 10] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'Doner, late-night', tagMode: 'all' },
+                expected: { responseCode: 200, ids: [5] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'durum,delivery,durum', tagMode: 'ALL' },
+                expected: { responseCode: 200, ids: [10] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'halal-certified', hasItem: 'gluten_free' },
+                expected: { responseCode: 200, ids: [7] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'drive-thru' },
+                expected: { responseCode: 404, ids: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'late night!' },
+                expected: { responseCode: 400, ids: "tags must be a comma-separated list of tag names, e.g. late-night,doner." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { tags: 'doner', tagMode: 'some' },
+                expected: { responseCode: 400, ids: "tagMode must be one of: any, all." },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenuesNear should return venues within radius, nearest first, with distances': async (test) => {
+        let testFn = async (given) => { let result = await api.getVenuesNear(given); return { responseCode: result.responseCode, venues: Array.isArray(result.response) ? result.response.map(v => getResultSubset(v, ['id', 'distance'])) : result.response }; };
+        let testFnPaging = async (given) => { let result = await api.getVenuesNear(given); return result.paging; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { lat: 3, lng: 1 }, // Default radius
+                expected: { responseCode: 200, venues: [{ id: 7, distance: 0 }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: '3.005', lng: '1', radius: '1000' }, // As received in a query string
+                expected: { responseCode: 200, venues: [{ id: 7, distance: 556 }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 5, lng: 7.005, radius: 1000 }, // Longitude degrees are shorter away from the equator
+                expected: { responseCode: 200, venues: [{ id: 9, distance: 554 }, { id: 10, distance: 554 }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 5, lng: 7, radius: 500 },
+                expected: { responseCode: 200, venues: [{ id: 9, distance: 0 }, { id: 10, distance: 0 }] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: -33.8688, lng: 151.2093 }, // No kebabs here
+                expected: { responseCode: 404, venues: [] },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 'here', lng: 1 },
+                expected: { responseCode: 400, venues: "lat and lng must be numbers, with lat from -90 to 90 and lng from -180 to 180." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 3 },
+                expected: { responseCode: 400, venues: "lat and lng must be numbers, with lat from -90 to 90 and lng from -180 to 180." },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 3, lng: 1, radius: 0 },
+                expected: { responseCode: 400, venues: `radius must be more than 0, and at most ${KEBAPI_VENUES_NEAR_MAX_RADIUS_M} metres.` },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 3, lng: 1, radius: KEBAPI_VENUES_NEAR_MAX_RADIUS_M + 1 },
+                expected: { responseCode: 400, venues: `radius must be more than 0, and at most ${KEBAPI_VENUES_NEAR_MAX_RADIUS_M} metres.` },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { lat: 5, lng: 7, radius: 500, maxRows: 1 },
+                expected: { total: 2, startRow: 0, maxRows: 1, next: '/venues/near?lat=5&lng=7&radius=500&startRow=1&maxRows=1', prev: null },
+                testFn: testFnPaging,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addVenue/api.updateVenue/api.getVenue adding and updating a venue should result in expected fields': async (test) => {
+        let testFnGet = async (given) => { let result = await api.getVenue(given); return result.response[0]; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { name: 'Doner Party', address: '1 Calle Mayor, Madrid', geo_lat: '40.4168', geo_lng: '-3.7038', main_media_id: 2 },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: 11, msg: "Venue added." } },
+                testFn: api.addVenue,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, rating: 4, name: 'Doner Party Time' },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Venue updated." } },
+                testFn: api.updateVenue,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: { id: 11, name: 'Doner Party Time', geo_lat: 40.4168, geo_lng: -3.7038, address: '1 Calle Mayor, Madrid', rating: 4, review_rating: null, review_count: 0, visit_count: 0, timezone: 'UTC', main_media_path: 'image2.jpg', tags: [], gallery: [{ media_id: 2, media_path: 'image2.jpg', caption: '', position: 1, is_main: true }], openingHours: { weekly: [], exceptions: [] }, isOpen: null },
+                testFn: testFnGet,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.setVenueOpeningHours should replace opening hours': async (test) => {
+        let testFn = async (given) => getResultSubset(await api.setVenueOpeningHours(given), ['responseCode', 'response']);
+        let testFnGet = async (given) => { let result = await api.getVenue(given); return result.response[0].openingHours; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 11, weekly: [{ day: 1, opens: '10:00', closes: '02:00' }], exceptions: [{ date: '2099-01-02', opens: '12:00', closes: '14:00' }, { date: '2099-01-01' }] },
+                expected: { responseCode: 200, response: { result: true, msg: "Opening hours updated." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: { weekly: [{ day: 1, opens: '10:00', closes: '02:00' }], exceptions: [{ date: '2099-01-01', opens: null, closes: null }, { date: '2099-01-02', opens: '12:00', closes: '14:00' }] },
+                testFn: testFnGet,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, weekly: 'Mondays' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'weekly' must be an Array of { day, opens, closes }." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, weekly: [{ day: 8, opens: '10:00', closes: '02:00' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "weekly[0].day must be a day of the week, from 1 (Monday) to 7 (Sunday)." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, weekly: [{ day: 1, opens: '10:00', closes: '24:00' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "weekly[0].opens and closes must be times as HH:MM." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, exceptions: [{ date: '2099-02-30' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "exceptions[0].date must be a date as YYYY-MM-DD." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, exceptions: [{ date: '2099-01-01', opens: '12:00' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "exceptions[0].opens and closes must both be times as HH:MM, or both left out for closed all day." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, weekly: [] },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that venue." } },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addMenuItem/api.updateMenuItem/api.deleteMenuItem should change the menu of a venue': async (test) => {
+        let testFnMenu = async (given) => { let result = await api.getVenueMenu(given); return result.response; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 11, name: 'Vegan Doner', price: '7.5', currency: 'eur', dietary: 'vegan,vegetarian' }, // e.g. from form data
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: 6, msg: "Menu item added." } },
+                testFn: api.addMenuItem,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: [{ id: 6, name: 'Vegan Doner', description: '', price: 7.5, currency: 'EUR', dietary: ['vegetarian', 'vegan'] }],
+                testFn: testFnMenu,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, itemId: 6, price: 8, description: 'Seitan doner with pickles', dietary: [] },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Menu item updated." } },
+                testFn: api.updateMenuItem,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: [{ id: 6, name: 'Vegan Doner', description: 'Seitan doner with pickles', price: 8, currency: 'EUR', dietary: [] }],
+                testFn: testFnMenu,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, itemId: 6, price: 1 }, // Not this venue's item
+                expected: { responseCode: 404, responseStatus: "Not Found", response: { result: false, msg: "Can't find that menu item." } },
+                testFn: api.updateMenuItem,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, itemId: 6 },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Menu item deleted." } },
+                testFn: api.deleteMenuItem,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, itemId: 6 },
+                expected: { responseCode: 404, responseStatus: "Not Found", response: { result: false, msg: "Can't find that menu item." } },
+                testFn: api.deleteMenuItem,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addMenuItem/api.updateMenuItem invalid fields should return expected Object': async (test) => {
+        let testFn = async (given) => { let result = await (given.itemId ? api.updateMenuItem(given) : api.addMenuItem(given)); return getResultSubset(result, ['responseCode', 'response']); };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 11, name: 'Mystery Meat' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing required field(s): price, currency." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, name: 'Pricey', price: '9.999', currency: 'EUR' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'price' must be a number from 0 to 999999.99, with at most 2 decimal places." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, name: 'Free', price: -1, currency: 'EUR' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'price' must be a number from 0 to 999999.99, with at most 2 decimal places." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, name: 'Euro Kebab', price: 5, currency: 'Euros' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'currency' must be a 3 letter currency code, e.g. EUR." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, name: 'Fish Kebab', price: 5, currency: 'EUR', dietary: ['pescatarian'] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'dietary' must list any of: halal, vegetarian, vegan, gluten_free." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, name: 'Nowhere Kebab', price: 5, currency: 'EUR' },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that venue." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, itemId: 1 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Nothing to update. Supply one or more of: name, description, price, currency, dietary." } },
+                testFn: testFn,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.addTag/api.updateTag/api.deleteTag/api.addVenueTag should manage tags': async (test) => {
+        let testFnTags = async (given) => { let result = await api.getVenue(given); return result.response[0].tags; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { name: 'Kebab-Van' },
+                expected: { responseCode: 200, response: { result: 6, msg: "Tag added." } },
+                testFn: subsetOf(api.addTag),
+                assertFn: assertFn
+            },
+            {
+                given: { name: 'kebab-van' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "That tag already exists." } },
+                testFn: subsetOf(api.addTag),
+                assertFn: assertFn
+            },
+            {
+                given: { name: 'kebab van' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'name' must be a tag name of up to 40 letters, numbers and hyphens, e.g. late-night." } },
+                testFn: subsetOf(api.addTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, tagId: 6 },
+                expected: { responseCode: 200, response: { result: true, msg: "Venue tagged." } },
+                testFn: subsetOf(api.addVenueTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, tagId: 7742 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that tag." } },
+                testFn: subsetOf(api.addVenueTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, name: 'food-truck' },
+                expected: { responseCode: 200, response: { result: true, msg: "Tag updated." } },
+                testFn: subsetOf(api.updateTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: ['food-truck'],
+                testFn: testFnTags,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6, name: 'doner' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "That tag already exists." } },
+                testFn: subsetOf(api.updateTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: { responseCode: 200, response: { result: true, msg: "Tag deleted.", venuesUntagged: 1 } },
+                testFn: subsetOf(api.deleteTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: [],
+                testFn: testFnTags,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, tagId: 6 },
+                expected: { responseCode: 404, response: { result: false, msg: "That venue doesn't have that tag." } },
+                testFn: subsetOf(api.removeVenueTag),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 6 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that tag." } },
+                testFn: subsetOf(api.deleteTag),
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.uploadMedia should store an allowed file, and refuse anything else': async (test) => {
+        const boundary = 'kebab-boundary';
+        const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+        // Uploads given parts as user 1. An uploaded file is checked, then removed again.
+        let testFn = async ({ parts, contentType = `multipart/form-data; boundary=${boundary}`, contentLength }) => {
+            let result = await api.uploadMedia({ request: Readable.from([getMultipartBody(boundary, parts)]), 'content-type': contentType, 'content-length': contentLength, requesterId: 1 });
+            if (result.responseCode === 200) {
+                let mediaPath = (await dal.getMedia(result.response.result))[0].media_path;
+                let filePath = media.resolveMediaPath(mediaPath);
+                result.response.stored = /^uploads\/[0-9a-f]{32}\.png$/.test(mediaPath) && await media.sniffContentType(filePath);
+                await media.removeMediaFile(filePath);
+            }
+            return getResultSubset(result, ['responseCode', 'response']);
+        };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { parts: [{ name: 'file', filename: 'grill.png', contentType: 'image/png', value: PNG }] },
+                expected: { responseCode: 200, response: { result: 11, msg: "Media uploaded.", stored: 'image/png' } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [{ name: 'file', filename: 'grill.png', contentType: 'image/png', value: '<script>alert(1)</script>' }] }, // Not what it says it is
+                expected: { responseCode: 415, response: { result: undefined, msg: "File content isn't 'image/png'. Allowed: image/jpeg, image/png, image/gif, image/webp." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [{ name: 'file', filename: 'grill.html', contentType: 'text/html', value: '<script>alert(1)</script>' }] },
+                expected: { responseCode: 415, response: { result: undefined, msg: "Content type 'text/html' is not allowed. Allowed: image/jpeg, image/png, image/gif, image/webp." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [{ name: 'file', filename: 'grill.png', contentType: 'image/png', value: '' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Uploaded file is empty." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [{ name: 'caption', value: 'Grill' }] },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing 'file' field." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [], contentType: 'application/json' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Expected multipart/form-data with a 'file' field." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { parts: [], contentLength: KEBAPI_MEDIA_UPLOAD_MAX_SIZE + 1 },
+                expected: { responseCode: 413, response: { result: undefined, msg: `Upload size limit of ${KEBAPI_MEDIA_UPLOAD_MAX_SIZE} bytes exceeded.` } },
+                testFn: testFn,
+                assertFn: assertFn
             }
         ];
-
         return await runTestCases(test, testCases);
     },
-    'api.addUserFavourite/api.getUserFavourites adding existing favourite should result in unchanged favourites': async (test) => {
-        let testFnSet = api.addUserFavourite;
-        let testFnGet = api.getUserFavourites;
+    'api.attachVenueMedia/api.reorderVenueMedia/api.setVenueMainMedia/api.detachVenueMedia should manage a venue gallery': async (test) => {
+        let testFnGallery = async (given) => { let result = await api.getVenue(given); return result.response[0].gallery; };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1, venueId: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": 0
-                },
-                testFn: testFnSet,
+                given: { id: 11, mediaId: 5, caption: 'Grill' },
+                expected: { responseCode: 200, response: { result: true, msg: "Media added to gallery." } },
+                testFn: subsetOf(api.attachVenueMedia),
                 assertFn: assertFn
             },
             {
-                given: { id: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
-                },
-                testFn: testFnGet,
+                given: { id: 11, mediaId: 5 },
+                expected: { responseCode: 400, response: { result: false, msg: "That media is already in the venue's gallery." } },
+                testFn: subsetOf(api.attachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, mediaId: 7742 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that media." } },
+                testFn: subsetOf(api.attachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, mediaId: 5 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that venue." } },
+                testFn: subsetOf(api.attachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, media_ids: [5, 2] },
+                expected: { responseCode: 200, response: { result: true, msg: "Gallery reordered." } },
+                testFn: subsetOf(api.reorderVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, media_ids: [5] },
+                expected: { responseCode: 400, response: { result: false, msg: "Field 'media_ids' must list each media in the venue's gallery once." } },
+                testFn: subsetOf(api.reorderVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, media_ids: '5,2' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'media_ids' must be an Array of media ids, in their new order." } },
+                testFn: subsetOf(api.reorderVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, media_id: 5 },
+                expected: { responseCode: 200, response: { result: true, msg: "Main media updated." } },
+                testFn: subsetOf(api.setVenueMainMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, mediaId: 2, caption: 'Old sign' },
+                expected: { responseCode: 200, response: { result: true, msg: "Caption updated." } },
+                testFn: subsetOf(api.updateVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: [
+                    { media_id: 5, media_path: 'image5.jpg', caption: 'Grill', position: 1, is_main: true },
+                    { media_id: 2, media_path: 'image2.jpg', caption: 'Old sign', position: 2, is_main: false }
+                ],
+                testFn: testFnGallery,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, mediaId: 5 },
+                expected: { responseCode: 400, response: { result: false, msg: "That's the venue's main media. Make other media main first." } },
+                testFn: subsetOf(api.detachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, mediaId: 2 },
+                expected: { responseCode: 200, response: { result: true, msg: "Media removed from gallery." } },
+                testFn: subsetOf(api.detachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, mediaId: 2 },
+                expected: { responseCode: 404, response: { result: false, msg: "That media isn't in the venue's gallery." } },
+                testFn: subsetOf(api.detachVenueMedia),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, media_id: 2 },
+                expected: { responseCode: 404, response: { result: false, msg: "That media isn't in the venue's gallery." } },
+                testFn: subsetOf(api.setVenueMainMedia),
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.addUserFavourite/api.getUserFavourites adding second new favourite should result in added favourite': async (test) => {
-        let testFnSet = api.addUserFavourite;
-        let testFnGet = api.getUserFavourites;
+    'api.addVenue/api.updateVenue invalid fields should return expected Object': async (test) => {
+        let testFn = async (given) => { let result = await (given.id ? api.updateVenue(given) : api.addVenue(given)); return getResultSubset(result, ['responseCode', 'response']); };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1, venueId: 2 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": 9
-                },
-                testFn: testFnSet,
+                given: { name: 'Nowhere' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing required field(s): geo_lat, geo_lng, main_media_id." } },
+                testFn: testFn,
                 assertFn: assertFn
             },
             {
-                given: { id: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
-                },
-                testFn: testFnGet,
+                given: { name: 'Up North', geo_lat: 91, geo_lng: 0, main_media_id: 1 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'geo_lat' must be a number from -90 to 90." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { name: 'Way East', geo_lat: 0, geo_lng: 'east', main_media_id: 1 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'geo_lng' must be a number from -180 to 180." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { name: 'No Pictures', geo_lat: 0, geo_lng: 0, main_media_id: 7742 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Can't find media with id '7742' for main_media_id." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, rating: 6 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'rating' must be a whole number from 1 to 5, or null." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, name: ' ' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'name' must be a non-empty string." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Nothing to update. Supply one or more of: name, address, geo_lat, geo_lng, rating, main_media_id, timezone." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 11, timezone: 'Mars/Olympus_Mons' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'timezone' must be a timezone, e.g. Europe/Madrid." } },
+                testFn: testFn,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 7742, rating: 3 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that venue." } },
+                testFn: testFn,
                 assertFn: assertFn
             }
-
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.removeUserFavourite/api.getUserFavourites removing a favourite should result in removed favourite': async (test) => {
-        let testFnSet = api.removeUserFavourite;
-        let testFnGet = api.getUserFavourites;
+    'api.addReview/api.updateReview/api.deleteReview should keep venue review_rating and review_count in sync': async (test) => {
+        let testFnVenue = async (given) => { let result = await api.getVenue(given); return getResultSubset(result.response[0], ['id', 'review_rating', 'review_count']); };
+        let testFnVenueIds = async (given) => { let result = await api.getVenues(given); return result.response.map(v => v.id); };
         let assertFn = assert.deepEqual;
         let testCases = [
+            {
+                given: { id: 1, venueId: 2, score: 4, text: 'Crispy and generous.' },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: 1, msg: "Review added." } },
+                testFn: api.addReview,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, venueId: 2, score: '5' }, // e.g. from form data
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: 2, msg: "Review added." } },
+                testFn: api.addReview,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: { id: 2, review_rating: 4.5, review_count: 2 },
+                testFn: testFnVenue,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: 4.5 }, // Venue 2 goes by its reviews now, not its own rating of 3
+                expected: [2, 5, 10],
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { minRating: 2, maxRating: 3 },
+                expected: [4, 6, 9],
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { sort: 'rating', order: 'desc', maxRows: 3 },
+                expected: [5, 10, 2],
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, venueId: 2, score: 2 },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Review updated." } },
+                testFn: api.updateReview,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: { id: 2, review_rating: 3, review_count: 2 },
+                testFn: testFnVenue,
+                assertFn: assertFn
+            },
             {
                 given: { id: 1, venueId: 2 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": true
-                },
-                testFn: testFnSet,
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Review deleted." } },
+                testFn: api.deleteReview,
                 assertFn: assertFn
             },
             {
-                given: { id: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
-                    ]
-                },
-                testFn: testFnGet,
+                given: { id: 2 },
+                expected: { id: 2, review_rating: 2, review_count: 1 },
+                testFn: testFnVenue,
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.removeUserFavourite/api.getUserFavourites removing an already removed favourite should result in no change in favourites': async (test) => {
-        let testFnSet = api.removeUserFavourite;
-        let testFnGet = api.getUserFavourites;
+    'api.addReview/api.updateReview/api.deleteReview invalid reviews should return expected Object': async (test) => {
+        let testFnAdd = async (given) => getResultSubset(await api.addReview(given), ['responseCode', 'response']);
+        let testFnUpdate = async (given) => getResultSubset(await api.updateReview(given), ['responseCode', 'response']);
+        let testFnDelete = async (given) => getResultSubset(await api.deleteReview(given), ['responseCode', 'response']);
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1, venueId: 2 },
-                expected: {
-                    "responseCode": 400,
-                    "responseStatus": "Bad Request",
-                    "response": false
-                },
-                testFn: testFnSet,
+                given: { id: 2, venueId: 2, score: 3 },
+                expected: { responseCode: 400, response: { result: 0, msg: "That venue has already been reviewed. Edit the review instead." } },
+                testFn: testFnAdd,
                 assertFn: assertFn
             },
             {
-                given: { id: 1 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
+                given: { id: 1, venueId: 2, text: 'No score.' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Missing required field(s): score." } },
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 2, score: 6 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'score' must be a whole number from 1 to 5." } },
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 2, score: 4.5 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'score' must be a whole number from 1 to 5." } },
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 2, score: 4, text: 'Yum'.repeat(667) },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'text' must be a string of 2000 characters or fewer, or null." } },
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 7742, score: 4 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that venue." } },
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, venueId: 2 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Nothing to update. Supply one or more of: score, text." } },
+                testFn: testFnUpdate,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 2, score: 3 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that review." } },
+                testFn: testFnUpdate,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 2 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that review." } },
+                testFn: testFnDelete,
+                assertFn: assertFn
+            }
+        ];
+
+        return await runTestCases(test, testCases);
+    },
+    'api.getVenueReviews should return reviews of a venue, newest first': async (test) => {
+        let testFnAdd = async (given) => { let result = await api.addReview(given); return result.responseCode; };
+        let testFnList = async (given) => { let result = await api.getVenueReviews(given); return { responseCode: result.responseCode, reviews: result.response.map(r => getResultSubset(r, ['user_id', 'username', 'score', 'text'])) }; };
+        let testFnPaging = async (given) => { let result = await api.getVenueReviews(given); return result.paging; };
+        let assertFn = assert.deepEqual;
+        let testCases = [
+            {
+                given: { id: 3, venueId: 3, score: 4, text: ' Meaty. ' },
+                expected: 200,
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, venueId: 3, score: 5 },
+                expected: 200,
+                testFn: testFnAdd,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 3 },
+                expected: {
+                    responseCode: 200,
+                    reviews: [
+                        { user_id: 1, username: 'aard', score: 5, text: '' },
+                        { user_id: 3, username: 'MeatyMan', score: 4, text: 'Meaty.' }
                     ]
                 },
-                testFn: testFnGet,
+                testFn: testFnList,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 3, maxRows: 1 },
+                expected: { total: 2, startRow: 0, maxRows: 1, next: '/venues/3/reviews?startRow=1&maxRows=1', prev: null },
+                testFn: testFnPaging,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4 },
+                expected: { responseCode: 404, reviews: [] },
+                testFn: testFnList,
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.removeUserFavourite/api.getUserFavourites removing a second favourite should result in removed favourite': async (test) => {
-        let testFnSet = api.removeUserFavourite;
-        let testFnGet = api.getUserFavourites;
+    'api.getUserFeed should merge the reviews and shared favourites of followed users, newest first': async (test) => {
+        let testFnFeed = async (given) => {
+            let result = await api.getUserFeed(given);
+            return { responseCode: result.responseCode, items: result.response.map(i => getResultSubset(i, ['type', 'username', 'venue_id', 'score'])) };
+        };
+        // Gets the first page, then the page its next link points to
+        let testFnNextPage = async (given) => {
+            let first = await api.getUserFeed(given);
+            let after = new URL(first.paging.next, 'http://localhost').searchParams.get('after');
+            let result = await api.getUserFeed({ ...given, after: after });
+            return { total: result.paging.total, venueIds: result.response.map(i => i.venue_id), next: result.paging.next };
+        };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1, venueId: 1 },
+                // Babs follows aard and MeatyMan, who don't share their favourites
+                given: { id: 2 },
                 expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": true
+                    responseCode: 200,
+                    items: [
+                        { type: 'review', username: 'aard', venue_id: 3, score: 5 },
+                        { type: 'review', username: 'MeatyMan', venue_id: 3, score: 4 }
+                    ]
                 },
-                testFn: testFnSet,
+                testFn: testFnFeed,
                 assertFn: assertFn
             },
             {
-                given: { id: 1 },
+                // kAb0000B follows Babs, who does
+                given: { id: 4 },
                 expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 5,
-                            "name": "The Dirty One"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie"
-                        }
+                    responseCode: 200,
+                    items: [
+                        { type: 'review', username: 'Babs', venue_id: 2, score: 2 },
+                        { type: 'favourite', username: 'Babs', venue_id: 2, score: null },
+                        { type: 'favourite', username: 'Babs', venue_id: 4, score: null },
+                        { type: 'favourite', username: 'Babs', venue_id: 3, score: null }
                     ]
                 },
-                testFn: testFnGet,
+                testFn: testFnFeed,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, maxRows: 3 },
+                expected: { total: 4, venueIds: [3], next: null },
+                testFn: testFnNextPage,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, after: 'nope' },
+                expected: { responseCode: 400, response: "That after cursor isn't valid." },
+                testFn: async (given) => getResultSubset(await api.getUserFeed(given), ['responseCode', 'response']),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: { responseCode: 404, items: [] },
+                testFn: testFnFeed,
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.removeUserFavourite removing a non-existing favourite should return expected Object': async (test) => {
-        let testFn = api.removeUserFavourite;
+    'api.followUser/api.unfollowUser/api.updateUserPrivacy should change who and what is in a feed': async (test) => {
+        let testFnUsernames = (fn) => async (given) => { let result = await fn(given); return result.response.map(u => u.username); };
+        let testFnFeedTypes = async (given) => { let result = await api.getUserFeed(given); return result.response.map(i => i.type); };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 1, venueId: 27 },
-                expected: {
-                    "responseCode": 400,
-                    "responseStatus": "Bad Request",
-                    "response": false
-                },
-                testFn: testFn,
+                given: { id: 4, followeeId: 1 },
+                expected: { responseCode: 200, response: { result: true, msg: "You're now following that user." } },
+                testFn: subsetOf(api.followUser),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, followeeId: 1 },
+                expected: { responseCode: 400, response: { result: false, msg: "You already follow that user." } },
+                testFn: subsetOf(api.followUser),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, followeeId: 4 },
+                expected: { responseCode: 400, response: { result: false, msg: "You can't follow yourself." } },
+                testFn: subsetOf(api.followUser),
+                assertFn: assertFn
+            },
+            {
+                // ItsGigi is inactive
+                given: { id: 4, followeeId: 5 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that user." } },
+                testFn: subsetOf(api.followUser),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4 },
+                expected: ['aard', 'Babs'],
+                testFn: testFnUsernames(api.getUserFollowing),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: ['kAb0000B', 'MeatyMan'],
+                testFn: testFnUsernames(api.getUserFollowers),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, followeeId: 1 },
+                expected: { responseCode: 200, response: { result: true, msg: "You've unfollowed that user." } },
+                testFn: subsetOf(api.unfollowUser),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4, followeeId: 1 },
+                expected: { responseCode: 404, response: { result: false, msg: "You don't follow that user." } },
+                testFn: subsetOf(api.unfollowUser),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, share_favourites: 'maybe' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'share_favourites' must be true or false." } },
+                testFn: subsetOf(api.updateUserPrivacy),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, share_favourites: false },
+                expected: { responseCode: 200, response: { result: true, msg: "Privacy settings updated." } },
+                testFn: subsetOf(api.updateUserPrivacy),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: { responseCode: 200, response: [{ share_favourites: false }] },
+                testFn: subsetOf(api.getUserPrivacy),
+                assertFn: assertFn
+            },
+            {
+                // Babs' favourites have gone from kAb0000B's feed, and their review stays
+                given: { id: 4 },
+                expected: ['review'],
+                testFn: testFnFeedTypes,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, share_favourites: true },
+                expected: { responseCode: 200, response: { result: true, msg: "Privacy settings updated." } },
+                testFn: subsetOf(api.updateUserPrivacy),
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.removeUserFavourite removing a favourite from non-existing user should return expected Object': async (test) => {
-        let testFn = api.removeUserFavourite;
+    'api.getUserCheckIns/api.getUserCheckInVenues should return the visits of a user, filtered by date': async (test) => {
+        let testFnVenueIds = async (given) => { let result = await api.getUserCheckIns(given); return { responseCode: result.responseCode, venueIds: result.response.map(c => c.venue_id) }; };
+        let testFnVisits = async (given) => { let result = await api.getUserCheckInVenues(given); return result.response.map(v => getResultSubset(v, ['venue_id', 'venue_name', 'visits'])); };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 444, venueId: 1 },
-                expected: {
-                    "responseCode": 400,
-                    "responseStatus": "Bad Request",
-                    "response": false
-                },
-                testFn: testFn,
+                given: { id: 2 },
+                expected: { responseCode: 200, venueIds: [4, 3, 3] },
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, from: '2024-06-01', to: '2024-06-15' },
+                expected: { responseCode: 200, venueIds: [3] },
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, from: '2024-06-20T02:00:00+01:00' },
+                expected: { responseCode: 200, venueIds: [4] },
+                testFn: testFnVenueIds,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, from: 'last week' },
+                expected: { responseCode: 400, response: "from must be an ISO 8601 date or time, e.g. 2024-06-01 or 2024-06-01T22:30:00Z." },
+                testFn: async (given) => getResultSubset(await api.getUserCheckIns(given), ['responseCode', 'response']),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, from: '2024-06-15', to: '2024-06-01' },
+                expected: { responseCode: 400, response: "from must be before to." },
+                testFn: async (given) => getResultSubset(await api.getUserCheckIns(given), ['responseCode', 'response']),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2 },
+                expected: [
+                    { venue_id: 3, venue_name: 'Meats Peeps', visits: 2 },
+                    { venue_id: 4, venue_name: 'The Rotisserie', visits: 1 }
+                ],
+                testFn: testFnVisits,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, to: '2024-06-01' },
+                expected: [{ venue_id: 3, venue_name: 'Meats Peeps', visits: 1 }],
+                testFn: testFnVisits,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1 },
+                expected: { responseCode: 404, venueIds: [] },
+                testFn: testFnVenueIds,
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.getVenue should return expected fields': async (test) => {
-        let testFn = async (given) => { let result = await api.getVenue(given); return getResultSubset(result.response[0], ['id', 'name', 'address']); };
-
+    'api.addCheckIn should check a user in, refuse a repeat and count visits to the venue': async (test) => {
+        let testFnVisitCount = async (given) => { let result = await api.getVenue(given); return result.response[0].visit_count; };
         let assertFn = assert.deepEqual;
         let testCases = [
+            {
+                given: { id: 1, note: ' Tonight. ', requesterId: 4 },
+                expected: { responseCode: 200, response: { result: 5, msg: "Checked in." } },
+                testFn: subsetOf(api.addCheckIn),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, requesterId: 4 },
+                expected: { responseCode: 400, response: { result: 0, msg: "You've already checked in here in the last 60 minutes." } },
+                testFn: subsetOf(api.addCheckIn),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 999, requesterId: 4 },
+                expected: { responseCode: 404, response: { result: undefined, msg: "Can't find that venue." } },
+                testFn: subsetOf(api.addCheckIn),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, note: 5, requesterId: 4 },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'note' must be a string of 500 characters or fewer, or null." } },
+                testFn: subsetOf(api.addCheckIn),
+                assertFn: assertFn
+            },
             {
                 given: { id: 1 },
-                expected: { id: 1, name: "Splendid Kebabs", address: "42 Bla Avenue, Madrid" },
-                testFn: testFn,
+                expected: 1,
+                testFn: testFnVisitCount,
                 assertFn: assertFn
             },
             {
-                given: { id: 5 },
-                expected: { id: 5, name: "The Dirty One", address: "10 Banana Place, Madrid" },
-                testFn: testFn,
+                given: { id: 3 },
+                expected: 3,
+                testFn: testFnVisitCount,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 4 },
+                expected: [{ venue_id: 1, note: 'Tonight.' }],
+                testFn: async (given) => { let result = await api.getUserCheckIns(given); return result.response.map(c => getResultSubset(c, ['venue_id', 'note'])); },
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.getVenue non-existing venue should return expected Object': async (test) => {
-        let testFn = api.getVenue;
+    'api.addCollection/api.addCollectionVenue/api.updateCollection/api.deleteCollection should manage a shareable collection': async (test) => {
+        let testFnVenues = async (given) => { let result = await api.getCollectionVenues(given); return result.response.map(v => v.id); };
+        // Looks up the collection's share token as its owner, then reads it as anyone would
+        let testFnShared = (fn) => async (given) => {
+            let collection = (await api.getCollection(given)).response[0];
+            let result = await fn({ shareToken: collection.share_token });
+            return { responseCode: result.responseCode, ids: result.response.map(c => c.id) };
+        };
         let assertFn = assert.deepEqual;
         let testCases = [
             {
-                given: { id: 23 },
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": []
-                },
-                testFn: testFn,
+                given: { id: 2, name: 'Late night' },
+                expected: { responseCode: 200, response: { result: 5, msg: "Collection added." } },
+                testFn: subsetOf(api.addCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, name: ' ' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'name' must be a non-empty string of 100 characters or fewer." } },
+                testFn: subsetOf(api.addCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, name: 'Brunch', is_public: 'yes' },
+                expected: { responseCode: 400, response: { result: undefined, msg: "Field 'is_public' must be true or false." } },
+                testFn: subsetOf(api.addCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 10 },
+                expected: { responseCode: 200, response: { result: true, msg: "Venue added to collection." } },
+                testFn: subsetOf(api.addCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 5 },
+                expected: { responseCode: 200, response: { result: true, msg: "Venue added to collection." } },
+                testFn: subsetOf(api.addCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 10 },
+                expected: { responseCode: 400, response: { result: false, msg: "That venue is already in the collection." } },
+                testFn: subsetOf(api.addCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 1, venueId: 10 }, // aard's favourites
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that collection." } },
+                testFn: subsetOf(api.addCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 7742 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that venue." } },
+                testFn: subsetOf(api.addCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 },
+                expected: [5, 10],
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 2 }, // Favourites are the default collection
+                expected: [3, 2, 4],
+                testFn: testFnVenues,
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 }, // Private until made public
+                expected: { responseCode: 404, ids: [] },
+                testFn: testFnShared(api.getSharedCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, is_public: true },
+                expected: { responseCode: 200, response: { result: true, msg: "Collection updated." } },
+                testFn: subsetOf(api.updateCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 },
+                expected: { responseCode: 200, ids: [5] },
+                testFn: testFnShared(api.getSharedCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 },
+                expected: { responseCode: 200, ids: [5, 10] },
+                testFn: testFnShared(api.getSharedCollectionVenues),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 1, collectionId: 5, name: 'Mine now' }, // Not aard's collection
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that collection." } },
+                testFn: subsetOf(api.updateCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 5 },
+                expected: { responseCode: 200, response: { result: true, msg: "Venue removed from collection." } },
+                testFn: subsetOf(api.removeCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5, venueId: 5 },
+                expected: { responseCode: 404, response: { result: false, msg: "That collection doesn't have that venue." } },
+                testFn: subsetOf(api.removeCollectionVenue),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 2 },
+                expected: { responseCode: 400, response: { result: false, msg: "That's your favourites collection, which can't be deleted." } },
+                testFn: subsetOf(api.deleteCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 },
+                expected: { responseCode: 200, response: { result: true, msg: "Collection deleted." } },
+                testFn: subsetOf(api.deleteCollection),
+                assertFn: assertFn
+            },
+            {
+                given: { id: 2, collectionId: 5 },
+                expected: { responseCode: 404, response: { result: false, msg: "Can't find that collection." } },
+                testFn: subsetOf(api.deleteCollection),
                 assertFn: assertFn
             }
         ];
 
         return await runTestCases(test, testCases);
     },
-    'api.getVenues should return expected Object with expected rows': async (test) => {
-        // Using same test and assert fns throughout
-        let testFn = api.getVenues;
+    'api.deleteVenue deleting a favourited, reviewed venue should also remove the favourites and reviews': async (test) => {
+        let testFnAdd = async (given) => { let result = await api.addUserFavourite(given); return result.responseCode; };
+        let testFnAddReview = async (given) => { let result = await api.addReview(given); return result.responseCode; };
+        let testFnCount = async (given) => await dal.countUserFavourites(given);
         let assertFn = assert.deepEqual;
-        let testCases = [
-            {
-                given: { startRow: 1, maxRows: 3 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie",
-                            "main_media_path": "image2.jpg"
-                        },
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps",
-                            "main_media_path": "image3.jpg"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie",
-                            "main_media_path": "image4.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
-                assertFn: assertFn
-            },
+        let testCases = [
             {
-                given: { startRow: 4 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 5,
-                            "name": "The Dirty One",
-                            "main_media_path": "image5.jpg"
-                        },
-                        {
-                            "id": 6,
-                            "name": "Bodrum Conundrum",
-                            "main_media_path": "image6.jpg"
-                        },
-                        {
-                            "id": 7,
-                            "name": "Korner Kebab",
-                            "main_media_path": "image7.jpg"
-                        },
-                        {
-                            "id": 8,
-                            "name": "Star Kebab",
-                            "main_media_path": "image8.jpg"
-                        },
-                        {
-                            "id": 9,
-                            "name": "Kebab Slab",
-                            "main_media_path": "image9.jpg"
-                        },
-                        {
-                            "id": 10,
-                            "name": "Turku Kebabi",
-                            "main_media_path": "image10.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
+                given: { id: 3, venueId: 11 },
+                expected: 200,
+                testFn: testFnAdd,
                 assertFn: assertFn
             },
             {
-                given: { maxRows: 4 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs",
-                            "main_media_path": "image1.jpg"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie",
-                            "main_media_path": "image2.jpg"
-                        },
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps",
-                            "main_media_path": "image3.jpg"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie",
-                            "main_media_path": "image4.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
+                given: { id: 3, venueId: 11, score: 2 },
+                expected: 200,
+                testFn: testFnAddReview,
                 assertFn: assertFn
             },
             {
-                given: {},
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs",
-                            "main_media_path": "image1.jpg"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie",
-                            "main_media_path": "image2.jpg"
-                        },
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps",
-                            "main_media_path": "image3.jpg"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie",
-                            "main_media_path": "image4.jpg"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One",
-                            "main_media_path": "image5.jpg"
-                        },
-                        {
-                            "id": 6,
-                            "name": "Bodrum Conundrum",
-                            "main_media_path": "image6.jpg"
-                        },
-                        {
-                            "id": 7,
-                            "name": "Korner Kebab",
-                            "main_media_path": "image7.jpg"
-                        },
-                        {
-                            "id": 8,
-                            "name": "Star Kebab",
-                            "main_media_path": "image8.jpg"
-                        },
-                        {
-                            "id": 9,
-                            "name": "Kebab Slab",
-                            "main_media_path": "image9.jpg"
-                        },
-                        {
-                            "id": 10,
-                            "name": "Turku Kebabi",
-                            "main_media_path": "image10.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
+                given: 3,
+                expected: 1,
+                testFn: testFnCount,
                 assertFn: assertFn
             },
             {
-                given: { startRow: 0, maxRows: 7 },
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs",
-                            "main_media_path": "image1.jpg"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie",
-                            "main_media_path": "image2.jpg"
-                        },
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps",
-                            "main_media_path": "image3.jpg"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie",
-                            "main_media_path": "image4.jpg"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One",
-                            "main_media_path": "image5.jpg"
-                        },
-                        {
-                            "id": 6,
-                            "name": "Bodrum Conundrum",
-                            "main_media_path": "image6.jpg"
-                        },
-                        {
-                            "id": 7,
-                            "name": "Korner Kebab",
-                            "main_media_path": "image7.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
+                given: { id: 11 },
+                expected: { responseCode: 200, responseStatus: "OK", response: { result: true, msg: "Venue deleted.", favouritesRemoved: 1, reviewsRemoved: 1 } },
+                testFn: api.deleteVenue,
                 assertFn: assertFn
             },
             {
-                given: 0,
-                expected: {
-                    "responseCode": 200,
-                    "responseStatus": "OK",
-                    "response": [
-                        {
-                            "id": 1,
-                            "name": "Splendid Kebabs",
-                            "main_media_path": "image1.jpg"
-                        },
-                        {
-                            "id": 2,
-                            "name": "The Kebaberie",
-                            "main_media_path": "image2.jpg"
-                        },
-                        {
-                            "id": 3,
-                            "name": "Meats Peeps",
-                            "main_media_path": "image3.jpg"
-                        },
-                        {
-                            "id": 4,
-                            "name": "The Rotisserie",
-                            "main_media_path": "image4.jpg"
-                        },
-                        {
-                            "id": 5,
-                            "name": "The Dirty One",
-                            "main_media_path": "image5.jpg"
-                        },
-                        {
-                            "id": 6,
-                            "name": "Bodrum Conundrum",
-                            "main_media_path": "image6.jpg"
-                        },
-                        {
-                            "id": 7,
-                            "name": "Korner Kebab",
-                            "main_media_path": "image7.jpg"
-                        },
-                        {
-                            "id": 8,
-                            "name": "Star Kebab",
-                            "main_media_path": "image8.jpg"
-                        },
-                        {
-                            "id": 9,
-                            "name": "Kebab Slab",
-                            "main_media_path": "image9.jpg"
-                        },
-                        {
-                            "id": 10,
-                            "name": "Turku Kebabi",
-                            "main_media_path": "image10.jpg"
-                        }
-                    ]
-                },
-                testFn: testFn,
+                given: 3,
+                expected: 0,
+                testFn: testFnCount,
                 assertFn: assertFn
             },
             {
-                given: { startRow: 2, maxRows: 0 }, // None are returned
-                expected: {
-                    "responseCode": 404,
-                    "responseStatus": "Not Found",
-                    "response": []
-                },
-                testFn: testFn,
+                given: { id: 11 },
+                expected: { responseCode: 404, responseStatus: "Not Found", response: { result: false, msg: "Can't find that venue." } },
+                testFn: api.deleteVenue,
                 assertFn: assertFn
             }
         ];
@@ -1162,5 +4319,65 @@ function getResultSubset(obj = {}, keys = []) {
     return result;
 }
 
+/*
+ * Helper. Wraps an Action so just the responseCode and response of its result are compared.
+ */
+function subsetOf(fn) {
+    return async (given) => getResultSubset(await fn(given), ['responseCode', 'response']);
+}
+
+/*
+ * Helper. Runs fn with mail captured into sent, rather than written to the outbox, and resolves with its result.
+ */
+async function withCapturedMail(sent, fn) {
+    let previousTransport = mailer.setTransport({ send: async (message) => { sent.push(message); } });
+    try {
+        return await fn();
+    } finally {
+        mailer.setTransport(previousTransport);
+    }
+}
+
+/*
+ * Helper. Wraps a list Action so its result can be compared without the paging metadata, which is
+ * tested separately.
+ */
+function withoutPaging(fn) {
+    return async (given) => getResultSubset(await fn(given), ['responseCode', 'responseStatus', 'response']);
+}
+
+/*
+ * Helper. Builds a multipart/form-data body from parts, e.g.
+ *      [{ name: 'file', filename: 'grill.png', contentType: 'image/png', value: buffer }]
+ * Parts without a filename are plain fields.
+ */
+function getMultipartBody(boundary, parts = []) {
+    let chunks = [];
+    for (const { name, filename, contentType, value = '' } of parts) {
+        let disposition = `form-data${name !== undefined ? `; name="${name}"` : ''}${filename !== undefined ? `; filename="${filename}"` : ''}`;
+        chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: ${disposition}\r\n${contentType ? `Content-Type: ${contentType}\r\n` : ''}\r\n`));
+        chunks.push(Buffer.from(value));
+        chunks.push(Buffer.from('\r\n'));
+    }
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+    return Buffer.concat(chunks);
+}
+
+/*
+ * Helper. Sends a GET request to this server, with a token, and resolves with the parsed response body, e.g.
+ *      { responseCode: 401, responseStatus: 'Unauthorised', response: 'Invalid token.' }
+ * For what the server checks itself, before any Action runs. Tests run in the server's process, so it's listening.
+ */
+function sendRequest(path, token) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: 'localhost', port: KEBAPI_SERVER_PORT, path: path, headers: { 'x-access-token': token } }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve(JSON.parse(body)));
+        }).on('error', reject);
+    });
+}
+
 
 module.exports = { runAdminTests };